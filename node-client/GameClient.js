@@ -13,11 +13,31 @@
  *    - msg.type (e.g., 'REGISTER_OK') for convenient awaiting/listening
  *    - 'disconnect' when the socket closes
  *    - 'error' on socket errors / parse issues (parse issues are logged but not rethrown)
+ * - Opens with a HELLO handshake (see hello()) so the server knows which protocol
+ *   version and features this bridge understands
  */
 
 const net = require('net');
 const EventEmitter = require('events');
 
+// Highest protocol version this client speaks, and the oldest it still accepts
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Optional server features this bridge knows how to forward
+const FEATURES = [
+  'questionTimers',
+  'results',
+  'polls',
+  'gameState',
+  'presence',
+  'spectators',
+  'expiry',
+  'moderation',
+  'joinAccess',
+  'presenter',
+];
+
 class GameClient extends EventEmitter {
   /**
    * @param {string} host - TCP server host
@@ -45,6 +65,10 @@ class GameClient extends EventEmitter {
 
     // Guard to prevent attaching duplicate listeners to the same socket
     this._listenersSetup = false;
+
+    // Negotiated { version, features } once the server answers HELLO
+    // (stays null against servers that predate the handshake)
+    this.protocol = null;
   }
 
   /**
@@ -125,6 +149,10 @@ class GameClient extends EventEmitter {
           continue;
         }
 
+        if (msg.type === 'HELLO_OK') {
+          this.protocol = { version: msg.version, features: msg.features || [] };
+        }
+
         // Emit a generic message event for all consumers
         this.emit('message', msg);
 
@@ -148,6 +176,30 @@ class GameClient extends EventEmitter {
     this.socket.write(JSON.stringify(obj) + '\n');
   }
 
+  /**
+   * Open the protocol handshake; the server answers HELLO_OK with the agreed
+   * version and features, or ERROR (code INCOMPATIBLE_PROTOCOL) and hangs up.
+   * Must be sent before register().
+   */
+  hello() {
+    this._send({
+      type: 'HELLO',
+      version: PROTOCOL_VERSION,
+      minVersion: MIN_PROTOCOL_VERSION,
+      features: FEATURES,
+    });
+  }
+
+  /**
+   * Whether the server agreed to an optional feature during HELLO.
+   *
+   * @param {string} feature
+   * @returns {boolean}
+   */
+  supports(feature) {
+    return !!this.protocol && this.protocol.features.includes(feature);
+  }
+
   /**
    * Register this connection's username with the TCP server.
    */
@@ -166,6 +218,11 @@ class GameClient extends EventEmitter {
    * Create a new game using optional server-defined parameters.
    *
    * @param {Object} options
+   * @param {number} [options.quizId] - Saved quiz (owned by the host) to load questions from
+   * @param {boolean} [options.presenterMode] - Show questions on the host's presenter screen;
+   *   player devices only show the answer controls
+   * @param {string} [options.password] - Newcomers must supply this to join
+   * @param {number} [options.inviteCodes] - How many single-use invite codes to issue (0-50)
    */
   createGame(options = {}) {
     this._send({ type: 'CREATE_GAME', ...options });
@@ -175,11 +232,22 @@ class GameClient extends EventEmitter {
    * Join a game by PIN.
    *
    * @param {string|number} pin
-   * @param {string} [username] - Optional override; defaults to this.username
+   * @param {'player'|'spectator'} [role] - Spectators may also join games in progress
+   * @param {Object} [access] - For protected games: { password?, inviteCode? }
+   */
+  joinGame(pin, role = 'player', access = {}) {
+    const { password, inviteCode } = access;
+    this._send({ type: 'JOIN_GAME', pin, role, password, inviteCode });
+  }
+
+  /**
+   * Ask for a full snapshot of the game this user is in (replied to with GAME_STATE).
+   * Also resubscribes this connection to the game's broadcasts.
+   *
+   * @param {string|number} [pin] - Optional; defaults to whichever game the user is in
    */
-  joinGame(pin, username) {
-    const user = username || this.username;
-    this._send({ type: 'JOIN_GAME', pin, username: user });
+  getGameState(pin) {
+    this._send({ type: 'GET_GAME_STATE', pin });
   }
 
   /**
@@ -195,46 +263,72 @@ class GameClient extends EventEmitter {
    * Start a game by PIN (typically host-only).
    *
    * @param {string|number} pin
-   * @param {string} [username] - Optional override; defaults to this.username
    */
-  startGame(pin, username) {
-    const user = username || this.username;
-    console.log('GameClient.startGame', { pin, username: user });
-    this._send({ type: 'START_GAME', pin, username: user });
+  startGame(pin) {
+    console.log('GameClient.startGame', { pin, username: this.username });
+    this._send({ type: 'START_GAME', pin });
   }
 
   /**
-   * Submit an answer result for a user.
+   * Submit a player's chosen option for a question.
+   * The TCP server grades the choice; clients never report correctness.
    *
    * @param {string|number} pin
-   * @param {boolean} correct
-   * @param {string} [username] - Optional override; defaults to this.username
+   * @param {number} questionIndex - Index of the question being answered
+   * @param {any} choice - The option the player picked (null if none)
    */
-  sendAnswer(pin, correct, username) {
-    const user = username || this.username;
-    this._send({ type: 'ANSWER', pin, correct: !!correct, username: user });
+  sendAnswer(pin, questionIndex, choice) {
+    this._send({ type: 'ANSWER', pin, questionIndex, choice });
   }
 
   /**
    * Advance the game to the next question (typically host-only).
    *
    * @param {string|number} pin
-   * @param {string} [username] - Optional override; defaults to this.username
    */
-  nextQuestion(pin, username) {
-    const user = username || this.username;
-    this._send({ type: 'NEXT_QUESTION', pin, username: user });
+  nextQuestion(pin) {
+    this._send({ type: 'NEXT_QUESTION', pin });
   }
 
   /**
    * End the game (typically host-only).
    *
    * @param {string|number} pin
-   * @param {string} [username] - Optional override; defaults to this.username
    */
-  endGame(pin, username) {
-    const user = username || this.username;
-    this._send({ type: 'END_GAME', pin, username: user });
+  endGame(pin) {
+    this._send({ type: 'END_GAME', pin });
+  }
+
+  /**
+   * Remove a player or spectator from the game (host-only). They receive a
+   * KICKED event and may join again unless the game is locked.
+   * The server checks the host against this connection's registered username.
+   *
+   * @param {string|number} pin
+   * @param {string} target - Username to remove
+   */
+  kickPlayer(pin, target) {
+    this._send({ type: 'KICK_PLAYER', pin, target });
+  }
+
+  /**
+   * Remove a player or spectator and stop them rejoining (host-only).
+   *
+   * @param {string|number} pin
+   * @param {string} target - Username to ban
+   */
+  banPlayer(pin, target) {
+    this._send({ type: 'BAN_PLAYER', pin, target });
+  }
+
+  /**
+   * Lock or unlock the game to newcomers (host-only).
+   *
+   * @param {string|number} pin
+   * @param {boolean} [locked] - Omit to toggle
+   */
+  lockGame(pin, locked) {
+    this._send({ type: 'LOCK_GAME', pin, locked });
   }
 
   /**
@@ -242,29 +336,42 @@ class GameClient extends EventEmitter {
    *
    * @param {string|number} pin
    * @param {string} message
-   * @param {string} [username] - Optional override; defaults to this.username
    */
-  sendChat(pin, message, username) {
-    const user = username || this.username;
-    this._send({ type: 'CHAT', pin, message, username: user });
+  sendChat(pin, message) {
+    this._send({ type: 'CHAT', pin, message });
   }
 
   /**
    * Submit a question to the game.
+   * The TCP server validates it against the schema in questions.js.
    *
    * @param {string|number} pin
-   * @param {string} question
-   * @param {boolean} answerTrue
-   * @param {string} [username] - Optional override; defaults to this.username
+   * @param {Object} question
+   * @param {string} question.question - Question text
+   * @param {string} [question.type] - 'trueFalse' (default), 'multipleChoice', 'typeAnswer', 'slider', 'ordering' or 'poll'
+   * @param {boolean} [question.answerTrue] - True/False answer
+   * @param {string[]} [question.options] - Multiple choice or poll options (2-4)
+   * @param {number[]} [question.correctOptions] - Indexes of the correct options
+   * @param {string[]} [question.acceptedAnswers] - Type-answer: answers that count as correct
+   * @param {number} [question.typoTolerance] - Type-answer: character edits forgiven (0-2)
+   * @param {number} [question.min] - Slider: lowest selectable value
+   * @param {number} [question.max] - Slider: highest selectable value
+   * @param {number} [question.step] - Slider: increment (default 1)
+   * @param {number} [question.correctValue] - Slider: exact answer
+   * @param {number} [question.margin] - Slider: distance at which partial credit reaches zero
+   * @param {string[]} [question.items] - Ordering: 3-4 items in the correct order
+   * @param {boolean} [question.partialCredit] - Ordering: credit each correctly placed item
+   * @param {number} [question.timeLimit] - Seconds the question stays open
+   * @param {number} [question.maxPoints] - Polls are always worth 0 points, whatever is sent
+   * @param {number} [question.minPoints]
    */
-  submitQuestion(pin, question, answerTrue, username) {
-    const user = username || this.username;
+  submitQuestion(pin, question) {
+    const { type: questionType, ...fields } = question || {};
     this._send({
       type: 'SUBMIT_QUESTION',
       pin,
-      question,
-      answerTrue: !!answerTrue,
-      username: user,
+      ...fields,
+      questionType,
     });
   }
 
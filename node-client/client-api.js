@@ -8,6 +8,7 @@
  * - Maintain 1 persistent TCP GameClient per user (username -> TCP session)
  * - Fan out TCP server messages to the browser via per-user SSE streams
  * - Provide simple auth (signup/login/me) backed by SQLite
+ * - CRUD for the saved quiz library (My Quizzes), plus JSON/CSV import and export
  * - Serve the React production build as static assets
  */
 
@@ -25,14 +26,23 @@ const jwt = require('jsonwebtoken');
 
 const GameClient = require('./GameClient');
 const db = require('./db');
+const quizzes = require('./quizzes');
+const quizFormat = require('./quiz-format');
+const history = require('./history');
+const { JOIN_FAILURE_WINDOW_MS, createFailureLimiter } = require('./rate-limit');
 
 const app = express();
 
 // Enable CORS for browser clients (dev/prod depending on deployment).
 app.use(cors());
 
+// Behind a reverse proxy, set TRUST_PROXY_HOPS so req.ip is the caller's address
+// (failed joins are rate limited per IP).
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS) || false);
+
 // Parse JSON bodies for API routes.
-app.use(bodyParser.json());
+// Quiz imports can carry a few hundred questions, so allow more than the 100kb default.
+app.use(bodyParser.json({ limit: '1mb' }));
 
 // ===================== AUTH CONFIG + DB HELPERS =====================
 
@@ -112,21 +122,35 @@ function resolveUsername(req) {
   if (typeof headerUser === 'string' && headerUser.trim()) return headerUser.trim();
 
   // Token-based identity (fallback when no explicit username is provided)
-  const auth = req.headers.authorization || '';
-  const [type, token] = auth.split(' ');
-  if (type === 'Bearer' && token) {
-    try {
-      const payload = jwt.verify(token, JWT_SECRET);
-      const user = findUserByIdStmt.get(payload.userId);
-      if (user?.username) return user.username;
-    } catch (_) {
-      // Ignore verification/lookup errors and fall through to null
-    }
+  const userId = tokenUserId(req);
+  if (userId != null) {
+    const user = findUserByIdStmt.get(userId);
+    if (user?.username) return user.username;
   }
 
   return null;
 }
 
+/**
+ * The account id from the request's Bearer token, or null when there is no
+ * valid token. For routes that work with or without signing in.
+ *
+ * @param {import('express').Request} req
+ * @returns {number|null}
+ */
+function tokenUserId(req) {
+  const auth = req.headers.authorization || '';
+  const [type, token] = auth.split(' ');
+  if (type !== 'Bearer' || !token) return null;
+
+  try {
+    return jwt.verify(token, JWT_SECRET).userId ?? null;
+  } catch (_) {
+    // An invalid token is treated like no token
+    return null;
+  }
+}
+
 // ===================== TCP + CLIENT POOL =====================
 
 /**
@@ -184,11 +208,60 @@ function broadcastToUser(username, msg) {
   for (const res of set) safeWrite(res, msg);
 }
 
+/**
+ * How long a user may have no open SSE stream before their TCP session is
+ * closed. Long enough to ride out a page refresh; after that the game server
+ * sees the socket close and starts the player's disconnect grace period.
+ */
+const SSE_IDLE_CLOSE_MS = Number(process.env.SSE_IDLE_CLOSE_MS) || 5 * 1000;
+
+/**
+ * Pending "close this user's TCP session" timers.
+ * Map: username -> Timeout
+ */
+const idleCloseTimers = new Map();
+
+function cancelIdleClose(username) {
+  const timer = idleCloseTimers.get(username);
+  if (timer) {
+    clearTimeout(timer);
+    idleCloseTimers.delete(username);
+  }
+}
+
+/**
+ * Close a user's GameClient once they have had no SSE stream for
+ * SSE_IDLE_CLOSE_MS (the browser tab is gone, not just reloading).
+ */
+function scheduleIdleClose(username) {
+  cancelIdleClose(username);
+  idleCloseTimers.set(
+    username,
+    setTimeout(() => {
+      idleCloseTimers.delete(username);
+      if (sseSet(username).size > 0) return;
+
+      const client = clientsByUser.get(username);
+      if (!client) return;
+
+      console.log('Closing idle TCP session for', username);
+      clientsByUser.delete(username);
+      try {
+        client.close();
+      } catch (_) {
+        // Ignore close errors
+      }
+    }, SSE_IDLE_CLOSE_MS)
+  );
+}
+
 /**
  * SSE endpoint (browser connects via EventSource).
  * GET /api/events?username=...
  *
  * Keeps the connection open and stores the response in the user's SSE set.
+ * When the user's last stream closes, their TCP session is closed after
+ * SSE_IDLE_CLOSE_MS so the game server can mark them disconnected.
  */
 app.get('/api/events', (req, res) => {
   const username = typeof req.query.username === 'string' ? req.query.username.trim() : '';
@@ -206,11 +279,13 @@ app.get('/api/events', (req, res) => {
 
   // Track this open SSE connection for the user
   sseSet(username).add(res);
+  cancelIdleClose(username);
 
   // Cleanup when client disconnects
   req.on('close', () => {
     console.log('SSE /api/events connection closed for', username);
     sseSet(username).delete(res);
+    if (sseSet(username).size === 0) scheduleIdleClose(username);
   });
 });
 
@@ -296,8 +371,175 @@ app.get('/api/scoreboard', (req, res) => {
   }
 });
 
+/**
+ * GET /api/profile/:username
+ * Returns lifetime statistics computed from game history.
+ */
+app.get('/api/profile/:username', (req, res) => {
+  try {
+    const profile = history.getProfile(req.params.username);
+    if (!profile) return res.status(404).json({ ok: false, error: 'Player not found' });
+    return res.json({ ok: true, profile });
+  } catch (err) {
+    console.error('profile error: ', err);
+    return res.status(500).json({ ok: false, error: 'internal error' });
+  }
+});
+
+// ======================= QUIZ LIBRARY ROUTES =======================
+
+/**
+ * Load a quiz (by default the one named by req.params.id), making sure the
+ * signed-in user owns it. Responds with 404/403 and returns null otherwise.
+ */
+function requireOwnQuiz(req, res, id = req.params.id) {
+  const quiz = quizzes.getQuiz(Number(id));
+  if (!quiz) {
+    res.status(404).json({ ok: false, error: 'Quiz not found' });
+    return null;
+  }
+  if (quiz.ownerId !== req.userId) {
+    res.status(403).json({ ok: false, error: 'Not your quiz' });
+    return null;
+  }
+  return quiz;
+}
+
+/**
+ * GET /api/quizzes
+ * Returns the signed-in user's quizzes (summaries, no questions).
+ */
+app.get('/api/quizzes', authRequired, (req, res) => {
+  return res.json({ ok: true, quizzes: quizzes.listQuizzes(req.userId) });
+});
+
+/**
+ * GET /api/quizzes/:id
+ * Returns one of the signed-in user's quizzes with its ordered questions.
+ */
+app.get('/api/quizzes/:id', authRequired, (req, res) => {
+  const quiz = requireOwnQuiz(req, res);
+  if (!quiz) return;
+  return res.json({ ok: true, quiz });
+});
+
+/**
+ * POST /api/quizzes
+ * Body: { title, theme?, questions: [{ type, question, ...settings }] }
+ */
+app.post('/api/quizzes', authRequired, (req, res) => {
+  const { quiz, error } = quizzes.normalizeQuiz(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  try {
+    return res.status(201).json({ ok: true, quiz: quizzes.createQuiz(req.userId, quiz) });
+  } catch (err) {
+    console.error('createQuiz error', err);
+    return res.status(500).json({ ok: false, error: 'internal error' });
+  }
+});
+
+/**
+ * PUT /api/quizzes/:id
+ * Body: { title, theme?, questions } (replaces the whole quiz)
+ */
+app.put('/api/quizzes/:id', authRequired, (req, res) => {
+  if (!requireOwnQuiz(req, res)) return;
+
+  const { quiz, error } = quizzes.normalizeQuiz(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  try {
+    return res.json({ ok: true, quiz: quizzes.updateQuiz(Number(req.params.id), quiz) });
+  } catch (err) {
+    console.error('updateQuiz error', err);
+    return res.status(500).json({ ok: false, error: 'internal error' });
+  }
+});
+
+/**
+ * POST /api/quizzes/import
+ * Body: { format: 'json'|'csv', data, title?, theme?, quizId? }
+ *
+ * Saves imported questions as a new quiz, or appends them to quiz `quizId`.
+ * Nothing is saved if any row is invalid; the response lists every problem
+ * as { row, error }.
+ */
+app.post('/api/quizzes/import', authRequired, (req, res) => {
+  const { format, data, title, theme, quizId } = req.body || {};
+
+  const parsed = quizFormat.parseQuizImport(format, data);
+  if (parsed.errors.length > 0) {
+    return res
+      .status(400)
+      .json({ ok: false, error: 'Import has invalid rows', errors: parsed.errors });
+  }
+
+  let existing = null;
+  if (quizId != null) {
+    existing = requireOwnQuiz(req, res, quizId);
+    if (!existing) return;
+  }
+
+  const { quiz, error } = quizzes.normalizeQuiz({
+    title: existing?.title || title || parsed.title,
+    theme: existing?.theme || theme || parsed.theme,
+    questions: [...(existing?.questions || []), ...parsed.questions],
+  });
+  if (error) return res.status(400).json({ ok: false, error });
+
+  try {
+    const saved = existing
+      ? quizzes.updateQuiz(existing.id, quiz)
+      : quizzes.createQuiz(req.userId, quiz);
+    return res
+      .status(existing ? 200 : 201)
+      .json({ ok: true, quiz: saved, imported: parsed.questions.length });
+  } catch (err) {
+    console.error('importQuiz error', err);
+    return res.status(500).json({ ok: false, error: 'internal error' });
+  }
+});
+
+/**
+ * GET /api/quizzes/:id/export?format=json|csv
+ * Downloads the quiz as a file (JSON by default).
+ */
+app.get('/api/quizzes/:id/export', authRequired, (req, res) => {
+  const quiz = requireOwnQuiz(req, res);
+  if (!quiz) return;
+
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+  const filename = `${quiz.title.replace(/[^\w-]+/g, '_') || 'quiz'}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'csv') {
+    res.type('text/csv');
+    return res.send(quizFormat.exportQuizCsv(quiz));
+  }
+  res.type('application/json');
+  return res.send(quizFormat.exportQuizJson(quiz));
+});
+
+/**
+ * DELETE /api/quizzes/:id
+ */
+app.delete('/api/quizzes/:id', authRequired, (req, res) => {
+  if (!requireOwnQuiz(req, res)) return;
+
+  quizzes.deleteQuiz(Number(req.params.id));
+  return res.json({ ok: true });
+});
+
 // ===================== GAME HELPERS =====================
 
+/**
+ * Request body for logging, with any join password masked.
+ */
+function loggableBody(body) {
+  return body?.password ? { ...body, password: '[redacted]' } : body;
+}
+
 /**
  * Ensure the request has:
  * - a resolved username AND
@@ -324,6 +566,27 @@ function requireClient(req, res) {
   return { client, username };
 }
 
+/**
+ * Like requireClient, but for routes that act with an account's authority
+ * (host moderation): the identity comes only from the Bearer token checked by
+ * authRequired, never from the body or X-Username.
+ */
+function requireAccountClient(req, res) {
+  const user = findUserByIdStmt.get(req.userId);
+  if (!user) {
+    res.status(401).json({ ok: false, error: 'Unknown account' });
+    return { client: null, username: null };
+  }
+
+  const client = getClientForUser(user.username);
+  if (!client) {
+    res.status(400).json({ ok: false, error: 'Not connected (call /api/connect first)' });
+    return { client: null, username: null };
+  }
+
+  return { client, username: user.username };
+}
+
 /**
  * Await a specific GameClient event.
  * - Listens for `type` on the client (EventEmitter semantics)
@@ -361,6 +624,80 @@ function waitFor(client, type, predicate, timeoutMs = 5000) {
   });
 }
 
+// Request each awaited reply answers (matched against ERROR.request)
+const REQUEST_FOR_REPLY = {
+  HELLO_OK: 'HELLO',
+  GAME_CREATED: 'CREATE_GAME',
+  JOINED_GAME: 'JOIN_GAME',
+  GAME_STATE: 'GET_GAME_STATE',
+  PLAYER_KICKED: 'KICK_PLAYER',
+  PLAYER_BANNED: 'BAN_PLAYER',
+  GAME_LOCKED: 'LOCK_GAME',
+  QUESTION_SUBMITTED: 'SUBMIT_QUESTION',
+};
+
+/**
+ * Await the TCP server's reply to a request: resolves like waitFor, but
+ * rejects with the server's message as soon as an ERROR arrives instead of
+ * waiting for the timeout. Such errors are flagged with `fromServer`.
+ *
+ * Protocol v2 servers say which request an ERROR answers, so errors from
+ * other requests in flight on the same connection are ignored here.
+ *
+ * @param {GameClient} client
+ * @param {string} type
+ * @param {(msg:any) => boolean} predicate
+ * @param {number} timeoutMs
+ * @returns {Promise<any>}
+ */
+function waitForReply(client, type, predicate, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timeout);
+      client.removeListener(type, onReply);
+      client.removeListener('ERROR', onError);
+    };
+
+    const onReply = (msg) => {
+      if (predicate && !predicate(msg)) return;
+      cleanup();
+      resolve(msg);
+    };
+
+    const onError = (msg) => {
+      if (msg?.request && REQUEST_FOR_REPLY[type] && msg.request !== REQUEST_FOR_REPLY[type]) return;
+
+      cleanup();
+      const err = new Error(msg?.message || 'Request failed');
+      err.fromServer = true;
+      err.code = msg?.code;
+      err.retryAfterMs = msg?.retryAfterMs;
+      reject(err);
+    };
+
+    const timeout = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timed out waiting for ${type}`));
+    }, timeoutMs);
+
+    client.on(type, onReply);
+    client.on('ERROR', onError);
+  });
+}
+
+/**
+ * Refuse a route whose feature the game server didn't agree to during HELLO,
+ * so the browser gets a clear error instead of `Unknown type`. Servers that
+ * predate the handshake get the benefit of the doubt.
+ *
+ * @returns {boolean} true when the route may go ahead
+ */
+function requireFeature(client, feature, res) {
+  if (!client.protocol || client.supports(feature)) return true;
+  res.status(501).json({ ok: false, error: `The game server does not support ${feature}` });
+  return false;
+}
+
 // ===================== GAME ROUTES =====================
 
 /**
@@ -369,6 +706,9 @@ function waitFor(client, type, predicate, timeoutMs = 5000) {
  *
  * Establishes (or reuses) a per-user TCP connection and registers the username
  * with the TCP server before allowing subsequent requests.
+ *
+ * A fresh registration also reports the live game the user is still in, if any:
+ * { ok, game: { pin, state } | null }
  */
 app.post('/api/connect', async (req, res) => {
   const username = resolveUsername(req) || req.body?.username;
@@ -380,6 +720,9 @@ app.post('/api/connect', async (req, res) => {
 
   const user = username.trim();
 
+  // A page that is (re)loading gets a fresh window to open its SSE stream
+  if (idleCloseTimers.has(user)) scheduleIdleClose(user);
+
   try {
     // If there is an already-connected client, reuse it
     const existing = clientsByUser.get(user);
@@ -424,6 +767,19 @@ app.post('/api/connect', async (req, res) => {
     // Open TCP socket connection
     await client.connect();
 
+    // Agree on a protocol version before anything else. Servers from before
+    // the handshake answer `Unknown type` and are spoken to as version 1.
+    const pendingHello = waitForReply(client, 'HELLO_OK', null, 5000);
+    client.hello();
+    try {
+      await pendingHello;
+    } catch (err) {
+      if (!(err.fromServer && /^Unknown type/.test(err.message))) {
+        client.close();
+        throw err;
+      }
+    }
+
     // IMPORTANT:
     // Wait for REGISTER_OK so the TCP server has associated this socket with the username.
     const pendingRegister = waitFor(
@@ -435,16 +791,21 @@ app.post('/api/connect', async (req, res) => {
 
     // Trigger registration handshake and wait for confirmation
     client.register();
-    await pendingRegister;
+    const registered = await pendingRegister;
 
     // Store the connected client in the per-user pool
     clientsByUser.set(user, client);
 
-    console.log(`Registered username: ${user}`);
-    return res.json({ ok: true });
+    console.log(`Registered username: ${user} (protocol v${client.protocol?.version ?? 1})`);
+
+    // If the user was still in a live game (e.g. across a server restart),
+    // the TCP server has already put them back in it; tell the browser where
+    return res.json({ ok: true, game: registered.game || null });
   } catch (err) {
     console.error('Failed to connect to TCP server in /api/connect:', err);
-    return res.status(500).json({ ok: false, error: err.message });
+    // 426: this bridge and the game server share no protocol version
+    const status = err.code === 'INCOMPATIBLE_PROTOCOL' ? 426 : 500;
+    return res.status(status).json({ ok: false, error: err.message });
   }
 });
 
@@ -472,27 +833,29 @@ app.post('/api/listGames', async (req, res) => {
 
 /**
  * POST /api/createGame
- * Body: options object (server-defined)
+ * Body: options object (server-defined), e.g. { theme, isPublic, maxPlayers, quizId? }
+ *
+ * With `quizId`, the game starts with that saved quiz's questions. `password`
+ * and `inviteCodes` (a count) protect the game; the host's game object lists
+ * the issued codes.
  */
 app.post('/api/createGame', async (req, res) => {
-  console.log('HTTP /api/createGame', req.body);
+  console.log('HTTP /api/createGame', loggableBody(req.body));
 
-  const { client, username } = requireClient(req, res);
+  const { client } = requireClient(req, res);
   if (!client) return;
 
-  // Ensure username is present in options for server-side attribution
   const options = req.body || {};
-  options.username = options.username || username;
 
   try {
-    const pending = waitFor(client, 'GAME_CREATED', () => true, 5000);
+    const pending = waitForReply(client, 'GAME_CREATED', () => true, 5000);
     client.createGame(options);
     const msg = await pending;
 
     return res.json({ success: true, game: msg.game });
   } catch (err) {
     console.error('createGame error:', err);
-    return res.status(500).json({ ok: false, error: err.message });
+    return res.status(err.fromServer ? 400 : 500).json({ ok: false, error: err.message });
   }
 });
 
@@ -501,45 +864,107 @@ app.post('/api/createGame', async (req, res) => {
  * Body: { pin }
  */
 app.post('/api/startGame', (req, res) => {
-  const { client, username } = requireClient(req, res);
+  const { client } = requireClient(req, res);
   if (!client) return;
 
   const { pin } = req.body || {};
   if (!pin) return res.status(400).json({ ok: false, error: 'pin is required' });
 
-  client.startGame(pin, username);
+  client.startGame(pin);
   return res.json({ ok: true });
 });
 
+// Failed joins (unknown PIN, wrong password or invite code), counted per caller
+// IP and per signed-in account (see rate-limit.js). The game server also counts
+// per connection and username, but a caller can switch usernames freely.
+const joinFailures = createFailureLimiter();
+setInterval(joinFailures.sweep, JOIN_FAILURE_WINDOW_MS);
+
+function joinCallerKeys(req) {
+  const userId = tokenUserId(req);
+  return userId == null ? [`ip:${req.ip}`] : [`ip:${req.ip}`, `account:${userId}`];
+}
+
 /**
  * POST /api/joinGame
- * Body: { gameId }
+ * Body: { gameId, role?, password?, inviteCode? }
+ * - role 'spectator' watches (lobby or in progress) without playing
+ * - password / inviteCode admit newcomers to protected games
+ *
+ * Responds 429 with Retry-After after too many failed attempts from the same
+ * IP or account (or once the game server is refusing this user's joins).
  */
 app.post('/api/joinGame', async (req, res) => {
-  console.log('HTTP /api/joinGame', req.body);
+  console.log('HTTP /api/joinGame', loggableBody(req.body));
 
-  const { client, username } = requireClient(req, res);
+  const { client } = requireClient(req, res);
   if (!client) return;
 
-  const { gameId } = req.body || {};
+  const { gameId, role = 'player', password, inviteCode } = req.body || {};
   if (!gameId) return res.status(400).json({ ok: false, error: 'gameId is required' });
+  if (role !== 'player' && role !== 'spectator') {
+    return res.status(400).json({ ok: false, error: "role must be 'player' or 'spectator'" });
+  }
+  if (role === 'spectator' && !requireFeature(client, 'spectators', res)) return;
+
+  const callerKeys = joinCallerKeys(req);
+  const retryAfterMs = joinFailures.retryAfterMs(callerKeys);
+  if (retryAfterMs > 0) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({
+      ok: false,
+      error: `Too many failed attempts to join. Try again in ${Math.ceil(retryAfterMs / 1000)}s.`,
+    });
+  }
 
   try {
     // Wait for JOINED_GAME confirmation matching the game pin/id
-    const pending = waitFor(
+    const pending = waitForReply(
       client,
       'JOINED_GAME',
       (m) => m?.game?.pin === gameId,
       5000
     );
 
-    client.joinGame(gameId, username);
+    client.joinGame(gameId, role, { password, inviteCode });
     const msg = await pending;
 
-    return res.json({ ok: true, game: msg.game });
+    return res.json({ ok: true, role: msg.role, game: msg.game });
   } catch (err) {
     console.error('joinGame error:', err);
-    return res.status(500).json({ ok: false, error: err.message });
+    if (err.code === 'JOIN_DENIED') joinFailures.record(callerKeys);
+    if (err.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+      return res.status(429).json({ ok: false, error: err.message });
+    }
+    return res.status(err.fromServer ? 400 : 500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/gameState
+ * Body: { pin? }
+ *
+ * Returns the caller's current game so the browser can rebuild the lobby or
+ * the question in progress after a refresh:
+ * { ok, game, you: { isHost, answered, choice }, questionResults, winners }
+ */
+app.post('/api/gameState', async (req, res) => {
+  const { client } = requireClient(req, res);
+  if (!client) return;
+  if (!requireFeature(client, 'gameState', res)) return;
+
+  const { pin } = req.body || {};
+
+  try {
+    const pending = waitForReply(client, 'GAME_STATE', (m) => !pin || m?.pin === pin, 5000);
+    client.getGameState(pin);
+    const { type, ...state } = await pending;
+
+    return res.json({ ok: true, ...state });
+  } catch (err) {
+    console.error('gameState error:', err);
+    return res.status(err.fromServer ? 404 : 500).json({ ok: false, error: err.message });
   }
 });
 
@@ -560,26 +985,160 @@ app.post('/api/exitGame', (req, res) => {
   return res.json({ ok: true });
 });
 
+/**
+ * Shared handler for the host's kick/ban routes: sends the request and waits
+ * for the server's confirmation so errors (not host, unknown player) surface.
+ */
+async function removeFromGame(req, res, action, reply) {
+  const { client } = requireAccountClient(req, res);
+  if (!client) return;
+  if (!requireFeature(client, 'moderation', res)) return;
+
+  const { gameId, target } = req.body || {};
+  if (!gameId) return res.status(400).json({ ok: false, error: 'gameId is required' });
+  if (!target) return res.status(400).json({ ok: false, error: 'target is required' });
+
+  try {
+    const pending = waitForReply(
+      client,
+      reply,
+      (m) => m?.pin === gameId && m?.username === target,
+      5000
+    );
+    client[action](gameId, target);
+    const msg = await pending;
+
+    return res.json({ ok: true, game: msg.game });
+  } catch (err) {
+    console.error(`${action} error:`, err);
+    return res.status(err.fromServer ? 400 : 500).json({ ok: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/kickPlayer
+ * Body: { gameId, target }
+ *
+ * Host-only, as the account in the Bearer token. The removed user gets a
+ * KICKED event and may join again.
+ */
+app.post('/api/kickPlayer', authRequired, (req, res) =>
+  removeFromGame(req, res, 'kickPlayer', 'PLAYER_KICKED')
+);
+
+/**
+ * POST /api/banPlayer
+ * Body: { gameId, target }
+ *
+ * Host-only. Like kickPlayer, but the user can't rejoin this game.
+ */
+app.post('/api/banPlayer', authRequired, (req, res) =>
+  removeFromGame(req, res, 'banPlayer', 'PLAYER_BANNED')
+);
+
+/**
+ * POST /api/lockGame
+ * Body: { gameId, locked? } - omit `locked` to toggle
+ *
+ * Host-only, as the account in the Bearer token. A locked game rejects
+ * JOIN_GAME from anyone not already in it.
+ */
+app.post('/api/lockGame', authRequired, async (req, res) => {
+  const { client } = requireAccountClient(req, res);
+  if (!client) return;
+  if (!requireFeature(client, 'moderation', res)) return;
+
+  const { gameId, locked } = req.body || {};
+  if (!gameId) return res.status(400).json({ ok: false, error: 'gameId is required' });
+  if (locked !== undefined && typeof locked !== 'boolean') {
+    return res.status(400).json({ ok: false, error: 'locked must be a boolean' });
+  }
+
+  try {
+    const pending = waitForReply(client, 'GAME_LOCKED', (m) => m?.pin === gameId, 5000);
+    client.lockGame(gameId, locked);
+    const msg = await pending;
+
+    return res.json({ ok: true, locked: msg.locked });
+  } catch (err) {
+    console.error('lockGame error:', err);
+    return res.status(err.fromServer ? 400 : 500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/importQuestions
+ * Body: { pin, format: 'json'|'csv', data }
+ *
+ * Validates an import file and, if every row is valid, submits each question
+ * to the lobby exactly as SUBMIT_QUESTION would. Invalid rows are reported as
+ * { row, error } and nothing is submitted.
+ *
+ * Questions the game server turns down are listed in `errors` by their row in
+ * the file; the response is 400 only when none were accepted.
+ */
+app.post('/api/importQuestions', async (req, res) => {
+  const { client } = requireClient(req, res);
+  if (!client) return;
+
+  const { pin, format, data } = req.body || {};
+  if (!pin) return res.status(400).json({ ok: false, error: 'pin is required' });
+
+  const parsed = quizFormat.parseQuizImport(format, data);
+  if (parsed.errors.length > 0) {
+    return res
+      .status(400)
+      .json({ ok: false, error: 'Import has invalid rows', errors: parsed.errors });
+  }
+
+  // One at a time, so each reply or error belongs to the question just sent
+  let imported = 0;
+  const errors = [];
+  for (const [idx, question] of parsed.questions.entries()) {
+    try {
+      const pending = waitForReply(
+        client,
+        'QUESTION_SUBMITTED',
+        (m) => m?.pin === pin && m?.username === client.username,
+        5000
+      );
+      client.submitQuestion(pin, question);
+      await pending;
+      imported += 1;
+    } catch (err) {
+      errors.push({ row: parsed.rows[idx], error: err.message });
+    }
+  }
+
+  if (imported === 0) {
+    return res.status(400).json({ ok: false, error: 'No questions were accepted', errors });
+  }
+  return res.json({ ok: true, imported, errors });
+});
+
 /**
  * POST /api/sendAnswer
  * Body: { gameId, questionId, answer }
  *
- * Note: This route intentionally normalizes "answer" into a boolean `correct`
- * expected by the TCP server API.
+ * `questionId` is the index of the question being answered and `answer` is the
+ * option the player picked. Grading happens on the TCP server.
  */
 app.post('/api/sendAnswer', (req, res) => {
   const { client, username } = requireClient(req, res);
   if (!client) return;
 
-  const { gameId, answer } = req.body || {};
+  const { gameId, questionId, answer } = req.body || {};
   if (!gameId) return res.status(400).json({ ok: false, error: 'gameId is required' });
 
-  // Normalize various truthy representations to boolean
-  const correct =
-    answer === true || answer === 'true' || answer === 1 || answer === '1';
+  const questionIndex = Number(questionId);
+  if (!Number.isInteger(questionIndex) || questionIndex < 0) {
+    return res.status(400).json({ ok: false, error: 'questionId must be a question index' });
+  }
+
+  const choice = answer === undefined ? null : answer;
 
-  console.log('sendAnswer ->', { pin: gameId, correct, username });
-  client.sendAnswer(gameId, correct, username);
+  console.log('sendAnswer ->', { pin: gameId, questionIndex, choice, username });
+  client.sendAnswer(gameId, questionIndex, choice);
 
   return res.json({ ok: true });
 });
@@ -591,13 +1150,13 @@ app.post('/api/sendAnswer', (req, res) => {
 app.post('/api/nextQuestion', (req, res) => {
   console.log('HTTP /api/nextQuestion', req.body);
 
-  const { client, username } = requireClient(req, res);
+  const { client } = requireClient(req, res);
   if (!client) return;
 
   const { gameId } = req.body || {};
   if (!gameId) return res.status(400).json({ ok: false, error: 'gameId is required' });
 
-  client.nextQuestion(gameId, username);
+  client.nextQuestion(gameId);
   return res.json({ ok: true });
 });
 
@@ -608,48 +1167,16 @@ app.post('/api/nextQuestion', (req, res) => {
 app.post('/api/endGame', (req, res) => {
   console.log('HTTP /api/endGame', req.body);
 
-  const { client, username } = requireClient(req, res);
+  const { client } = requireClient(req, res);
   if (!client) return;
 
   const { gameId } = req.body || {};
   if (!gameId) return res.status(400).json({ ok: false, error: 'gameId is required' });
 
-  client.endGame(gameId, username);
+  client.endGame(gameId);
   return res.json({ ok: true });
 });
 
-/**
- * POST /api/awardWinner
- * Body: { pin, username }
- *
- * Increments the user's win count in the database.
- */
-app.post('/api/awardWinner', (req, res) => {
-  // Support both { username: "..." } and { username: { username: "..." } }
-  const raw = req.body?.username;
-  const name =
-    typeof raw === 'string'
-      ? raw
-      : typeof raw?.username === 'string'
-        ? raw.username
-        : null;
-
-  if (!name) return res.status(400).json({ ok: false, error: 'username required' });
-
-  try {
-    const stmt = db.prepare(`
-      UPDATE users
-      SET wins = wins + 1
-      WHERE username = ?
-    `);
-    stmt.run(name);
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error('Failed to award win: ', err);
-    return res.status(500).json({ ok: false, error: err.message });
-  }
-});
-
 /**
  * POST /api/chat
  * Body: { pin, message }
@@ -659,7 +1186,7 @@ app.post('/api/awardWinner', (req, res) => {
 app.post('/api/chat', (req, res) => {
   console.log('HTTP /api/chat', req.body);
 
-  const { client, username } = requireClient(req, res);
+  const { client } = requireClient(req, res);
   if (!client) return;
 
   const { pin, message } = req.body || {};
@@ -667,31 +1194,83 @@ app.post('/api/chat', (req, res) => {
     return res.status(400).json({ ok: false, error: 'pin and message are required' });
   }
 
-  client.sendChat(pin, message, username);
+  client.sendChat(pin, message);
   return res.json({ ok: true });
 });
 
 /**
  * POST /api/submitQuestion
- * Body: { pin, question, answerTrue }
+ * Body: { pin, question, type?, answerTrue?, options?, correctOptions?,
+ *         acceptedAnswers?, typoTolerance?, min?, max?, step?, correctValue?, margin?,
+ *         items?, partialCredit?, timeLimit?, maxPoints?, minPoints? }
  *
- * Forwards a question submission to the TCP server.
+ * Forwards a question submission to the TCP server, which validates it, and
+ * waits for the verdict: 400 with the server's reason if it was rejected.
  */
-app.post('/api/submitQuestion', (req, res) => {
+app.post('/api/submitQuestion', async (req, res) => {
   console.log('HTTP /api/submitQuestion', req.body);
 
-  const { client, username } = requireClient(req, res);
+  const { client } = requireClient(req, res);
   if (!client) return;
 
-  const { pin, question } = req.body || {};
-  const answerTrue = !!req.body?.answerTrue;
+  const {
+    pin,
+    question,
+    type,
+    answerTrue,
+    options,
+    correctOptions,
+    acceptedAnswers,
+    typoTolerance,
+    min,
+    max,
+    step,
+    correctValue,
+    margin,
+    items,
+    partialCredit,
+    timeLimit,
+    maxPoints,
+    minPoints,
+  } = req.body || {};
 
   if (!pin || !question) {
     return res.status(400).json({ ok: false, error: 'pin and question are required' });
   }
 
-  client.submitQuestion(pin, question, answerTrue, username);
-  return res.json({ ok: true });
+  try {
+    const pending = waitForReply(
+      client,
+      'QUESTION_SUBMITTED',
+      (m) => m?.pin === pin && m?.username === client.username,
+      5000
+    );
+    client.submitQuestion(pin, {
+      question,
+      type,
+      answerTrue,
+      options,
+      correctOptions,
+      acceptedAnswers,
+      typoTolerance,
+      min,
+      max,
+      step,
+      correctValue,
+      margin,
+      items,
+      partialCredit,
+      timeLimit,
+      maxPoints,
+      minPoints,
+    });
+    await pending;
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('submitQuestion error:', err);
+    return res.status(err.fromServer ? 400 : 500).json({ ok: false, error: err.message });
+  }
 });
 
 // ===== Serve React static build =====
@@ -4,7 +4,7 @@
  * SQLite database initialization for the Node API.
  *
  * Goals:
- * - Use a persistent path when available (e.g., Render disk at /var/data)
+ * - Use DB_DIR when set, else a persistent path when available (e.g., Render disk at /var/data)
  * - Fall back to a local, repo-adjacent database during development
  * - Ensure required tables exist on startup
  */
@@ -16,9 +16,12 @@ const Database = require('better-sqlite3');
 // Default: store the DB file next to this module (works well for local dev)
 let dbDir = __dirname;
 
-// If /var/data exists (e.g., Render persistent disk), prefer that location
-// so the DB survives restarts/redeploys.
-if (fs.existsSync('/var/data')) {
+// DB_DIR picks the location explicitly (tests point it at a throwaway directory).
+// Otherwise, if /var/data exists (e.g., Render persistent disk), prefer that
+// location so the DB survives restarts/redeploys.
+if (process.env.DB_DIR) {
+  dbDir = process.env.DB_DIR;
+} else if (fs.existsSync('/var/data')) {
   dbDir = '/var/data';
 }
 
@@ -35,6 +38,9 @@ const dbPath = path.join(dbDir, 'data.db');
 // better-sqlite3 is synchronous by design, which simplifies server startup/usage.
 const db = new Database(dbPath);
 
+// SQLite leaves foreign key enforcement off by default; quiz deletes rely on cascades.
+db.pragma('foreign_keys = ON');
+
 // Create required tables if they don't already exist.
 // This is safe to run on every startup due to IF NOT EXISTS.
 db.exec(`
@@ -45,6 +51,78 @@ db.exec(`
     wins INTEGER DEFAULT 0,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP
   );
+
+  -- Saved quizzes (the "My Quizzes" library), owned by a user
+  CREATE TABLE IF NOT EXISTS quizzes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    theme TEXT DEFAULT '',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Questions of a quiz, in play order. Type-specific fields and per-question
+  -- settings (time limit, points, ...) live in the settings JSON blob.
+  CREATE TABLE IF NOT EXISTS quiz_questions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    question TEXT NOT NULL,
+    settings TEXT NOT NULL DEFAULT '{}',
+    UNIQUE (quiz_id, position)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_quizzes_owner ON quizzes(owner_id);
+
+  -- Finished games. questions is the full question list (answers included) as JSON;
+  -- completed is 0 when the host ended the game before the last question.
+  CREATE TABLE IF NOT EXISTS game_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pin TEXT NOT NULL,
+    host TEXT NOT NULL,
+    theme TEXT DEFAULT '',
+    quiz_id INTEGER,
+    started_at TEXT NOT NULL,
+    ended_at TEXT NOT NULL,
+    completed INTEGER NOT NULL DEFAULT 1,
+    questions TEXT NOT NULL DEFAULT '[]'
+  );
+
+  -- Everyone who played a finished game, with final score and rank (ties share a rank)
+  CREATE TABLE IF NOT EXISTS game_participants (
+    game_id INTEGER NOT NULL REFERENCES game_history(id) ON DELETE CASCADE,
+    username TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    rank INTEGER NOT NULL,
+    PRIMARY KEY (game_id, username)
+  );
+
+  -- Every answer given in a finished game. correct is NULL for polls;
+  -- response_ms is measured from when the question opened.
+  CREATE TABLE IF NOT EXISTS game_answers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_id INTEGER NOT NULL REFERENCES game_history(id) ON DELETE CASCADE,
+    question_index INTEGER NOT NULL,
+    username TEXT NOT NULL,
+    choice TEXT,
+    correct INTEGER,
+    points INTEGER NOT NULL DEFAULT 0,
+    response_ms INTEGER,
+    answered_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_game_participants_user ON game_participants(username);
+  CREATE INDEX IF NOT EXISTS idx_game_answers_user ON game_answers(username);
+
+  -- Snapshots of live (lobby / in-progress) games so a restart can pick them back up.
+  -- snapshot is the JSON form of the in-memory game; updated_at is epoch ms.
+  CREATE TABLE IF NOT EXISTS active_games (
+    pin TEXT PRIMARY KEY,
+    snapshot TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
 `);
 
 // Export the shared DB connection for use by the API layer.
@@ -0,0 +1,211 @@
+// node-client/history.js
+
+/**
+ * Game history (SQLite)
+ * ---------------------
+ * Durable record of finished games: the game itself, each participant's final
+ * score and rank, and every answer with its timing and correctness. The TCP
+ * server writes here from endGame(); reporting, profiles and leaderboards read
+ * from it.
+ *
+ * Recording a completed game is also what credits users.wins, so wins can
+ * only come from a game the server actually ran to the end.
+ */
+
+const db = require('./db');
+
+const insertGameStmt = db.prepare(`
+  INSERT INTO game_history (pin, host, theme, quiz_id, started_at, ended_at, completed, questions)
+  VALUES (@pin, @host, @theme, @quizId, @startedAt, @endedAt, @completed, @questions)
+`);
+
+const insertParticipantStmt = db.prepare(`
+  INSERT INTO game_participants (game_id, username, score, rank)
+  VALUES (?, ?, ?, ?)
+`);
+
+const awardWinStmt = db.prepare(`
+  UPDATE users SET wins = wins + 1 WHERE username = ?
+`);
+
+const insertAnswerStmt = db.prepare(`
+  INSERT INTO game_answers
+    (game_id, question_index, username, choice, correct, points, response_ms, answered_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+const profileTotalsStmt = db.prepare(`
+  SELECT COUNT(*) AS games_played,
+         AVG(p.score) AS average_score,
+         SUM(CASE WHEN p.rank <= 3 AND g.completed = 1 THEN 1 ELSE 0 END) AS podiums
+  FROM game_participants p
+  JOIN game_history g ON g.id = p.game_id
+  WHERE p.username = ?
+`);
+
+const profileAnswersStmt = db.prepare(`
+  SELECT COUNT(correct) AS graded,
+         SUM(correct) AS correct,
+         MIN(CASE WHEN correct = 1 THEN response_ms END) AS fastest_correct_ms
+  FROM game_answers
+  WHERE username = ?
+`);
+
+const favoriteThemesStmt = db.prepare(`
+  SELECT g.theme, COUNT(*) AS games
+  FROM game_participants p
+  JOIN game_history g ON g.id = p.game_id
+  WHERE p.username = ? AND g.theme <> ''
+  GROUP BY g.theme
+  ORDER BY games DESC, g.theme ASC
+  LIMIT ?
+`);
+
+const recentGamesStmt = db.prepare(`
+  SELECT g.id, g.pin, g.host, g.theme, g.ended_at, g.completed, p.score, p.rank,
+         (SELECT COUNT(*) FROM game_participants x WHERE x.game_id = g.id) AS players
+  FROM game_participants p
+  JOIN game_history g ON g.id = p.game_id
+  WHERE p.username = ?
+  ORDER BY g.ended_at DESC, g.id DESC
+  LIMIT ?
+`);
+
+const findUserWinsStmt = db.prepare(`
+  SELECT username, wins, created_at FROM users WHERE username = ?
+`);
+
+// A win means beating somebody: solo games are recorded but never credit one
+const MIN_PLAYERS_FOR_WIN = 2;
+
+const FAVORITE_THEME_COUNT = 3;
+const RECENT_GAME_COUNT = 10;
+
+function isoTime(ms) {
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Rank players by score, highest first. Tied scores share a rank and the next
+ * rank skips accordingly (1, 1, 3).
+ *
+ * @param {Map<string, number>|Object} scores
+ * @returns {Array<{username:string, score:number, rank:number}>}
+ */
+function rankScores(scores) {
+  const entries = Array.from(scores instanceof Map ? scores.entries() : Object.entries(scores))
+    .map(([username, score]) => ({ username, score: score || 0 }))
+    .sort((a, b) => b.score - a.score || a.username.localeCompare(b.username));
+
+  const ranked = [];
+  entries.forEach((entry, idx) => {
+    const prev = ranked[idx - 1];
+    ranked.push({ ...entry, rank: prev && prev.score === entry.score ? prev.rank : idx + 1 });
+  });
+  return ranked;
+}
+
+/**
+ * Store a finished game. If it was completed by at least MIN_PLAYERS_FOR_WIN
+ * players, every top scorer gets a win (ties all count). Nobody wins a game
+ * where no one scored.
+ *
+ * @param {Object} record
+ * @param {string} record.pin
+ * @param {string} record.host
+ * @param {string} [record.theme]
+ * @param {number|null} [record.quizId]
+ * @param {number} record.startedAt - ms timestamp
+ * @param {number} record.endedAt - ms timestamp
+ * @param {boolean} record.completed - false if ended before the last question
+ * @param {Array} record.questions
+ * @param {Map<string, number>} record.scores
+ * @param {Array<{questionIndex, username, choice, correct, points, responseMs, answeredAt}>} record.answers
+ * @returns {{gameId:number, winners:string[]}}
+ */
+const recordGame = db.transaction((record) => {
+  const { lastInsertRowid: gameId } = insertGameStmt.run({
+    pin: record.pin,
+    host: record.host,
+    theme: record.theme ?? '',
+    quizId: record.quizId ?? null,
+    startedAt: isoTime(record.startedAt),
+    endedAt: isoTime(record.endedAt),
+    completed: record.completed ? 1 : 0,
+    questions: JSON.stringify(record.questions || []),
+  });
+
+  const ranked = rankScores(record.scores);
+  for (const { username, score, rank } of ranked) {
+    insertParticipantStmt.run(gameId, username, score, rank);
+  }
+
+  const winners =
+    record.completed && ranked.length >= MIN_PLAYERS_FOR_WIN
+      ? ranked.filter((p) => p.rank === 1 && p.score > 0).map((p) => p.username)
+      : [];
+  for (const username of winners) awardWinStmt.run(username);
+
+  for (const a of record.answers || []) {
+    insertAnswerStmt.run(
+      gameId,
+      a.questionIndex,
+      a.username,
+      a.choice == null ? null : JSON.stringify(a.choice),
+      a.correct == null ? null : a.correct ? 1 : 0,
+      a.points || 0,
+      a.responseMs ?? null,
+      isoTime(a.answeredAt)
+    );
+  }
+
+  return { gameId, winners };
+});
+
+/**
+ * Lifetime statistics for a player, computed from game history.
+ * Wins come from users.wins (credited when games complete); players without
+ * an account can still have history but always show 0 wins.
+ *
+ * @param {string} username
+ * @returns {Object|null} null when there is neither an account nor any history
+ */
+function getProfile(username) {
+  const user = findUserWinsStmt.get(username);
+  const totals = profileTotalsStmt.get(username);
+  if (!user && totals.games_played === 0) return null;
+
+  const answers = profileAnswersStmt.get(username);
+
+  return {
+    username,
+    memberSince: user?.created_at ?? null,
+    gamesPlayed: totals.games_played,
+    wins: user?.wins ?? 0,
+    podiums: totals.podiums ?? 0,
+    averageScore: totals.average_score == null ? 0 : Math.round(totals.average_score),
+    // Share of graded answers that were fully correct (polls don't count)
+    accuracy: answers.graded > 0 ? answers.correct / answers.graded : null,
+    fastestCorrectMs: answers.fastest_correct_ms ?? null,
+    favoriteThemes: favoriteThemesStmt
+      .all(username, FAVORITE_THEME_COUNT)
+      .map((row) => ({ theme: row.theme, games: row.games })),
+    recentGames: recentGamesStmt.all(username, RECENT_GAME_COUNT).map((row) => ({
+      id: row.id,
+      pin: row.pin,
+      host: row.host,
+      theme: row.theme ?? '',
+      endedAt: row.ended_at,
+      completed: !!row.completed,
+      score: row.score,
+      rank: row.rank,
+      players: row.players,
+    })),
+  };
+}
+
+module.exports = {
+  rankScores,
+  recordGame,
+  getProfile,
+};
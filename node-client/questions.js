@@ -0,0 +1,572 @@
+// node-client/questions.js
+
+/**
+ * Question schema (validation, grading, redaction)
+ * ------------------------------------------------
+ * Every question stored in a game goes through normalizeQuestion(), so the
+ * rest of the server can rely on the shapes below.
+ *
+ * question = {
+ *   username, type, question,
+ *   timeLimit?,               // seconds; server default applies when missing
+ *   maxPoints, minPoints,     // speed scoring range
+ *
+ *   // type === 'trueFalse'
+ *   answerTrue: boolean,
+ *
+ *   // type === 'multipleChoice'
+ *   options: string[],        // 2-4 answer tiles
+ *   correctOptions: number[], // indexes into options (one or more)
+ *
+ *   // type === 'typeAnswer'
+ *   acceptedAnswers: string[], // 1-4 answers, any of which is correct
+ *   typoTolerance: number,     // 0-2 character edits forgiven when matching
+ *
+ *   // type === 'slider'
+ *   min, max, step: number,   // range the player picks from
+ *   correctValue: number,     // exact answer (full marks)
+ *   margin: number,           // partial credit fades to zero this far from correctValue
+ *
+ *   // type === 'ordering'
+ *   items: string[],          // 3-4 items, stored in the shuffled order players see
+ *   correctOrder: number[],   // indexes into items, in the correct sequence
+ *   partialCredit: boolean,   // award a share of points per correctly placed item
+ *
+ *   // type === 'poll'         (no correct answer; always worth 0 points)
+ *   options: string[],        // 2-4 choices
+ * }
+ *
+ * Players answer with a "choice":
+ * - trueFalse: true | false
+ * - multipleChoice / poll: the index of the tile they picked
+ * - typeAnswer: the text they typed
+ * - slider: the number they picked
+ * - ordering: indexes into items, in the order they arranged them
+ */
+
+const QUESTION_TYPES = {
+  TRUE_FALSE: 'trueFalse',
+  MULTIPLE_CHOICE: 'multipleChoice',
+  TYPE_ANSWER: 'typeAnswer',
+  SLIDER: 'slider',
+  ORDERING: 'ordering',
+  POLL: 'poll',
+};
+
+// Speed scoring: an instant correct answer earns maxPoints, one right at the
+// deadline earns minPoints. Questions may override both.
+const DEFAULT_MAX_POINTS = 1000;
+const DEFAULT_MIN_POINTS = 500;
+const POINTS_CEILING = 5000;
+
+// Allowed per-question time limits (seconds)
+const MIN_TIME_LIMIT = 5;
+const MAX_TIME_LIMIT = 120;
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 4;
+
+const MAX_ACCEPTED_ANSWERS = 4;
+const MAX_TYPO_TOLERANCE = 2;
+const MAX_TYPED_ANSWER_LENGTH = 100;
+
+// Accepted answers shorter than this must match exactly, so typo tolerance
+// can't turn "4" into "5" or "ox" into "ax".
+const MIN_FUZZY_LENGTH = 4;
+
+// Keep slider ranges to something a range input can actually render
+const MAX_SLIDER_STEPS = 10000;
+
+// Default slider margin as a fraction of the range
+const DEFAULT_SLIDER_MARGIN = 0.1;
+
+const MIN_ORDER_ITEMS = 3;
+const MAX_ORDER_ITEMS = 4;
+
+/**
+ * Validate a question's point range, filling in defaults.
+ * When only a maximum is given the minimum defaults to half of it.
+ *
+ * @returns {{maxPoints:number, minPoints:number}|null} null if the range is invalid
+ */
+function normalizePointRange(maxPoints, minPoints) {
+  const max = maxPoints == null ? DEFAULT_MAX_POINTS : Number(maxPoints);
+  const min =
+    minPoints == null
+      ? maxPoints == null
+        ? DEFAULT_MIN_POINTS
+        : Math.round(max / 2)
+      : Number(minPoints);
+
+  if (!Number.isInteger(max) || !Number.isInteger(min)) return null;
+  if (min < 0 || min > max || max > POINTS_CEILING) return null;
+
+  return { maxPoints: max, minPoints: min };
+}
+
+/**
+ * Normalize a True/False choice coming off the wire.
+ * Accepts booleans and their common string forms; anything else is null.
+ *
+ * @param {any} choice
+ * @returns {boolean|null}
+ */
+function normalizeBooleanChoice(choice) {
+  if (choice === true || choice === 'true') return true;
+  if (choice === false || choice === 'false') return false;
+  return null;
+}
+
+/**
+ * Read a number sent as a number or numeric string. Anything else is NaN,
+ * where Number() would make 0 or 1 of null, blank strings, booleans and arrays.
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim()) return Number(value);
+  return NaN;
+}
+
+/**
+ * Canonical form for typed answers: accents stripped, lowercased and
+ * whitespace collapsed, so "  Café  au lait" matches "cafe au lait".
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein distance, giving up early once it exceeds `max`.
+ *
+ * @returns {number} the distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Whether `value` lands on the slider grid starting at `min` (float-tolerant).
+ */
+function isOnStep(value, min, step) {
+  const steps = (value - min) / step;
+  return Math.abs(steps - Math.round(steps)) < 1e-9;
+}
+
+/**
+ * Random permutation of 0..length-1 that is never already in order, so an
+ * ordering question can't be answered by submitting it untouched.
+ */
+function shuffledIndexes(length) {
+  const order = Array.from({ length }, (_, i) => i);
+  do {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  } while (length > 1 && order.every((v, i) => v === i));
+  return order;
+}
+
+/**
+ * Trim a list of answer tiles and check there are 2-4 non-empty ones.
+ *
+ * @returns {{options:string[]}|{error:string}}
+ */
+function normalizeOptions(input, label) {
+  const options = Array.isArray(input)
+    ? input.map((o) => (typeof o === 'string' ? o.trim() : ''))
+    : [];
+
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return { error: `${label} needs ${MIN_OPTIONS}-${MAX_OPTIONS} options` };
+  }
+  if (options.some((o) => !o)) return { error: 'Options cannot be empty' };
+
+  return { options };
+}
+
+/**
+ * Validate a submitted question and convert it to the stored shape.
+ *
+ * Input uses the SUBMIT_QUESTION field names (`questionType` rather than `type`,
+ * since `type` is the protocol message type).
+ *
+ * @param {Object} input
+ * @returns {{question:Object}|{error:string}}
+ */
+function normalizeQuestion(input = {}) {
+  const text = typeof input.question === 'string' ? input.question.trim() : '';
+  if (!text) return { error: 'Question text is required' };
+
+  const type = input.questionType || QUESTION_TYPES.TRUE_FALSE;
+
+  const points = normalizePointRange(input.maxPoints, input.minPoints);
+  if (!points) {
+    return { error: `Points must satisfy 0 <= minPoints <= maxPoints <= ${POINTS_CEILING}` };
+  }
+
+  const base = { type, question: text, ...points };
+
+  if (input.timeLimit != null) {
+    const seconds = Number(input.timeLimit);
+    if (!Number.isInteger(seconds) || seconds < MIN_TIME_LIMIT || seconds > MAX_TIME_LIMIT) {
+      return {
+        error: `Time limit must be between ${MIN_TIME_LIMIT} and ${MAX_TIME_LIMIT} seconds`,
+      };
+    }
+    base.timeLimit = seconds;
+  }
+
+  switch (type) {
+    case QUESTION_TYPES.TRUE_FALSE:
+      return { question: { ...base, answerTrue: !!input.answerTrue } };
+
+    case QUESTION_TYPES.MULTIPLE_CHOICE: {
+      const { options, error } = normalizeOptions(input.options, 'Multiple choice');
+      if (error) return { error };
+
+      const correctOptions = Array.from(
+        new Set(Array.isArray(input.correctOptions) ? input.correctOptions.map(Number) : [])
+      ).sort((a, b) => a - b);
+
+      if (correctOptions.length === 0) {
+        return { error: 'Mark at least one option as correct' };
+      }
+      if (correctOptions.some((i) => !Number.isInteger(i) || i < 0 || i >= options.length)) {
+        return { error: 'Correct options must reference existing options' };
+      }
+
+      return { question: { ...base, options, correctOptions } };
+    }
+
+    case QUESTION_TYPES.TYPE_ANSWER: {
+      const acceptedAnswers = Array.isArray(input.acceptedAnswers)
+        ? input.acceptedAnswers
+            .map((a) => (typeof a === 'string' ? a.trim() : ''))
+            .filter(Boolean)
+        : [];
+
+      if (acceptedAnswers.length === 0 || acceptedAnswers.length > MAX_ACCEPTED_ANSWERS) {
+        return { error: `Type answer needs 1-${MAX_ACCEPTED_ANSWERS} accepted answers` };
+      }
+      if (acceptedAnswers.some((a) => a.length > MAX_TYPED_ANSWER_LENGTH)) {
+        return { error: `Accepted answers must be at most ${MAX_TYPED_ANSWER_LENGTH} characters` };
+      }
+
+      const typoTolerance = input.typoTolerance == null ? 0 : Number(input.typoTolerance);
+      if (
+        !Number.isInteger(typoTolerance) ||
+        typoTolerance < 0 ||
+        typoTolerance > MAX_TYPO_TOLERANCE
+      ) {
+        return { error: `Typo tolerance must be between 0 and ${MAX_TYPO_TOLERANCE}` };
+      }
+
+      return { question: { ...base, acceptedAnswers, typoTolerance } };
+    }
+
+    case QUESTION_TYPES.SLIDER: {
+      const min = Number(input.min);
+      const max = Number(input.max);
+      const step = input.step == null ? 1 : Number(input.step);
+      const correctValue = Number(input.correctValue);
+
+      if (![min, max, step, correctValue].every(Number.isFinite)) {
+        return { error: 'Slider min, max, step and correct value must be numbers' };
+      }
+      if (min >= max) return { error: 'Slider min must be less than max' };
+      if (step <= 0 || (max - min) / step > MAX_SLIDER_STEPS) {
+        return { error: `Slider step must be positive and allow at most ${MAX_SLIDER_STEPS} steps` };
+      }
+      if (correctValue < min || correctValue > max) {
+        return { error: 'Correct value must be inside the slider range' };
+      }
+      if (!isOnStep(correctValue, min, step)) {
+        return { error: 'Correct value must be reachable with the slider step' };
+      }
+
+      const margin =
+        input.margin == null ? (max - min) * DEFAULT_SLIDER_MARGIN : Number(input.margin);
+      if (!Number.isFinite(margin) || margin < 0) {
+        return { error: 'Slider margin must be a non-negative number' };
+      }
+
+      return { question: { ...base, min, max, step, correctValue, margin } };
+    }
+
+    case QUESTION_TYPES.ORDERING: {
+      // Authors list items in the correct order
+      const ordered = Array.isArray(input.items)
+        ? input.items.map((item) => (typeof item === 'string' ? item.trim() : ''))
+        : [];
+
+      if (ordered.length < MIN_ORDER_ITEMS || ordered.length > MAX_ORDER_ITEMS) {
+        return { error: `Ordering needs ${MIN_ORDER_ITEMS}-${MAX_ORDER_ITEMS} items` };
+      }
+      if (ordered.some((item) => !item)) return { error: 'Items cannot be empty' };
+
+      // Store items pre-shuffled so the redacted question gives nothing away
+      const shuffle = shuffledIndexes(ordered.length);
+      const items = shuffle.map((i) => ordered[i]);
+      const correctOrder = ordered.map((_, position) => shuffle.indexOf(position));
+
+      return {
+        question: { ...base, items, correctOrder, partialCredit: !!input.partialCredit },
+      };
+    }
+
+    case QUESTION_TYPES.POLL: {
+      const { options, error } = normalizeOptions(input.options, 'Poll');
+      if (error) return { error };
+
+      // Polls are never scored
+      return { question: { ...base, maxPoints: 0, minPoints: 0, options } };
+    }
+
+    default:
+      return { error: `Unknown question type: ${type}` };
+  }
+}
+
+/**
+ * Validate a player's choice for a question.
+ *
+ * @param {Object} question
+ * @param {any} choice
+ * @returns {any|null} the normalized choice, or null if it isn't a valid option
+ */
+function normalizeChoice(question, choice) {
+  switch (question?.type || QUESTION_TYPES.TRUE_FALSE) {
+    case QUESTION_TYPES.TRUE_FALSE:
+      return normalizeBooleanChoice(choice);
+
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+    case QUESTION_TYPES.POLL: {
+      const idx = toNumber(choice);
+      return Number.isInteger(idx) && idx >= 0 && idx < question.options.length ? idx : null;
+    }
+
+    case QUESTION_TYPES.TYPE_ANSWER: {
+      if (typeof choice !== 'string') return null;
+      const text = choice.trim();
+      return text && text.length <= MAX_TYPED_ANSWER_LENGTH ? text : null;
+    }
+
+    case QUESTION_TYPES.SLIDER: {
+      const value = toNumber(choice);
+      return Number.isFinite(value) && value >= question.min && value <= question.max
+        ? value
+        : null;
+    }
+
+    case QUESTION_TYPES.ORDERING: {
+      // Must be a full arrangement: every item exactly once
+      if (!Array.isArray(choice) || choice.length !== question.items.length) return null;
+      const order = choice.map(toNumber);
+      const isPermutation =
+        order.every((i) => Number.isInteger(i) && i >= 0 && i < order.length) &&
+        new Set(order).size === order.length;
+      return isPermutation ? order : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fraction of full marks (0-1) a choice earns.
+ */
+function answerCredit(question, picked) {
+  switch (question.type || QUESTION_TYPES.TRUE_FALSE) {
+    case QUESTION_TYPES.TRUE_FALSE:
+      return picked === !!question.answerTrue ? 1 : 0;
+
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      // Any tile marked correct counts
+      return question.correctOptions.includes(picked) ? 1 : 0;
+
+    case QUESTION_TYPES.TYPE_ANSWER: {
+      const typed = normalizeText(picked);
+      const matched = question.acceptedAnswers.some((accepted) => {
+        const target = normalizeText(accepted);
+        if (typed === target) return true;
+
+        const tolerance = target.length < MIN_FUZZY_LENGTH ? 0 : question.typoTolerance || 0;
+        return tolerance > 0 && editDistance(typed, target, tolerance) <= tolerance;
+      });
+      return matched ? 1 : 0;
+    }
+
+    case QUESTION_TYPES.SLIDER: {
+      // Exact answers get full marks; credit fades linearly to zero at the margin
+      const distance = Math.abs(picked - question.correctValue);
+      if (distance < 1e-9) return 1;
+      if (!question.margin) return 0;
+      return Math.max(0, 1 - distance / question.margin);
+    }
+
+    case QUESTION_TYPES.ORDERING: {
+      const placed = picked.filter((item, position) => item === question.correctOrder[position]);
+      if (placed.length === picked.length) return 1;
+      return question.partialCredit ? placed.length / picked.length : 0;
+    }
+
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Grade a player's choice against the stored question.
+ * A missing or invalid choice is always incorrect.
+ *
+ * `credit` is the fraction of the speed-based points to award; slider and
+ * partial-credit ordering questions can earn a share. `correct` means full marks,
+ * and is null for polls, which have no right answer.
+ *
+ * @param {Object} question
+ * @param {any} choice
+ * @returns {{correct:boolean|null, credit:number}}
+ */
+function gradeAnswer(question, choice) {
+  if (question.type === QUESTION_TYPES.POLL) return { correct: null, credit: 0 };
+
+  const picked = normalizeChoice(question, choice);
+  if (picked === null) return { correct: false, credit: 0 };
+
+  const credit = answerCredit(question, picked);
+  return { correct: credit === 1, credit };
+}
+
+/**
+ * Strip grading data from a question so it can be shown to players.
+ */
+function redactQuestion(question) {
+  const { answerTrue, correctOptions, acceptedAnswers, correctValue, correctOrder, ...rest } =
+    question;
+  return rest;
+}
+
+/**
+ * Convert a stored question back into the shape an author would submit
+ * (`type` plus its fields), e.g. for saving to the quiz library. Ordering
+ * items come back in their correct order, so normalizing the result again
+ * produces a fresh shuffle.
+ *
+ * @param {Object} question - a normalized question
+ * @returns {Object}
+ */
+function toAuthoredQuestion(question) {
+  const { username, ...rest } = question;
+  if (rest.type !== QUESTION_TYPES.ORDERING) return rest;
+
+  const { items, correctOrder, ...ordering } = rest;
+  return { ...ordering, items: correctOrder.map((i) => items[i]) };
+}
+
+/**
+ * The grading data for a question, in the same shape it is stored in
+ * (answerTrue, correctOptions, acceptedAnswers, correctValue or correctOrder).
+ * Polls have no answer and return null.
+ *
+ * @param {Object} question
+ * @returns {any}
+ */
+function answerKey(question) {
+  switch (question.type || QUESTION_TYPES.TRUE_FALSE) {
+    case QUESTION_TYPES.TRUE_FALSE:
+      return !!question.answerTrue;
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      return question.correctOptions;
+    case QUESTION_TYPES.TYPE_ANSWER:
+      return question.acceptedAnswers;
+    case QUESTION_TYPES.SLIDER:
+      return question.correctValue;
+    case QUESTION_TYPES.ORDERING:
+      return question.correctOrder;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Count how many players picked each answer.
+ * - trueFalse: { true, false }
+ * - multipleChoice / poll: one count per option
+ * - typeAnswer / slider: { [answer]: count } keyed by normalized text / value
+ * - ordering: null (arrangements are rarely shared, so there's nothing useful to chart)
+ *
+ * @param {Object} question
+ * @param {Iterable<any>} choices - normalized choices (null = no answer, ignored)
+ * @returns {Object|number[]|null}
+ */
+function tallyChoices(question, choices) {
+  const picked = Array.from(choices).filter((c) => c !== null && c !== undefined);
+
+  switch (question.type || QUESTION_TYPES.TRUE_FALSE) {
+    case QUESTION_TYPES.TRUE_FALSE:
+      return {
+        true: picked.filter((c) => c === true).length,
+        false: picked.filter((c) => c === false).length,
+      };
+
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+    case QUESTION_TYPES.POLL: {
+      const counts = question.options.map(() => 0);
+      for (const idx of picked) counts[idx] += 1;
+      return counts;
+    }
+
+    case QUESTION_TYPES.TYPE_ANSWER:
+    case QUESTION_TYPES.SLIDER: {
+      const counts = {};
+      for (const choice of picked) {
+        const key = typeof choice === 'string' ? normalizeText(choice) : String(choice);
+        counts[key] = (counts[key] || 0) + 1;
+      }
+      return counts;
+    }
+
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  DEFAULT_MAX_POINTS,
+  DEFAULT_MIN_POINTS,
+  normalizeQuestion,
+  normalizeChoice,
+  gradeAnswer,
+  redactQuestion,
+  toAuthoredQuestion,
+  answerKey,
+  tallyChoices,
+};
@@ -0,0 +1,380 @@
+// node-client/quiz-format.js
+
+/**
+ * Quiz import/export formats
+ * --------------------------
+ * JSON (round-trippable):
+ *   { format: 'not-kahoot-quiz', version: 1, title, theme,
+ *     questions: [{ type, question, ...settings }] }   // authored question shape
+ *
+ * CSV (one question per row, header optional):
+ *   question, type, options, correct answer, time limit
+ *
+ *   type            options               correct answer
+ *   trueFalse       (empty)               true | false
+ *   multipleChoice  A|B|C|D               the correct option text(s), e.g. B or B|D
+ *   typeAnswer      (empty)               accepted answers, e.g. Paris|paris france
+ *   slider          min|max[|step]        the correct number
+ *   ordering        items in right order  (empty)
+ *   poll            A|B|C                 (empty)
+ *
+ * CSV keeps only these columns, so points, typo tolerance, slider margins and
+ * ordering partial credit fall back to their defaults. Use JSON to keep them.
+ *
+ * Parsers never throw on bad input: they return every problem found as
+ * { row, error } so the UI can point at the offending line. Alongside the
+ * valid questions they return `rows`, each question's source row, so later
+ * failures (e.g. the game server turning a question down) can be reported
+ * against the same row.
+ */
+
+const { QUESTION_TYPES, normalizeQuestion, toAuthoredQuestion } = require('./questions');
+
+const FORMAT_NAME = 'not-kahoot-quiz';
+const FORMAT_VERSION = 1;
+
+const CSV_HEADER = ['question', 'type', 'options', 'correct answer', 'time limit'];
+
+// Separator for multiple values inside one CSV cell
+const LIST_SEPARATOR = '|';
+
+// Friendlier spellings accepted in the CSV type column (compared lowercased, no spaces)
+const TYPE_ALIASES = {
+  truefalse: QUESTION_TYPES.TRUE_FALSE,
+  'true/false': QUESTION_TYPES.TRUE_FALSE,
+  tf: QUESTION_TYPES.TRUE_FALSE,
+  multiplechoice: QUESTION_TYPES.MULTIPLE_CHOICE,
+  mc: QUESTION_TYPES.MULTIPLE_CHOICE,
+  typeanswer: QUESTION_TYPES.TYPE_ANSWER,
+  text: QUESTION_TYPES.TYPE_ANSWER,
+  slider: QUESTION_TYPES.SLIDER,
+  ordering: QUESTION_TYPES.ORDERING,
+  puzzle: QUESTION_TYPES.ORDERING,
+  poll: QUESTION_TYPES.POLL,
+};
+
+/**
+ * Validate authored questions one by one, collecting every error.
+ *
+ * @param {Array} list - [{ type, question, ...settings }]
+ * @param {(idx:number) => number} rowOf - maps list index to the row reported to the user
+ * @returns {{questions:Array, rows:number[], errors:Array<{row:number, error:string}>}}
+ */
+function validateQuestions(list, rowOf = (idx) => idx + 1) {
+  const questions = [];
+  const rows = [];
+  const errors = [];
+
+  list.forEach((input, idx) => {
+    const { type, ...fields } = input || {};
+    const { question, error } = normalizeQuestion({ ...fields, questionType: type });
+    if (error) {
+      errors.push({ row: rowOf(idx), error });
+    } else {
+      questions.push(toAuthoredQuestion(question));
+      rows.push(rowOf(idx));
+    }
+  });
+
+  return { questions, rows, errors };
+}
+
+// ============================== JSON ==============================
+
+/**
+ * Serialize a stored quiz to the versioned JSON format.
+ *
+ * @param {{title:string, theme:string, questions:Array}} quiz
+ * @returns {string}
+ */
+function exportQuizJson(quiz) {
+  const doc = {
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    title: quiz.title,
+    theme: quiz.theme ?? '',
+    questions: quiz.questions,
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+/**
+ * Parse the JSON format (as text or an already-parsed object).
+ * Rows are 1-based positions in `questions`; row 0 means the document itself.
+ *
+ * @param {string|Object} data
+ * @returns {{title:string, theme:string, questions:Array, rows:number[], errors:Array<{row:number, error:string}>}}
+ */
+function parseQuizJson(data) {
+  const empty = { title: '', theme: '', questions: [], rows: [] };
+
+  let doc = data;
+  if (typeof data === 'string') {
+    try {
+      doc = JSON.parse(data);
+    } catch (e) {
+      return { ...empty, errors: [{ row: 0, error: `Invalid JSON: ${e.message}` }] };
+    }
+  }
+
+  if (!doc || typeof doc !== 'object' || doc.format !== FORMAT_NAME) {
+    return { ...empty, errors: [{ row: 0, error: `Not a ${FORMAT_NAME} file` }] };
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > FORMAT_VERSION) {
+    return {
+      ...empty,
+      errors: [
+        {
+          row: 0,
+          error: `Unsupported version ${doc.version}; versions up to ${FORMAT_VERSION} can be read`,
+        },
+      ],
+    };
+  }
+  if (!Array.isArray(doc.questions)) {
+    return { ...empty, errors: [{ row: 0, error: 'questions must be an array' }] };
+  }
+
+  return {
+    title: typeof doc.title === 'string' ? doc.title.trim() : '',
+    theme: typeof doc.theme === 'string' ? doc.theme.trim() : '',
+    ...validateQuestions(doc.questions),
+  };
+}
+
+// ============================== CSV ==============================
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, CRLF or LF).
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Spreadsheet exports often start with a byte order mark
+  const src = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function splitList(cell) {
+  return cell
+    .split(LIST_SEPARATOR)
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Turn one CSV row into an authored question (not yet validated).
+ *
+ * @returns {{input:Object}|{error:string}}
+ */
+function csvRowToQuestion(cells) {
+  const [question = '', typeCell = '', optionsCell = '', answerCell = '', timeCell = ''] =
+    cells.map((c) => c.trim());
+
+  const typeKey = typeCell.toLowerCase().replace(/\s+/g, '');
+  const type = typeKey ? TYPE_ALIASES[typeKey] : QUESTION_TYPES.TRUE_FALSE;
+  if (!type) return { error: `Unknown question type "${typeCell}"` };
+
+  const input = { type, question };
+  if (timeCell) input.timeLimit = Number(timeCell);
+
+  const options = splitList(optionsCell);
+  const answers = splitList(answerCell);
+
+  switch (type) {
+    case QUESTION_TYPES.TRUE_FALSE: {
+      const answer = answerCell.toLowerCase();
+      if (answer !== 'true' && answer !== 'false') {
+        return { error: 'Correct answer must be true or false' };
+      }
+      return { input: { ...input, answerTrue: answer === 'true' } };
+    }
+
+    case QUESTION_TYPES.MULTIPLE_CHOICE: {
+      const lowered = options.map((o) => o.toLowerCase());
+      const correctOptions = answers.map((a) => lowered.indexOf(a.toLowerCase()));
+      const missing = answers.filter((_, i) => correctOptions[i] < 0);
+      if (missing.length > 0) {
+        return { error: `Correct answer "${missing[0]}" is not one of the options` };
+      }
+      return { input: { ...input, options, correctOptions } };
+    }
+
+    case QUESTION_TYPES.TYPE_ANSWER:
+      return { input: { ...input, acceptedAnswers: answers } };
+
+    case QUESTION_TYPES.SLIDER: {
+      const [min, max, step] = options;
+      if (min === undefined || max === undefined) {
+        return { error: 'Slider options must be min|max or min|max|step' };
+      }
+      return {
+        input: {
+          ...input,
+          min,
+          max,
+          ...(step !== undefined ? { step } : {}),
+          correctValue: answerCell === '' ? NaN : answerCell,
+        },
+      };
+    }
+
+    case QUESTION_TYPES.ORDERING:
+      return { input: { ...input, items: options } };
+
+    default:
+      return { input: { ...input, options } };
+  }
+}
+
+/**
+ * Parse quiz CSV. Rows are 1-based line numbers as a spreadsheet shows them
+ * (the header, when present, is row 1). Blank rows are skipped.
+ *
+ * @param {string} text
+ * @returns {{questions:Array, rows:number[], errors:Array<{row:number, error:string}>}}
+ */
+function parseQuizCsv(text) {
+  if (typeof text !== 'string') {
+    return { questions: [], rows: [], errors: [{ row: 0, error: 'CSV data must be text' }] };
+  }
+
+  const rows = parseCsvRows(text).map((cells, idx) => ({ cells, row: idx + 1 }));
+  const hasHeader = rows[0]?.cells[0]?.trim().toLowerCase() === CSV_HEADER[0];
+  const dataRows = rows
+    .slice(hasHeader ? 1 : 0)
+    .filter(({ cells }) => cells.some((c) => c.trim()));
+
+  const inputs = [];
+  const inputRows = [];
+  const errors = [];
+
+  for (const { cells, row } of dataRows) {
+    const { input, error } = csvRowToQuestion(cells);
+    if (error) {
+      errors.push({ row, error });
+    } else {
+      inputs.push(input);
+      inputRows.push(row);
+    }
+  }
+
+  const validated = validateQuestions(inputs, (idx) => inputRows[idx]);
+  return {
+    questions: validated.questions,
+    rows: validated.rows,
+    errors: [...errors, ...validated.errors].sort((a, b) => a.row - b.row),
+  };
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize a stored quiz's questions to CSV (with header row).
+ *
+ * @param {{questions:Array}} quiz
+ * @returns {string}
+ */
+function exportQuizCsv(quiz) {
+  const lines = [CSV_HEADER];
+
+  for (const q of quiz.questions) {
+    let options = [];
+    let answer = '';
+
+    switch (q.type) {
+      case QUESTION_TYPES.TRUE_FALSE:
+        answer = q.answerTrue ? 'true' : 'false';
+        break;
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+        options = q.options;
+        answer = q.correctOptions.map((i) => q.options[i]).join(LIST_SEPARATOR);
+        break;
+      case QUESTION_TYPES.TYPE_ANSWER:
+        answer = q.acceptedAnswers.join(LIST_SEPARATOR);
+        break;
+      case QUESTION_TYPES.SLIDER:
+        options = [q.min, q.max, q.step];
+        answer = q.correctValue;
+        break;
+      case QUESTION_TYPES.ORDERING:
+        options = q.items;
+        break;
+      default:
+        options = q.options || [];
+        break;
+    }
+
+    lines.push([q.question, q.type, options.join(LIST_SEPARATOR), answer, q.timeLimit ?? '']);
+  }
+
+  return lines.map((cells) => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse either format.
+ *
+ * @param {'json'|'csv'} format
+ * @param {string|Object} data
+ * @returns {{title?:string, theme?:string, questions:Array, rows:number[], errors:Array<{row:number, error:string}>}}
+ */
+function parseQuizImport(format, data) {
+  if (format === 'json') return parseQuizJson(data);
+  if (format === 'csv') return parseQuizCsv(data);
+  return {
+    questions: [],
+    rows: [],
+    errors: [{ row: 0, error: 'format must be "json" or "csv"' }],
+  };
+}
+
+module.exports = {
+  exportQuizJson,
+  exportQuizCsv,
+  parseQuizJson,
+  parseQuizCsv,
+  parseQuizImport,
+};
@@ -0,0 +1,187 @@
+// node-client/quizzes.js
+
+/**
+ * Quiz library (SQLite)
+ * ---------------------
+ * Saved quizzes owned by users. A quiz has a title, a theme and an ordered
+ * list of questions; each question is stored in its authored shape (see
+ * toAuthoredQuestion in ./questions) so it can be edited and re-normalized
+ * whenever it is loaded into a game.
+ *
+ * quiz = {
+ *   id, owner, title, theme, createdAt, updatedAt,
+ *   questions: Array<{ type, question, ...settings }>
+ * }
+ */
+
+const db = require('./db');
+const { normalizeQuestion, toAuthoredQuestion } = require('./questions');
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_QUIZ_QUESTIONS = 100;
+
+const listQuizzesStmt = db.prepare(`
+  SELECT q.id, q.title, q.theme, q.created_at, q.updated_at,
+         (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = q.id) AS question_count
+  FROM quizzes q
+  WHERE q.owner_id = ?
+  ORDER BY q.updated_at DESC, q.id DESC
+`);
+
+const findQuizStmt = db.prepare(`
+  SELECT q.*, u.username AS owner
+  FROM quizzes q
+  JOIN users u ON u.id = q.owner_id
+  WHERE q.id = ?
+`);
+
+const listQuestionsStmt = db.prepare(`
+  SELECT type, question, settings
+  FROM quiz_questions
+  WHERE quiz_id = ?
+  ORDER BY position
+`);
+
+const insertQuizStmt = db.prepare(`
+  INSERT INTO quizzes (owner_id, title, theme) VALUES (?, ?, ?)
+`);
+
+const updateQuizStmt = db.prepare(`
+  UPDATE quizzes SET title = ?, theme = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+const deleteQuizStmt = db.prepare(`DELETE FROM quizzes WHERE id = ?`);
+
+const insertQuestionStmt = db.prepare(`
+  INSERT INTO quiz_questions (quiz_id, position, type, question, settings)
+  VALUES (?, ?, ?, ?, ?)
+`);
+
+const deleteQuestionsStmt = db.prepare(`DELETE FROM quiz_questions WHERE quiz_id = ?`);
+
+/**
+ * Validate a quiz payload from the API.
+ *
+ * @param {{title?:string, theme?:string, questions?:Array}} input
+ * @returns {{quiz:{title:string, theme:string, questions:Array}}|{error:string}}
+ */
+function normalizeQuiz(input = {}) {
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  if (!title) return { error: 'Quiz title is required' };
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `Quiz title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+
+  const theme = typeof input.theme === 'string' ? input.theme.trim() : '';
+
+  const list = Array.isArray(input.questions) ? input.questions : [];
+  if (list.length > MAX_QUIZ_QUESTIONS) {
+    return { error: `A quiz can have at most ${MAX_QUIZ_QUESTIONS} questions` };
+  }
+
+  const questions = [];
+  for (let i = 0; i < list.length; i++) {
+    // Library questions use `type`; normalizeQuestion expects the protocol's `questionType`
+    const { type, ...fields } = list[i] || {};
+    const { question, error } = normalizeQuestion({ ...fields, questionType: type });
+    if (error) return { error: `Question ${i + 1}: ${error}` };
+    questions.push(toAuthoredQuestion(question));
+  }
+
+  return { quiz: { title, theme, questions } };
+}
+
+/**
+ * Replace a quiz's questions, preserving the given order.
+ */
+function writeQuestions(quizId, questions) {
+  deleteQuestionsStmt.run(quizId);
+  questions.forEach(({ type, question, ...settings }, position) => {
+    insertQuestionStmt.run(quizId, position, type, question, JSON.stringify(settings));
+  });
+}
+
+/**
+ * Quizzes owned by a user, most recently edited first (without questions).
+ *
+ * @param {number} ownerId
+ */
+function listQuizzes(ownerId) {
+  return listQuizzesStmt.all(ownerId).map((row) => ({
+    id: row.id,
+    title: row.title,
+    theme: row.theme ?? '',
+    questionCount: row.question_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  }));
+}
+
+/**
+ * A quiz with its ordered questions, or null if it doesn't exist.
+ *
+ * @param {number} id
+ */
+function getQuiz(id) {
+  const row = findQuizStmt.get(id);
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    owner: row.owner,
+    ownerId: row.owner_id,
+    title: row.title,
+    theme: row.theme ?? '',
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    questions: listQuestionsStmt.all(id).map((q) => ({
+      type: q.type,
+      question: q.question,
+      ...JSON.parse(q.settings || '{}'),
+    })),
+  };
+}
+
+/**
+ * Create a quiz for a user.
+ *
+ * @param {number} ownerId
+ * @param {Object} quiz - output of normalizeQuiz
+ * @returns {Object} the stored quiz
+ */
+const createQuiz = db.transaction((ownerId, { title, theme, questions }) => {
+  const { lastInsertRowid } = insertQuizStmt.run(ownerId, title, theme);
+  writeQuestions(lastInsertRowid, questions);
+  return getQuiz(lastInsertRowid);
+});
+
+/**
+ * Overwrite a quiz's title, theme and questions.
+ *
+ * @param {number} id
+ * @param {Object} quiz - output of normalizeQuiz
+ * @returns {Object} the stored quiz
+ */
+const updateQuiz = db.transaction((id, { title, theme, questions }) => {
+  updateQuizStmt.run(title, theme, id);
+  writeQuestions(id, questions);
+  return getQuiz(id);
+});
+
+/**
+ * Delete a quiz (its questions cascade).
+ *
+ * @param {number} id
+ */
+function deleteQuiz(id) {
+  deleteQuizStmt.run(id);
+}
+
+module.exports = {
+  normalizeQuiz,
+  listQuizzes,
+  getQuiz,
+  createQuiz,
+  updateQuiz,
+  deleteQuiz,
+};
@@ -0,0 +1,86 @@
+// node-client/rate-limit.js
+
+/**
+ * Failed-join rate limiting
+ * -------------------------
+ * Counts recent failures per key and refuses further attempts once any of a
+ * caller's keys reaches the limit within the window. The TCP server keys
+ * failures by connection and username, the HTTP bridge by IP and account;
+ * both read the same JOIN_FAILURE_LIMIT / JOIN_FAILURE_WINDOW_MS settings.
+ */
+
+// Failed JOIN_GAME attempts (unknown PIN, wrong password or invite code)
+// allowed per key within the window before joins are refused
+const JOIN_FAILURE_LIMIT = Number(process.env.JOIN_FAILURE_LIMIT) || 5;
+const JOIN_FAILURE_WINDOW_MS = Number(process.env.JOIN_FAILURE_WINDOW_MS) || 60 * 1000;
+
+/**
+ * Create a limiter with its own failure log.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {number} [options.windowMs]
+ * @param {() => number} [options.now] - clock, in ms
+ * @returns {{retryAfterMs:(keys:Array) => number, record:(keys:Array) => void, sweep:() => void}}
+ *   keys are anything usable as a Map key (strings, or objects such as a connection)
+ */
+function createFailureLimiter({
+  limit = JOIN_FAILURE_LIMIT,
+  windowMs = JOIN_FAILURE_WINDOW_MS,
+  now = Date.now,
+} = {}) {
+  // key -> recent failure timestamps, oldest first
+  const failures = new Map();
+
+  function prune(list, t) {
+    while (list.length > 0 && list[0] <= t - windowMs) list.shift();
+    return list;
+  }
+
+  return {
+    /**
+     * How long (ms) a caller with these keys must wait before trying again;
+     * 0 when every key is under the limit.
+     */
+    retryAfterMs(keys) {
+      const t = now();
+      let wait = 0;
+      for (const key of keys) {
+        const list = failures.get(key);
+        if (!list) continue;
+        prune(list, t);
+        if (list.length >= limit) {
+          wait = Math.max(wait, list[list.length - limit] + windowMs - t);
+        }
+      }
+      return wait;
+    },
+
+    /**
+     * Count one failure against each key.
+     */
+    record(keys) {
+      const t = now();
+      for (const key of keys) {
+        if (!failures.has(key)) failures.set(key, []);
+        failures.get(key).push(t);
+      }
+    },
+
+    /**
+     * Forget keys whose failures have all aged out of the window.
+     */
+    sweep() {
+      const t = now();
+      for (const [key, list] of failures) {
+        if (prune(list, t).length === 0) failures.delete(key);
+      }
+    },
+  };
+}
+
+module.exports = {
+  JOIN_FAILURE_LIMIT,
+  JOIN_FAILURE_WINDOW_MS,
+  createFailureLimiter,
+};
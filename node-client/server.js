@@ -8,26 +8,121 @@
  * Responsibilities:
  * - Accept TCP client connections (one per browser user via the Node HTTP bridge)
  * - Track connected clients (username, current game PIN, framing buffer)
- * - Maintain all game state in memory (games map)
+ * - Maintain all game state in memory (games map), snapshotted to SQLite so
+ *   live games survive a restart (see snapshots.js)
  * - Broadcast state updates to all clients in the same game (by PIN)
  *
  * Notes:
  * - Incoming messages must be valid JSON objects/arrays and delimited by '\n'
  * - This server is bound to 127.0.0.1 for internal-only access (the Node HTTP API bridges to it)
+ * - Clients should open with HELLO { version, minVersion?, features } to agree on a
+ *   protocol version and optional features. Clients that go straight to REGISTER are
+ *   treated as protocol version 1 and get only its message shapes and events.
  */
 
 const net = require('net');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const {
+  QUESTION_TYPES,
+  DEFAULT_MAX_POINTS,
+  DEFAULT_MIN_POINTS,
+  normalizeQuestion,
+  normalizeChoice,
+  gradeAnswer,
+  redactQuestion,
+  answerKey,
+  tallyChoices,
+} = require('./questions');
+const quizzes = require('./quizzes');
+const history = require('./history');
+const snapshots = require('./snapshots');
+const { JOIN_FAILURE_WINDOW_MS, createFailureLimiter } = require('./rate-limit');
 
 // TCP server port (default 4000)
 const TCP_PORT = process.env.TCP_PORT || 4000;
 
-// client = { socket, username, currentPin, buffer }
+// Protocol versions this server speaks. Version 1 is the original protocol,
+// before HELLO existed. Version 2 adds the handshake, and ERROR replies name
+// the request that failed (`request`).
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Optional capabilities; HELLO settles on the ones both sides support
+const SERVER_FEATURES = [
+  'questionTimers',
+  'results',
+  'polls',
+  'gameState',
+  'presence',
+  'spectators',
+  'expiry',
+  'moderation',
+  'joinAccess',
+  'presenter',
+];
+
+// Every event added after version 1, only sent to clients that negotiated its
+// feature (version 1 has no optional features). Version 1 events (PLAYER_JOINED,
+// NEXT_QUESTION, SCORE_UPDATE, GAME_ENDED, ...) still go to everyone.
+const EVENT_FEATURES = {
+  QUESTION_OPENED: 'questionTimers',
+  QUESTION_CLOSED: 'questionTimers',
+  QUESTION_RESULTS: 'results',
+  POLL_RESULTS: 'polls',
+  GAME_STATE: 'gameState',
+  PLAYER_DISCONNECTED: 'presence',
+  PLAYER_RECONNECTED: 'presence',
+  HOST_CHANGED: 'presence',
+  SPECTATOR_JOINED: 'spectators',
+  SPECTATOR_LEFT: 'spectators',
+  GAME_EXPIRING: 'expiry',
+  GAME_EXPIRED: 'expiry',
+  KICKED: 'moderation',
+  PLAYER_KICKED: 'moderation',
+  PLAYER_BANNED: 'moderation',
+  GAME_LOCKED: 'moderation',
+};
+
+// Gated events that are also the direct reply to a request. The client that
+// sent the request always gets its reply, whatever it negotiated, so it's
+// never left waiting on an answer that was filtered out.
+const REQUEST_REPLIES = {
+  GET_GAME_STATE: 'GAME_STATE',
+  KICK_PLAYER: 'PLAYER_KICKED',
+  BAN_PLAYER: 'PLAYER_BANNED',
+  LOCK_GAME: 'GAME_LOCKED',
+};
+
+// Clients that never said HELLO: version 1 shapes and events
+const LEGACY_PROTOCOL = { version: 1, features: new Set() };
+
+// socket -> negotiated { version, features: Set<string> }
+const protocols = new WeakMap();
+
+// socket -> type of the message being handled, so an ERROR sent back can say
+// which request failed. Each connection's messages are handled one at a time.
+const activeRequests = new WeakMap();
+
+// client = { socket, username, currentPin, buffer, queue }
 // - socket: net.Socket
 // - username: string|null (set after REGISTER)
 // - currentPin: string|null (game the client is currently "in")
 // - buffer: string (accumulates incoming TCP data for newline framing)
+// - queue: Promise (the connection's message handling, so messages run in order)
 const tcpClients = new Set();
 
+// Failed JOIN_GAME attempts, counted per connection and per username (which
+// survives reconnecting); see rate-limit.js
+const joinFailures = createFailureLimiter({ now });
+
+// Invite codes avoid look-alike characters (0/O, 1/I) so they can be read aloud
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const MAX_INVITE_CODES = 50;
+const MAX_JOIN_PASSWORD_LENGTH = 100;
+
 /**
  * games Map
  * ---------
@@ -36,12 +131,32 @@ const tcpClients = new Set();
  * game = {
  *   pin, host, state,
  *   theme, isPublic, maxPlayers,
+ *   presenterMode: boolean,    // questions go on a shared screen; player devices are compact controllers
  *   players: Set<string>,
+ *   spectators: Set<string>,   // watch only: never answer, never scored
+ *   banned: Set<string>,       // removed by the host; JOIN_GAME turns them away
+ *   passwordHash: string|null, // bcrypt hash of the join password
+ *   inviteCodes: Set<string>|null,   // unused single-use invite codes (null = none issued)
+ *   locked: boolean,           // JOIN_GAME rejects anyone not already in the game
  *   scores: Map<string, number>,
  *   questions: Array,
+ *   quizId: number|null,       // saved quiz the game was created from (if any)
  *   currentQuestionIndex: number,
+ *   revealedThrough: number,   // answers for questions <= this index are public
+ *   questionOpenedAt: number|null,
+ *   questionDeadline: number|null,   // server clock (ms); answers after this are rejected
+ *   questionClosed: boolean,
+ *   questionTimer: Timeout|null,     // closes the current question at its deadline
+ *   roundPoints: Map<string, number>, // points earned on the current question
  *   answeredByIndex: Map<number, Set<string>>,
- *   createdAt, endedAt
+ *   choicesByIndex: Map<number, Map<string, any>>, // normalized choice per player (null = no answer)
+ *   answerLog: Array<{questionIndex, username, choice, correct, points, responseMs, answeredAt}>,
+ *   winners: string[],         // credited with a win when the game ended
+ *   disconnected: Map<string, number>,  // player -> when their connection dropped
+ *   graceTimers: Map<string, Timeout>,  // removes a disconnected player after the grace period
+ *   lastActivityAt: number,    // last action that moved the game forward (see touchGame)
+ *   expiryWarnedAt: number|null,     // when GAME_EXPIRING went out for the current idle stretch
+ *   createdAt, startedAt, endedAt
  * }
  */
 const games = new Map();
@@ -49,22 +164,135 @@ const games = new Map();
 // Keep ended games around briefly so clients can finish UI / end screens.
 const ENDED_TTL_MS = 2 * 60 * 1000;
 
+// Idle limits per state: a lobby nobody starts, or a game nobody moves forward
+// (no joins, questions, answers or advancing), is expired by the sweeper.
+const LOBBY_IDLE_MS = Number(process.env.LOBBY_IDLE_MS) || 30 * 60 * 1000;
+const IN_PROGRESS_IDLE_MS = Number(process.env.IN_PROGRESS_IDLE_MS) || 10 * 60 * 1000;
+
+// Players get a GAME_EXPIRING warning this long before an idle game expires.
+const EXPIRY_WARNING_MS = Number(process.env.EXPIRY_WARNING_MS) || 60 * 1000;
+
+// How often the sweeper looks for idle and ended games.
+const SWEEP_INTERVAL_MS = Number(process.env.SWEEP_INTERVAL_MS) || 15 * 1000;
+
+// How long a question stays open when it doesn't set its own time limit.
+const DEFAULT_QUESTION_TIME_MS = 15 * 1000;
+
+// How long a player whose connection dropped keeps their seat before being
+// removed from the game (the host also keeps host control until then).
+const DISCONNECT_GRACE_MS = Number(process.env.DISCONNECT_GRACE_MS) || 30 * 1000;
+
+// How often live games are snapshotted to SQLite as a backstop; state
+// transitions and answers are saved as they happen.
+const SNAPSHOT_INTERVAL_MS = 5 * 1000;
+
 function now() {
   return Date.now();
 }
 
 /**
- * Generate a 6-digit PIN as a string.
+ * Generate a 6-digit PIN as a string that no live game is using.
  */
 function generatePin() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  let pin;
+  do {
+    pin = crypto.randomInt(100000, 1000000).toString();
+  } while (games.has(pin));
+  return pin;
+}
+
+/**
+ * Generate `count` distinct invite codes.
+ *
+ * @returns {Set<string>}
+ */
+function generateInviteCodes(count) {
+  const codes = new Set();
+  while (codes.size < count) {
+    let code = '';
+    for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+      code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+    }
+    codes.add(code);
+  }
+  return codes;
+}
+
+/**
+ * The questions a given viewer is allowed to see:
+ * - the host gets the full quiz (including answers)
+ * - players get only the questions asked so far, with answers stripped
+ *   until that question has been revealed
+ *
+ * @param {Object} game
+ * @param {string|null} viewer - username of the recipient
+ * @returns {Array}
+ */
+function questionsForViewer(game, viewer) {
+  const questions = game.questions || [];
+  if (viewer && isHost(game, viewer)) return questions;
+
+  // Nothing has been asked yet
+  if (game.state === 'lobby') return [];
+
+  const revealedThrough = game.revealedThrough ?? -1;
+  const visibleThrough =
+    game.state === 'ended'
+      ? questions.length - 1
+      : Math.min(game.currentQuestionIndex ?? 0, questions.length - 1);
+
+  return questions
+    .slice(0, visibleThrough + 1)
+    .map((q, i) => (i <= revealedThrough ? q : redactQuestion(q)));
+}
+
+/**
+ * Load a saved quiz's questions for a new game hosted by `hostUser`.
+ * Questions are re-normalized so ordering items get a fresh shuffle.
+ *
+ * @returns {{quiz:Object, questions:Array}|{error:string}}
+ */
+function loadQuizForGame(quizId, hostUser) {
+  const quiz = quizzes.getQuiz(Number(quizId));
+  if (!quiz) return { error: 'Quiz not found' };
+  if (quiz.owner !== hostUser) return { error: 'You can only host your own quizzes' };
+
+  const questions = [];
+  for (const { type, ...fields } of quiz.questions) {
+    const { question, error } = normalizeQuestion({ ...fields, questionType: type });
+    if (error) return { error: `Saved quiz has an invalid question: ${error}` };
+    questions.push({ username: hostUser, ...question });
+  }
+
+  return { quiz, questions };
+}
+
+/**
+ * Vote totals per option for a poll question (null if the question isn't a poll).
+ *
+ * @param {Object} game
+ * @param {number} idx - question index
+ * @returns {number[]|null}
+ */
+function pollCounts(game, idx) {
+  const question = (game.questions || [])[idx];
+  if (!question || question.type !== QUESTION_TYPES.POLL) return null;
+
+  return tallyChoices(question, (game.choicesByIndex?.get(idx) || new Map()).values());
 }
 
 /**
  * Convert internal game object (with Sets/Maps) to a plain JSON-safe object.
  * This is what we ship to clients.
+ *
+ * The payload is tailored to the recipient (see questionsForViewer), so never
+ * reuse one viewer's serialization for another.
+ *
+ * @param {Object} game
+ * @param {string|null} [viewer] - username of the recipient (null = anonymous player view)
  */
-function serializeGame(game) {
+function serializeGame(game, viewer = null) {
+  const questions = game.questions || [];
   return {
     pin: game.pin,
     host: game.host,
@@ -72,20 +300,78 @@ function serializeGame(game) {
     theme: game.theme ?? '',
     isPublic: !!game.isPublic,
     maxPlayers: game.maxPlayers ?? 20,
+    presenterMode: !!game.presenterMode,
+    // Locked games turn away newcomers; only the host sees who is banned
+    locked: !!game.locked,
+    banned: viewer && isHost(game, viewer) ? Array.from(game.banned || []) : [],
+    // Newcomers need the password or an invite code; only the host sees the unused codes
+    hasPassword: !!game.passwordHash,
+    inviteOnly: !!game.inviteCodes,
+    inviteCodes: viewer && isHost(game, viewer) ? Array.from(game.inviteCodes || []) : [],
     players: Array.from(game.players),
+    spectators: Array.from(game.spectators || []),
+    // Players whose connection dropped and who are within their grace period
+    disconnected: Array.from((game.disconnected || new Map()).keys()),
     scores: Object.fromEntries(game.scores.entries()),
-    questions: game.questions || [],
+    questions: questionsForViewer(game, viewer),
+    questionCount: questions.length,
+    // Who has contributed a question (lets the lobby show checkmarks without the questions)
+    submittedBy: Array.from(new Set(questions.map((q) => q.username))),
     currentQuestionIndex: game.currentQuestionIndex ?? 0,
+    revealedThrough: game.revealedThrough ?? -1,
+    questionOpenedAt: game.questionOpenedAt ?? null,
+    questionDeadline: game.questionDeadline ?? null,
+    questionClosed: !!game.questionClosed,
+    // How many players have answered the current question (who and what stays private)
+    answeredCount:
+      game.state === 'inProgress'
+        ? game.answeredByIndex?.get(game.currentQuestionIndex ?? 0)?.size ?? 0
+        : 0,
+    // Per-player points for the current question; players only see them once it closes
+    roundPoints:
+      (viewer && isHost(game, viewer)) || game.questionClosed || game.state === 'ended'
+        ? Object.fromEntries((game.roundPoints || new Map()).entries())
+        : {},
+    // Live vote totals when the current question is a poll (polls have nothing to hide)
+    pollCounts: game.state === 'lobby' ? null : pollCounts(game, game.currentQuestionIndex ?? 0),
+    // Lets clients correct for clock skew when rendering the deadline
+    serverNow: now(),
   };
 }
 
 /**
- * Send a message to a specific TCP socket (newline-delimited JSON).
+ * Shape a message for the protocol a client negotiated: events for features it
+ * didn't ask for are dropped (null) unless they answer the request being
+ * handled, and version 2+ errors name the failed request.
+ *
+ * @param {{version:number, features:Set<string>}} protocol
+ * @param {Object} msg
+ * @param {string|null} inReplyTo - type of the request being handled for this client
+ * @returns {Object|null}
+ */
+function adaptMessage(protocol, msg, inReplyTo) {
+  const feature = EVENT_FEATURES[msg.type];
+  const isReply = inReplyTo !== null && REQUEST_REPLIES[inReplyTo] === msg.type;
+  if (feature && !protocol.features.has(feature) && !isReply) return null;
+
+  if (msg.type === 'ERROR' && inReplyTo && protocol.version >= 2) {
+    return { ...msg, request: inReplyTo };
+  }
+  return msg;
+}
+
+/**
+ * Send a message to a specific TCP socket (newline-delimited JSON), adapted to
+ * the protocol that socket negotiated.
  * Errors are logged; send failures are non-fatal for server loop.
  */
 function send(socket, msg) {
+  const inReplyTo = activeRequests.get(socket) ?? null;
+  const out = adaptMessage(protocols.get(socket) || LEGACY_PROTOCOL, msg, inReplyTo);
+  if (!out) return;
+
   try {
-    socket.write(JSON.stringify(msg) + '\n');
+    socket.write(JSON.stringify(out) + '\n');
   } catch (e) {
     console.error('Failed to send to client:', e);
   }
@@ -93,15 +379,28 @@ function send(socket, msg) {
 
 /**
  * Broadcast a message to all connected clients currently in the given game PIN.
+ *
+ * `msg` may be a function `(client) => message` when the payload differs per recipient.
  */
 function broadcastToGame(pin, msg) {
   for (const client of tcpClients) {
     if (client.currentPin === pin) {
-      send(client.socket, msg);
+      send(client.socket, typeof msg === 'function' ? msg(client) : msg);
     }
   }
 }
 
+/**
+ * Broadcast a game-state message, serializing the game separately for each
+ * recipient so players never receive answers they shouldn't see.
+ */
+function broadcastGameState(pin, game, msg) {
+  broadcastToGame(pin, (client) => ({
+    ...msg,
+    game: serializeGame(game, client.username),
+  }));
+}
+
 /**
  * Look up a game by pin. If missing, send an error to the requesting client.
  *
@@ -116,6 +415,26 @@ function requireGame(pin, socket) {
   return game;
 }
 
+/**
+ * Points for a correct answer, scaled linearly by how much of the question's
+ * time window had passed when it arrived.
+ *
+ * @param {Object} question
+ * @param {number} answeredAt - server timestamp of the answer
+ * @param {number} openedAt - server timestamp the question opened
+ * @param {number} deadline - server timestamp the question closes
+ * @returns {number}
+ */
+function speedPoints(question, answeredAt, openedAt, deadline) {
+  const max = question.maxPoints ?? DEFAULT_MAX_POINTS;
+  const min = question.minPoints ?? DEFAULT_MIN_POINTS;
+
+  const windowMs = Math.max(1, deadline - openedAt);
+  const elapsed = Math.min(Math.max(answeredAt - openedAt, 0), windowMs);
+
+  return Math.round(max - (max - min) * (elapsed / windowMs));
+}
+
 /**
  * Host check helper.
  */
@@ -123,8 +442,552 @@ function isHost(game, actor) {
   return game.host === actor;
 }
 
+function isSpectator(game, username) {
+  return !!game.spectators?.has(username);
+}
+
+/**
+ * Anyone taking part in a game: players (including the host) and spectators.
+ */
+function isMember(game, username) {
+  return game.players.has(username) || isHost(game, username) || isSpectator(game, username);
+}
+
+/**
+ * Time limit for a question in ms (questions may carry `timeLimit` in seconds).
+ */
+function questionTimeLimitMs(question) {
+  const seconds = Number(question?.timeLimit);
+  return seconds > 0 ? seconds * 1000 : DEFAULT_QUESTION_TIME_MS;
+}
+
+function clearQuestionTimer(game) {
+  if (game.questionTimer) {
+    clearTimeout(game.questionTimer);
+    game.questionTimer = null;
+  }
+}
+
+/**
+ * Schedule the current question to close at its stored deadline
+ * (immediately if the deadline has already passed, e.g. after a restart).
+ */
+function armQuestionTimer(pin, game) {
+  clearQuestionTimer(game);
+  const remainingMs = Math.max(0, (game.questionDeadline ?? 0) - now());
+  game.questionTimer = setTimeout(() => closeQuestion(pin, game), remainingMs);
+}
+
+/**
+ * Start the clock for the current question.
+ * Callers broadcast their own state transition first (so the deadline travels
+ * with it), then announce the question via broadcastQuestionOpened().
+ */
+function openQuestion(pin, game) {
+  const idx = game.currentQuestionIndex ?? 0;
+  const limitMs = questionTimeLimitMs(game.questions[idx]);
+
+  game.questionOpenedAt = now();
+  game.questionDeadline = game.questionOpenedAt + limitMs;
+  game.questionClosed = false;
+  game.roundPoints = new Map();
+  armQuestionTimer(pin, game);
+  persistGame(game);
+}
+
+function broadcastQuestionOpened(pin, game) {
+  broadcastGameState(pin, game, {
+    type: 'QUESTION_OPENED',
+    pin,
+    questionIndex: game.currentQuestionIndex ?? 0,
+    openedAt: game.questionOpenedAt,
+    deadline: game.questionDeadline,
+  });
+}
+
+/**
+ * Close the current question (idempotent): stop accepting answers,
+ * reveal its answer and notify everyone in the game.
+ */
+function closeQuestion(pin, game) {
+  if (game.state !== 'inProgress' || game.questionClosed) return;
+
+  clearQuestionTimer(game);
+
+  const idx = game.currentQuestionIndex ?? 0;
+  game.questionClosed = true;
+  game.revealedThrough = Math.max(game.revealedThrough ?? -1, idx);
+  persistGame(game);
+
+  broadcastGameState(pin, game, { type: 'QUESTION_CLOSED', pin, questionIndex: idx });
+  broadcastQuestionResults(pin, game, idx);
+}
+
+/**
+ * Build the QUESTION_RESULTS reveal for a closed question: its answer, how
+ * the room answered, and what `viewer` picked and whether it was right.
+ *
+ * @returns {Object|null} null if there is no such question
+ */
+function questionResults(game, idx, viewer) {
+  const question = (game.questions || [])[idx];
+  if (!question) return null;
+
+  const choices = game.choicesByIndex.get(idx) || new Map();
+  const correctCount = Array.from(choices.values()).filter(
+    (choice) => gradeAnswer(question, choice).correct
+  ).length;
+
+  const summary = {
+    type: 'QUESTION_RESULTS',
+    pin: game.pin,
+    questionIndex: idx,
+    questionType: question.type,
+    correctAnswer: answerKey(question),
+    counts: tallyChoices(question, choices.values()),
+    answered: choices.size,
+    correctCount,
+  };
+
+  if (!choices.has(viewer)) return { ...summary, you: null };
+
+  return {
+    ...summary,
+    you: {
+      choice: choices.get(viewer),
+      correct: gradeAnswer(question, choices.get(viewer)).correct,
+      pointsEarned: game.roundPoints.get(viewer) || 0,
+    },
+  };
+}
+
+/**
+ * Reveal a closed question to everyone in the game (see questionResults).
+ */
+function broadcastQuestionResults(pin, game, idx) {
+  if (!(game.questions || [])[idx]) return;
+  broadcastToGame(pin, (recipient) => questionResults(game, idx, recipient.username));
+}
+
+/**
+ * The game a user currently belongs to, for clients that lost track of it
+ * (page refresh, dropped bridge connection). Live games win over ended ones
+ * still waiting out their TTL.
+ *
+ * @param {string} username
+ * @returns {Object|null} game
+ */
+function findGameForUser(username) {
+  let ended = null;
+  for (const game of games.values()) {
+    if (!isMember(game, username)) continue;
+    if (game.state !== 'ended') return game;
+    if (!ended || (game.endedAt ?? 0) > (ended.endedAt ?? 0)) ended = game;
+  }
+  return ended;
+}
+
+/**
+ * Everything a client needs to rebuild its view of `game` from scratch:
+ * the usual per-viewer snapshot plus this player's own progress on the
+ * current question, the reveal if it has closed, and the winners once over.
+ */
+function gameStateFor(game, viewer) {
+  const idx = game.currentQuestionIndex ?? 0;
+  const choices = game.choicesByIndex.get(idx);
+
+  return {
+    type: 'GAME_STATE',
+    pin: game.pin,
+    game: serializeGame(game, viewer),
+    you: {
+      username: viewer,
+      role: isSpectator(game, viewer) ? 'spectator' : 'player',
+      isHost: isHost(game, viewer),
+      answered: game.state === 'inProgress' && !!game.answeredByIndex.get(idx)?.has(viewer),
+      choice: choices?.has(viewer) ? choices.get(viewer) : null,
+    },
+    questionResults:
+      game.state === 'inProgress' && game.questionClosed
+        ? questionResults(game, idx, viewer)
+        : null,
+    winners: game.state === 'ended' ? game.winners || [] : [],
+  };
+}
+
+/**
+ * Whether `username` has a live connection subscribed to game `pin`.
+ */
+function isUserConnected(pin, username) {
+  for (const client of tcpClients) {
+    if (client.username === username && client.currentPin === pin) return true;
+  }
+  return false;
+}
+
+/**
+ * Pick a new host when the current one leaves: the first player who is still
+ * connected, falling back to anyone left in the game.
+ *
+ * @returns {string|null}
+ */
+function pickNewHost(game) {
+  const players = Array.from(game.players);
+  return players.find((p) => !game.disconnected.has(p)) ?? players[0] ?? null;
+}
+
+function clearGraceTimer(game, username) {
+  const timer = game.graceTimers.get(username);
+  if (timer) {
+    clearTimeout(timer);
+    game.graceTimers.delete(username);
+  }
+}
+
+/**
+ * Take a player out of a game (they left, or their grace period ran out).
+ * Scores are kept once the game has started so end screens don't "lose"
+ * players. A departing host hands control to a connected player, and a game
+ * with nobody left is deleted.
+ *
+ * @param {string} pin
+ * @param {Object} game
+ * @param {string} username
+ * @param {'left'|'timeout'|'kicked'|'banned'} reason
+ */
+function removePlayer(pin, game, username, reason) {
+  clearGraceTimer(game, username);
+  game.disconnected.delete(username);
+  game.players.delete(username);
+
+  // If in lobby, remove score entry as well
+  if (game.state === 'lobby') {
+    game.scores.delete(username);
+  }
+
+  // If host left, reassign host if possible
+  const wasHost = isHost(game, username);
+  if (wasHost && game.players.size > 0) {
+    game.host = pickNewHost(game);
+  }
+
+  broadcastGameState(pin, game, { type: 'PLAYER_LEFT', pin, username, reason });
+  if (wasHost && game.players.size > 0) {
+    broadcastGameState(pin, game, {
+      type: 'HOST_CHANGED',
+      pin,
+      host: game.host,
+      previousHost: username,
+    });
+  }
+
+  // If no players remain, delete the game immediately; anyone still watching
+  // is told it's over instead of being left on a game that no longer exists
+  if (game.players.size === 0) {
+    if (game.spectators.size > 0) {
+      broadcastGameState(pin, game, {
+        type: 'GAME_ENDED',
+        pin,
+        winners: [],
+        message: 'Every player has left, so this game is over.',
+      });
+    }
+    discardGame(pin, game);
+  } else {
+    persistGame(game);
+  }
+}
+
+/**
+ * Stop a spectator watching a game (they left, their grace period ran out, or
+ * the host removed them).
+ *
+ * @param {'left'|'timeout'|'kicked'|'banned'} reason
+ */
+function removeSpectator(pin, game, username, reason) {
+  clearGraceTimer(game, username);
+  game.disconnected.delete(username);
+  game.spectators.delete(username);
+
+  broadcastGameState(pin, game, { type: 'SPECTATOR_LEFT', pin, username, reason });
+  persistGame(game);
+}
+
+/**
+ * Host moderation: tell the member's connections they were removed (so their
+ * client can leave the game screen), unsubscribe them, then take them out of
+ * the game like any other departure.
+ *
+ * @param {'kicked'|'banned'} reason
+ */
+function kickMember(pin, game, username, reason) {
+  for (const client of tcpClients) {
+    if (client.username !== username || client.currentPin !== pin) continue;
+    send(client.socket, {
+      type: 'KICKED',
+      pin,
+      reason,
+      message:
+        reason === 'banned'
+          ? 'The host has banned you from this game.'
+          : 'The host has removed you from this game.',
+    });
+    client.currentPin = null;
+  }
+
+  if (isSpectator(game, username)) removeSpectator(pin, game, username, reason);
+  else removePlayer(pin, game, username, reason);
+}
+
+/**
+ * Check a newcomer's credentials for a password- or invite-protected game.
+ * Either the join password or one of the unused invite codes lets them in;
+ * the matched code is returned so it can be spent once the join succeeds.
+ * `attempted` is false when nothing was supplied, which isn't a failed guess.
+ *
+ * @returns {Promise<{ok: boolean, inviteCode?: string, error?: string, attempted?: boolean}>}
+ */
+async function checkJoinAccess(game, password, inviteCode) {
+  if (!game.passwordHash && !game.inviteCodes) return { ok: true };
+
+  const code = typeof inviteCode === 'string' ? inviteCode.trim().toUpperCase() : '';
+  if (code && game.inviteCodes?.has(code)) return { ok: true, inviteCode: code };
+
+  const hasPassword = typeof password === 'string' && password.length > 0;
+  if (hasPassword && game.passwordHash && (await bcrypt.compare(password, game.passwordHash))) {
+    return { ok: true };
+  }
+
+  const needs = [game.passwordHash && 'password', game.inviteCodes && 'invite code']
+    .filter(Boolean)
+    .join(' or ');
+
+  if (!code && !hasPassword) {
+    return { ok: false, attempted: false, error: `This game needs a ${needs}` };
+  }
+  return { ok: false, attempted: true, error: `Incorrect ${needs}` };
+}
+
+/**
+ * The rate-limit keys for a JOIN_GAME: this connection, and the user on any connection.
+ */
+function joinFailureKeys(client, username) {
+  return [client, `user:${username}`];
+}
+
+/**
+ * Drop a game from memory and storage without recording it, stopping its
+ * timers and unsubscribing anyone still attached to it.
+ */
+function discardGame(pin, game) {
+  clearQuestionTimer(game);
+  for (const username of Array.from(game.graceTimers.keys())) clearGraceTimer(game, username);
+
+  games.delete(pin);
+  forgetGame(pin);
+
+  for (const client of tcpClients) {
+    if (client.currentPin === pin) client.currentPin = null;
+  }
+}
+
+/**
+ * Record activity that moves a game forward (joins, questions, answers,
+ * advancing), pushing back its idle expiry. Chat doesn't count, so a room
+ * that only talks still expires.
+ */
+function touchGame(game) {
+  game.lastActivityAt = now();
+  game.expiryWarnedAt = null;
+}
+
+function idleLimitMs(game) {
+  if (game.state === 'lobby') return LOBBY_IDLE_MS;
+  if (game.state === 'inProgress') return IN_PROGRESS_IDLE_MS;
+  return null;
+}
+
+/**
+ * Human-readable duration for expiry messages, e.g. "30 minutes" or "45 seconds".
+ */
+function describeDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes >= 1) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  return `${seconds} second${seconds === 1 ? '' : 's'}`;
+}
+
+/**
+ * Expire an idle game. Lobbies are simply deleted; games in progress are
+ * ended (and recorded as incomplete) first so players still get their final
+ * standings.
+ */
+function expireGame(pin, game) {
+  const wasState = game.state;
+  const idleFor = describeDuration(idleLimitMs(game));
+
+  broadcastToGame(pin, {
+    type: 'GAME_EXPIRED',
+    pin,
+    state: wasState,
+    message:
+      wasState === 'lobby'
+        ? `This lobby was closed after ${idleFor} without activity.`
+        : `This game was ended after ${idleFor} without activity.`,
+  });
+
+  console.log('Expiring idle game', pin, 'in state', wasState);
+
+  // Abandoned, not finished: recorded without crediting any wins
+  if (wasState === 'inProgress') endGame(pin, game, false);
+  else discardGame(pin, game);
+}
+
+/**
+ * Background sweep: drop ended games past their TTL, warn idle games that are
+ * about to expire, and expire the ones that ran out of time.
+ */
+function sweepGames() {
+  cleanupEndedGames();
+
+  const t = now();
+  for (const [pin, game] of Array.from(games.entries())) {
+    const limit = idleLimitMs(game);
+    if (!limit) continue;
+
+    const expiresAt = (game.lastActivityAt ?? game.createdAt ?? t) + limit;
+    if (t >= expiresAt) {
+      expireGame(pin, game);
+    } else if (!game.expiryWarnedAt && t >= expiresAt - EXPIRY_WARNING_MS) {
+      game.expiryWarnedAt = t;
+      broadcastToGame(pin, { type: 'GAME_EXPIRING', pin, expiresAt, serverNow: t });
+    }
+  }
+}
+
+/**
+ * A player's connection dropped: keep their seat for DISCONNECT_GRACE_MS,
+ * then remove them (handing off host control if needed).
+ *
+ * @param {boolean} [announce=true] - broadcast PLAYER_DISCONNECTED (skipped on restore)
+ */
+function markDisconnected(pin, game, username, announce = true) {
+  if (game.state === 'ended' || !isMember(game, username)) return;
+  if (game.disconnected.has(username)) return;
+
+  game.disconnected.set(username, now());
+  game.graceTimers.set(
+    username,
+    setTimeout(() => {
+      game.graceTimers.delete(username);
+      if (games.get(pin) !== game || game.state === 'ended') return;
+      if (isSpectator(game, username)) removeSpectator(pin, game, username, 'timeout');
+      else removePlayer(pin, game, username, 'timeout');
+    }, DISCONNECT_GRACE_MS)
+  );
+
+  if (announce) {
+    broadcastGameState(pin, game, {
+      type: 'PLAYER_DISCONNECTED',
+      pin,
+      username,
+      graceMs: DISCONNECT_GRACE_MS,
+    });
+  }
+}
+
+/**
+ * Subscribe a client to a game's broadcasts. If its user was in their grace
+ * period, they are back: cancel the removal and tell the room.
+ */
+function attachClientToGame(client, game) {
+  client.currentPin = game.pin;
+
+  const user = client.username;
+  if (!user || !game.disconnected.has(user)) return;
+
+  clearGraceTimer(game, user);
+  game.disconnected.delete(user);
+  broadcastGameState(game.pin, game, { type: 'PLAYER_RECONNECTED', pin: game.pin, username: user });
+}
+
+/**
+ * Mirror a live game into SQLite so it survives a restart; ended games are
+ * dropped from the snapshot table instead (history has them by then).
+ * Like history writes, failures are logged and never thrown.
+ */
+function persistGame(game) {
+  try {
+    if (game.state === 'ended') snapshots.deleteGame(game.pin);
+    else snapshots.saveGame(game);
+  } catch (e) {
+    console.error('Failed to snapshot game', game.pin, e);
+  }
+}
+
+/**
+ * Forget a game's snapshot once the game is gone from memory.
+ */
+function forgetGame(pin) {
+  try {
+    snapshots.deleteGame(pin);
+  } catch (e) {
+    console.error('Failed to delete game snapshot', pin, e);
+  }
+}
+
+/**
+ * Flush every live game, catching changes not saved as they happened
+ * (disconnects, expiry warnings). Also runs on shutdown.
+ */
+function snapshotLiveGames() {
+  try {
+    snapshots.saveGames(Array.from(games.values()).filter((g) => g.state !== 'ended'));
+  } catch (e) {
+    console.error('Failed to snapshot live games', e);
+  }
+}
+
+/**
+ * Load games saved before the last shutdown and re-arm open questions from
+ * their stored deadlines. Clients rejoin them on REGISTER.
+ */
+function restoreGames() {
+  let restored = [];
+  try {
+    restored = snapshots.loadGames();
+  } catch (e) {
+    console.error('Failed to load game snapshots', e);
+  }
+
+  for (const game of restored) {
+    if (game.state === 'ended') {
+      forgetGame(game.pin);
+      continue;
+    }
+
+    games.set(game.pin, game);
+
+    // Downtime isn't idleness; the expiry clock starts over from the restart
+    touchGame(game);
+
+    if (game.state === 'inProgress' && !game.questionClosed) {
+      armQuestionTimer(game.pin, game);
+    }
+
+    // Nobody is connected yet; everyone gets a fresh grace period to come back
+    game.disconnected = new Map();
+    for (const member of [...game.players, ...game.spectators]) {
+      markDisconnected(game.pin, game, member, false);
+    }
+  }
+
+  if (restored.length > 0) console.log('Restored', games.size, 'game(s) from snapshots');
+}
+
 /**
  * Remove ended games after a TTL so memory doesn't grow indefinitely.
+ * Runs from the background sweeper (and before listing games).
  */
 function cleanupEndedGames() {
   const t = now();
@@ -138,21 +1001,67 @@ function cleanupEndedGames() {
   }
 }
 
+/**
+ * Write a finished game to the history tables (which also credits wins for
+ * completed games). Failures are logged, never thrown, so a database problem
+ * can't take down the game loop.
+ *
+ * @returns {string[]} usernames credited with a win
+ */
+function recordFinishedGame(game, completed) {
+  try {
+    const { winners } = history.recordGame({
+      pin: game.pin,
+      host: game.host,
+      theme: game.theme,
+      quizId: game.quizId,
+      startedAt: game.startedAt ?? game.createdAt,
+      endedAt: game.endedAt,
+      completed,
+      questions: game.questions,
+      scores: game.scores,
+      answers: game.answerLog,
+    });
+    return winners;
+  } catch (e) {
+    console.error('Failed to record game history for', game.pin, e);
+    return [];
+  }
+}
+
 /**
  * End a game (idempotent) and notify all players.
+ * Games that were actually played are recorded to history; completed ones
+ * with more than one player credit a win to every top scorer (sent along as
+ * `winners`).
+ *
+ * @param {boolean} [completable] - false when the game was cut short (idle
+ *   expiry), so it is never counted as completed even on its last question
  */
-function endGame(pin, game) {
+function endGame(pin, game, completable = true) {
   // idempotent: if already ended, do nothing
   if (game.state === 'ended') return;
 
+  clearQuestionTimer(game);
+
+  // A game "completes" once its last question has been asked
+  const wasPlayed = game.state === 'inProgress';
+  const completed =
+    completable &&
+    wasPlayed &&
+    (game.currentQuestionIndex ?? 0) >= (game.questions || []).length - 1;
+
   game.state = 'ended';
   game.endedAt = now();
 
-  broadcastToGame(pin, {
-    type: 'GAME_ENDED',
-    pin,
-    game: serializeGame(game),
-  });
+  const winners = wasPlayed ? recordFinishedGame(game, completed) : [];
+  game.winners = winners;
+  persistGame(game);
+
+  // Everything is public once the game is over
+  game.revealedThrough = (game.questions || []).length - 1;
+
+  broadcastGameState(pin, game, { type: 'GAME_ENDED', pin, winners });
 }
 
 /**
@@ -160,7 +1069,13 @@ function endGame(pin, game) {
  */
 const server = net.createServer((socket) => {
   // Track client connection state in-memory
-  const client = { socket, username: null, currentPin: null, buffer: '' };
+  const client = {
+    socket,
+    username: null,
+    currentPin: null,
+    buffer: '',
+    queue: Promise.resolve(),
+  };
   tcpClients.add(client);
 
   /**
@@ -168,7 +1083,7 @@ const server = net.createServer((socket) => {
    * - Accumulate data into buffer
    * - Split on '\n'
    * - Parse each frame as JSON
-   * - Dispatch to handleMessage()
+   * - Queue each message for dispatchMessage(), in arrival order
    */
   socket.on('data', (data) => {
     client.buffer += data.toString();
@@ -203,14 +1118,22 @@ const server = net.createServer((socket) => {
         continue;
       }
 
-      console.log('handleMessage type:', msg.type, 'raw:', raw);
-      handleMessage(client, msg);
+      // Join passwords stay out of the logs
+      console.log('handleMessage type:', msg.type, 'raw:', msg.password ? '[redacted]' : raw);
+      client.queue = client.queue.then(() => dispatchMessage(client, msg));
     }
   });
 
-  // Cleanup on disconnect
+  // Cleanup on disconnect. The player keeps their seat for a grace period
+  // in case they reconnect (page refresh, bridge restart).
   socket.on('close', () => {
     tcpClients.delete(client);
+
+    const pin = client.currentPin;
+    const game = pin ? games.get(pin) : null;
+    if (game && client.username && !isUserConnected(pin, client.username)) {
+      markDisconnected(pin, game, client.username);
+    }
   });
 
   // Log socket-level errors (connection reset, etc.)
@@ -219,15 +1142,78 @@ const server = net.createServer((socket) => {
   });
 });
 
+/**
+ * Handle one message as the connection's active request. Handlers may await
+ * (password hashing), so the next message from the same connection waits.
+ */
+async function dispatchMessage(client, msg) {
+  activeRequests.set(client.socket, msg.type);
+  try {
+    await handleMessage(client, msg);
+  } catch (err) {
+    console.error(`Failed to handle ${msg.type}:`, err);
+  } finally {
+    activeRequests.delete(client.socket);
+  }
+}
+
 /**
  * Protocol message handler.
  * Each case implements one application-layer message type.
  *
- * @param {{socket:any, username:string|null, currentPin:string|null, buffer:string}} client
+ * @param {{socket:any, username:string|null, currentPin:string|null, buffer:string, queue:Promise<void>}} client
  * @param {any} msg
  */
-function handleMessage(client, msg) {
+async function handleMessage(client, msg) {
   switch (msg.type) {
+    case 'HELLO': {
+      // Versions overlap when the client's [minVersion, version] range meets ours
+      const version = Number(msg.version);
+      const minVersion = msg.minVersion === undefined ? version : Number(msg.minVersion);
+      const compatible =
+        Number.isInteger(version) &&
+        Number.isInteger(minVersion) &&
+        minVersion <= version &&
+        version >= MIN_PROTOCOL_VERSION &&
+        minVersion <= PROTOCOL_VERSION;
+
+      if (!compatible) {
+        send(client.socket, {
+          type: 'ERROR',
+          code: 'INCOMPATIBLE_PROTOCOL',
+          message:
+            `Protocol version ${msg.version} is not supported; this server speaks versions ` +
+            `${MIN_PROTOCOL_VERSION} to ${PROTOCOL_VERSION}. Update the ` +
+            `${version > PROTOCOL_VERSION ? 'game server' : 'client'}.`,
+          minVersion: MIN_PROTOCOL_VERSION,
+          version: PROTOCOL_VERSION,
+        });
+        client.socket.end();
+        return;
+      }
+
+      // The handshake fixes the connection's shapes, so it must come first
+      if (client.username) {
+        send(client.socket, { type: 'ERROR', message: 'HELLO must be sent before REGISTER' });
+        return;
+      }
+
+      // Features arrived with version 2, so a version 1 client gets none of them
+      const negotiated = Math.min(version, PROTOCOL_VERSION);
+      const offered = Array.isArray(msg.features) && negotiated >= 2 ? msg.features : [];
+      const features = SERVER_FEATURES.filter((f) => offered.includes(f));
+      protocols.set(client.socket, { version: negotiated, features: new Set(features) });
+
+      send(client.socket, {
+        type: 'HELLO_OK',
+        version: negotiated,
+        serverVersion: PROTOCOL_VERSION,
+        minVersion: MIN_PROTOCOL_VERSION,
+        features,
+      });
+      break;
+    }
+
     case 'REGISTER': {
       // Associate this TCP connection with a username
       const { username } = msg;
@@ -235,8 +1221,18 @@ function handleMessage(client, msg) {
 
       console.log('REGISTER from', username);
 
+      // A reconnecting player (new bridge session, server restart) picks up
+      // the broadcasts of the game they were in
+      const current = username ? findGameForUser(username) : null;
+      const resumed = current && current.state !== 'ended' ? current : null;
+      if (resumed) attachClientToGame(client, resumed);
+
       // Acknowledge so the HTTP bridge can safely proceed with subsequent calls
-      send(client.socket, { type: 'REGISTER_OK', username });
+      send(client.socket, {
+        type: 'REGISTER_OK',
+        username,
+        game: resumed ? { pin: resumed.pin, state: resumed.state } : null,
+      });
       break;
     }
 
@@ -246,8 +1242,8 @@ function handleMessage(client, msg) {
 
       // Only show joinable games (lobby + public)
       const list = Array.from(games.values())
-        .filter((g) => g.state === 'lobby' && g.isPublic)
-        .map(serializeGame);
+        .filter((g) => g.state === 'lobby' && g.isPublic && !g.locked)
+        .map((g) => serializeGame(g, client.username));
 
       send(client.socket, { type: 'GAMES_LIST', games: list });
       break;
@@ -261,10 +1257,48 @@ function handleMessage(client, msg) {
       }
 
       // Accept optional config fields from the client
-      const { username, theme = '', isPublic = true, maxPlayers = 20 } = msg;
+      const {
+        theme = '',
+        isPublic = true,
+        maxPlayers = 20,
+        quizId = null,
+        presenterMode = false,
+        password = '',
+        inviteCodes = 0,
+      } = msg;
+
+      // Optional protection for newcomers: a join password and/or single-use invite codes
+      if (typeof password !== 'string' || password.length > MAX_JOIN_PASSWORD_LENGTH) {
+        send(client.socket, {
+          type: 'ERROR',
+          message: `Password must be text of at most ${MAX_JOIN_PASSWORD_LENGTH} characters`,
+        });
+        return;
+      }
+      const inviteCount = Number(inviteCodes) || 0;
+      if (!Number.isInteger(inviteCount) || inviteCount < 0 || inviteCount > MAX_INVITE_CODES) {
+        send(client.socket, {
+          type: 'ERROR',
+          message: `inviteCodes must be a whole number from 0 to ${MAX_INVITE_CODES}`,
+        });
+        return;
+      }
 
-      // Prefer explicit username, otherwise fall back to the registered connection username
-      const hostUser = username || client.username;
+      // Games belong to the registered connection; the message can't name another host
+      const hostUser = client.username;
+
+      // Optionally start from a saved quiz instead of an empty lobby
+      let saved = null;
+      if (quizId != null) {
+        saved = loadQuizForGame(quizId, hostUser);
+        if (saved.error) {
+          send(client.socket, { type: 'ERROR', message: saved.error });
+          return;
+        }
+      }
+
+      // Hash before allocating the pin so nothing else can claim it meanwhile
+      const passwordHash = password ? await bcrypt.hash(password, 10) : null;
 
       // Allocate a new game pin
       const pin = generatePin();
@@ -274,46 +1308,141 @@ function handleMessage(client, msg) {
         pin,
         host: hostUser,
         state: 'lobby',
-        theme,
+        theme: theme || saved?.quiz.theme || '',
         isPublic: !!isPublic,
         maxPlayers: Number(maxPlayers) || 20,
+        presenterMode: !!presenterMode,
         players: new Set([hostUser]),
+        spectators: new Set(),
+        banned: new Set(),
+        locked: false,
+        passwordHash,
+        inviteCodes: inviteCount > 0 ? generateInviteCodes(inviteCount) : null,
         scores: new Map([[hostUser, 0]]),
-        questions: [],
+        questions: saved ? saved.questions : [],
+        quizId: saved ? saved.quiz.id : null,
         currentQuestionIndex: 0,
         answeredByIndex: new Map(),
+        choicesByIndex: new Map(),
+        revealedThrough: -1,
+        questionOpenedAt: null,
+        questionDeadline: null,
+        questionClosed: false,
+        questionTimer: null,
+        roundPoints: new Map(),
+        answerLog: [],
+        winners: [],
+        disconnected: new Map(),
+        graceTimers: new Map(),
+        lastActivityAt: now(),
+        expiryWarnedAt: null,
         createdAt: now(),
+        startedAt: null,
         endedAt: null,
       };
 
       games.set(pin, game);
+      persistGame(game);
 
       // Place creator into this game context for future broadcasts
       client.currentPin = pin;
 
       console.log('CREATE_GAME created pin', pin, 'host', hostUser);
-      send(client.socket, { type: 'GAME_CREATED', game: serializeGame(game) });
+      send(client.socket, { type: 'GAME_CREATED', game: serializeGame(game, hostUser) });
       break;
     }
 
     case 'JOIN_GAME': {
-      const { pin, username } = msg;
+      const { pin, role = 'player', password, inviteCode } = msg;
 
-      const game = requireGame(pin, client.socket);
-      if (!game) return;
+      const user = client.username;
+      if (!user) {
+        send(client.socket, { type: 'ERROR', message: 'Not registered' });
+        return;
+      }
 
-      // Can only join while in lobby
-      if (game.state !== 'lobby') {
+      // Too many wrong PINs or passwords shuts this connection and user out for a while
+      const retryAfterMs = joinFailures.retryAfterMs(joinFailureKeys(client, user));
+      if (retryAfterMs > 0) {
         send(client.socket, {
           type: 'ERROR',
-          message: 'Game is not joinable (already started/ended)',
+          message: `Too many failed attempts to join. Try again in ${describeDuration(retryAfterMs)}.`,
+          retryAfterMs,
         });
         return;
       }
 
-      const user = username || client.username;
-      if (!user) {
-        send(client.socket, { type: 'ERROR', message: 'Username is required' });
+      // JOIN_DENIED marks the failures that count toward the limit, so the
+      // bridge can also count them per IP and account
+      const game = games.get(pin);
+      if (!game) {
+        joinFailures.record(joinFailureKeys(client, user));
+        send(client.socket, { type: 'ERROR', code: 'JOIN_DENIED', message: 'Game not found' });
+        return;
+      }
+
+      if (game.banned.has(user)) {
+        send(client.socket, { type: 'ERROR', message: 'You are banned from this game' });
+        return;
+      }
+
+      // A locked game only lets people who are already in it back in
+      if (game.locked && !isMember(game, user)) {
+        send(client.socket, { type: 'ERROR', message: 'Game is locked' });
+        return;
+      }
+
+      // People already in the game (the host included) don't need credentials again
+      let spendInviteCode = null;
+      if (!isMember(game, user)) {
+        const access = await checkJoinAccess(game, password, inviteCode);
+        if (games.get(pin) !== game) {
+          send(client.socket, { type: 'ERROR', message: 'Game not found' });
+          return;
+        }
+        if (!access.ok) {
+          if (access.attempted) joinFailures.record(joinFailureKeys(client, user));
+          send(client.socket, {
+            type: 'ERROR',
+            code: access.attempted ? 'JOIN_DENIED' : undefined,
+            message: access.error,
+          });
+          return;
+        }
+        spendInviteCode = access.inviteCode ?? null;
+      }
+
+      // Spectators may watch a lobby or a game in progress, but never play
+      if (role === 'spectator') {
+        if (game.state === 'ended') {
+          send(client.socket, { type: 'ERROR', message: 'Game has already ended' });
+          return;
+        }
+        if (game.players.has(user)) {
+          send(client.socket, { type: 'ERROR', message: 'You are already playing in this game' });
+          return;
+        }
+
+        game.spectators.add(user);
+        if (spendInviteCode) game.inviteCodes.delete(spendInviteCode);
+        attachClientToGame(client, game);
+        persistGame(game);
+
+        send(client.socket, {
+          type: 'JOINED_GAME',
+          role: 'spectator',
+          game: serializeGame(game, user),
+        });
+        broadcastGameState(pin, game, { type: 'SPECTATOR_JOINED', pin, username: user });
+        break;
+      }
+
+      // Can only join while in lobby
+      if (game.state !== 'lobby') {
+        send(client.socket, {
+          type: 'ERROR',
+          message: 'Game is not joinable (already started/ended)',
+        });
         return;
       }
 
@@ -323,20 +1452,22 @@ function handleMessage(client, msg) {
         return;
       }
 
-      // Add player and initialize score if needed
+      // Add player and initialize score if needed (a lobby spectator may switch to playing)
+      game.spectators.delete(user);
       game.players.add(user);
+      if (spendInviteCode) game.inviteCodes.delete(spendInviteCode);
       if (!game.scores.has(user)) game.scores.set(user, 0);
 
       // Track which game this client is in
-      client.currentPin = pin;
-
-      const gameData = serializeGame(game);
+      attachClientToGame(client, game);
+      touchGame(game);
+      persistGame(game);
 
       // Confirm join to the joining client
-      send(client.socket, { type: 'JOINED_GAME', game: gameData });
+      send(client.socket, { type: 'JOINED_GAME', role: 'player', game: serializeGame(game, user) });
 
       // Notify all players in the game
-      broadcastToGame(pin, { type: 'PLAYER_JOINED', pin, game: gameData });
+      broadcastGameState(pin, game, { type: 'PLAYER_JOINED', pin });
       break;
     }
 
@@ -351,35 +1482,16 @@ function handleMessage(client, msg) {
       const game = games.get(pin);
       if (!game) return;
 
-      // Remove player from the game
-      game.players.delete(user);
-
-      // Keep scores once the game has started so end screens don't "lose" players.
-      // If in lobby, remove score entry as well.
-      if (game.state === 'lobby') {
-        game.scores.delete(user);
-      }
-
       // Clear client game context
       client.currentPin = null;
 
-      // If host left, reassign host if possible
-      if (game.host === user && game.players.size > 0) {
-        game.host = Array.from(game.players)[0];
-      }
-
-      const gameData = serializeGame(game);
-      broadcastToGame(pin, { type: 'PLAYER_LEFT', pin, game: gameData });
-
-      // If no players remain, delete the game immediately
-      if (game.players.size === 0) {
-        games.delete(pin);
-      }
+      if (isSpectator(game, user)) removeSpectator(pin, game, user, 'left');
+      else removePlayer(pin, game, user, 'left');
       break;
     }
 
     case 'SUBMIT_QUESTION': {
-      const { pin, question, answerTrue, username } = msg;
+      const { pin } = msg;
 
       const game = requireGame(pin, client.socket);
       if (!game) return;
@@ -393,24 +1505,42 @@ function handleMessage(client, msg) {
         return;
       }
 
-      const from = username || client.username || 'Unknown';
+      // Validate against the question schema (see questions.js)
+      const { question, error } = normalizeQuestion(msg);
+      if (error) {
+        send(client.socket, { type: 'ERROR', message: error });
+        return;
+      }
+
+      const from = client.username;
+      if (!from) {
+        send(client.socket, { type: 'ERROR', message: 'Not registered' });
+        return;
+      }
+      if (isSpectator(game, from)) {
+        send(client.socket, { type: 'ERROR', message: 'Spectators cannot submit questions' });
+        return;
+      }
       if (!Array.isArray(game.questions)) game.questions = [];
 
       // Store question in the game
-      game.questions.push({
-        username: from,
-        question,
-        answerTrue: !!answerTrue,
-      });
-
-      // Broadcast to lobby so host/players can see question count updates
-      broadcastToGame(pin, {
-        type: 'QUESTION_SUBMITTED',
-        pin,
-        username: from,
-        question,
-        answerTrue: !!answerTrue,
-      });
+      game.questions.push({ username: from, ...question });
+      touchGame(game);
+      persistGame(game);
+
+      // Broadcast to lobby so host/players can see question count updates.
+      // Only the host and the author get to see the question itself.
+      broadcastToGame(pin, (recipient) =>
+        recipient.username === from || isHost(game, recipient.username)
+          ? {
+              type: 'QUESTION_SUBMITTED',
+              pin,
+              username: from,
+              question: question.question,
+              questionType: question.type,
+            }
+          : { type: 'QUESTION_SUBMITTED', pin, username: from }
+      );
       break;
     }
 
@@ -430,8 +1560,8 @@ function handleMessage(client, msg) {
         return;
       }
 
-      // Only host can start
-      const actor = msg.username || client.username || 'Unknown';
+      // Only host can start (as checked against the registered connection)
+      const actor = client.username;
       if (!isHost(game, actor)) {
         send(client.socket, { type: 'ERROR', message: 'Only host can start' });
         return;
@@ -451,18 +1581,23 @@ function handleMessage(client, msg) {
       game.state = 'inProgress';
       game.currentQuestionIndex = 0;
       game.answeredByIndex = new Map();
+      game.choicesByIndex = new Map();
+      game.answerLog = [];
+      game.revealedThrough = -1;
+      game.startedAt = now();
       game.endedAt = null;
+      touchGame(game);
 
-      broadcastToGame(pin, {
-        type: 'GAME_STARTED',
-        pin,
-        game: serializeGame(game),
-      });
+      // Start the first question's clock so its deadline ships with GAME_STARTED
+      openQuestion(pin, game);
+
+      broadcastGameState(pin, game, { type: 'GAME_STARTED', pin });
+      broadcastQuestionOpened(pin, game);
       break;
     }
 
     case 'ANSWER': {
-      const { pin, correct, username } = msg;
+      const { pin, questionIndex, choice } = msg;
 
       const game = requireGame(pin, client.socket);
       if (!game) return;
@@ -470,63 +1605,125 @@ function handleMessage(client, msg) {
       // Ignore answers outside active gameplay
       if (game.state !== 'inProgress') return;
 
-      const user = username || client.username;
+      // Answers only ever count for the registered connection's user
+      const user = client.username;
       if (!user) return;
 
-      // Ensure player exists in state (useful if a client reconnects mid-game)
-      if (!game.players.has(user)) {
-        game.players.add(user);
-        if (!game.scores.has(user)) game.scores.set(user, 0);
-      }
-
       // Determine current question index
       const idx = game.currentQuestionIndex ?? 0;
 
+      // Answers must target the question currently being asked
+      if (!Number.isInteger(questionIndex) || questionIndex !== idx) {
+        send(client.socket, {
+          type: 'ERROR',
+          message: 'Answer is for a stale or invalid question',
+        });
+        return;
+      }
+
+      // The server clock is the only one that counts
+      if (game.questionClosed || now() > (game.questionDeadline ?? 0)) {
+        send(client.socket, { type: 'ERROR', message: 'Time is up for this question' });
+        return;
+      }
+
+      // null means "no answer"; anything else must be a valid option for this question
+      if (choice != null && normalizeChoice(game.questions[idx], choice) === null) {
+        send(client.socket, { type: 'ERROR', message: 'Invalid answer choice' });
+        return;
+      }
+
+      // Only players answer; spectators and strangers are never added to the scores
+      if (!game.players.has(user)) {
+        send(client.socket, {
+          type: 'ERROR',
+          message: isSpectator(game, user)
+            ? 'Spectators cannot answer'
+            : 'You are not a player in this game',
+        });
+        return;
+      }
+
       // Track who has answered per question to prevent double scoring
       if (!game.answeredByIndex.has(idx)) game.answeredByIndex.set(idx, new Set());
       const answeredSet = game.answeredByIndex.get(idx);
 
       // Prevent double-scoring
       if (answeredSet.has(user)) {
-        broadcastToGame(pin, {
+        broadcastGameState(pin, game, {
           type: 'SCORE_UPDATE',
           pin,
-          game: serializeGame(game),
           answeredBy: user,
           correct: false,
+          pointsEarned: 0,
           duplicate: true,
         });
         return;
       }
 
-      // Normalize "correct" into a boolean
-      const isCorrect =
-        correct === true || correct === 'true' || correct === 1 || correct === '1';
+      // Grade against the stored question; the client never decides correctness
+      const question = game.questions[idx];
+      const { correct: isCorrect, credit } = gradeAnswer(question, choice);
+      const answeredAt = now();
 
       answeredSet.add(user);
+      touchGame(game);
+
+      // Remember what they picked, not just that they answered
+      const picked = choice == null ? null : normalizeChoice(question, choice);
+      if (!game.choicesByIndex.has(idx)) game.choicesByIndex.set(idx, new Map());
+      game.choicesByIndex.get(idx).set(user, picked);
 
       // Initialize score slot if missing
       if (!game.scores.has(user)) game.scores.set(user, 0);
 
-      // Award points for correct answer
-      if (isCorrect) {
-        game.scores.set(user, game.scores.get(user) + 100);
-      }
+      // Faster correct answers earn more; close slider answers earn a share
+      const pointsEarned =
+        credit > 0
+          ? Math.round(
+              credit *
+                speedPoints(question, answeredAt, game.questionOpenedAt, game.questionDeadline)
+            )
+          : 0;
+
+      game.scores.set(user, game.scores.get(user) + pointsEarned);
+      game.roundPoints.set(user, pointsEarned);
+
+      // Kept for the game history written when the game ends
+      game.answerLog.push({
+        questionIndex: idx,
+        username: user,
+        choice: picked,
+        correct: isCorrect,
+        points: pointsEarned,
+        responseMs: answeredAt - game.questionOpenedAt,
+        answeredAt,
+      });
+      persistGame(game);
 
-      // Broadcast updated scores/state
-      broadcastToGame(pin, {
+      // Broadcast updated scores/state.
+      // Correctness goes only to the answerer and the host so it can't leak the answer.
+      broadcastToGame(pin, (recipient) => ({
         type: 'SCORE_UPDATE',
         pin,
-        game: serializeGame(game),
+        game: serializeGame(game, recipient.username),
         answeredBy: user,
-        correct: isCorrect,
-      });
+        ...(recipient.username === user || isHost(game, recipient.username)
+          ? { correct: isCorrect, pointsEarned }
+          : {}),
+      }));
+
+      // Polls stream their running totals to everyone as votes come in
+      const counts = pollCounts(game, idx);
+      if (counts) {
+        broadcastToGame(pin, { type: 'POLL_RESULTS', pin, questionIndex: idx, counts });
+      }
 
       break;
     }
 
     case 'NEXT_QUESTION': {
-      const { pin, username } = msg;
+      const { pin } = msg;
 
       const game = requireGame(pin, client.socket);
       if (!game) return;
@@ -537,7 +1734,7 @@ function handleMessage(client, msg) {
       }
 
       // Only host can advance
-      const actor = username || client.username || 'Unknown';
+      const actor = client.username;
       if (!isHost(game, actor)) {
         send(client.socket, {
           type: 'ERROR',
@@ -548,6 +1745,10 @@ function handleMessage(client, msg) {
 
       const total = Array.isArray(game.questions) ? game.questions.length : 0;
 
+      // Host may skip ahead before the timer runs out
+      touchGame(game);
+      closeQuestion(pin, game);
+
       // Increment question index
       const nextIdx = (game.currentQuestionIndex ?? 0) + 1;
       game.currentQuestionIndex = nextIdx;
@@ -558,23 +1759,21 @@ function handleMessage(client, msg) {
         return;
       }
 
-      // Otherwise broadcast updated index
-      broadcastToGame(pin, {
-        type: 'NEXT_QUESTION',
-        pin,
-        game: serializeGame(game),
-      });
+      // Otherwise broadcast updated index and start the new question's clock
+      openQuestion(pin, game);
+      broadcastGameState(pin, game, { type: 'NEXT_QUESTION', pin });
+      broadcastQuestionOpened(pin, game);
       break;
     }
 
     case 'END_GAME': {
-      const { pin, username } = msg;
+      const { pin } = msg;
 
       const game = requireGame(pin, client.socket);
       if (!game) return;
 
       // Only host can end the game early
-      const actor = username || client.username || 'Unknown';
+      const actor = client.username;
       if (!isHost(game, actor)) {
         send(client.socket, { type: 'ERROR', message: 'Only host can end the game' });
         return;
@@ -584,14 +1783,109 @@ function handleMessage(client, msg) {
       break;
     }
 
+    case 'KICK_PLAYER':
+    case 'BAN_PLAYER': {
+      const { pin, target } = msg;
+      const banning = msg.type === 'BAN_PLAYER';
+
+      const game = requireGame(pin, client.socket);
+      if (!game) return;
+
+      // Authority comes from the registered connection, never from the message
+      const actor = client.username;
+      if (!isHost(game, actor)) {
+        send(client.socket, { type: 'ERROR', message: 'Only host can remove players' });
+        return;
+      }
+      if (game.state === 'ended') {
+        send(client.socket, { type: 'ERROR', message: 'Game has already ended' });
+        return;
+      }
+      if (!target || !isMember(game, target)) {
+        send(client.socket, { type: 'ERROR', message: 'Player is not in this game' });
+        return;
+      }
+      if (target === actor) {
+        send(client.socket, { type: 'ERROR', message: 'You cannot remove yourself' });
+        return;
+      }
+
+      // Banned users can't come back through JOIN_GAME, even as spectators
+      if (banning) game.banned.add(target);
+      kickMember(pin, game, target, banning ? 'banned' : 'kicked');
+      touchGame(game);
+
+      send(client.socket, {
+        type: banning ? 'PLAYER_BANNED' : 'PLAYER_KICKED',
+        pin,
+        username: target,
+        game: serializeGame(game, actor),
+      });
+      break;
+    }
+
+    case 'LOCK_GAME': {
+      const { pin, locked } = msg;
+
+      const game = requireGame(pin, client.socket);
+      if (!game) return;
+
+      const actor = client.username;
+      if (!isHost(game, actor)) {
+        send(client.socket, { type: 'ERROR', message: 'Only host can lock the game' });
+        return;
+      }
+      if (game.state === 'ended') {
+        send(client.socket, { type: 'ERROR', message: 'Game has already ended' });
+        return;
+      }
+
+      // Without an explicit value, toggle
+      game.locked = locked === undefined ? !game.locked : !!locked;
+      touchGame(game);
+      persistGame(game);
+
+      broadcastGameState(pin, game, { type: 'GAME_LOCKED', pin, locked: game.locked });
+      break;
+    }
+
+    case 'GET_GAME_STATE': {
+      // Rebuild a client's view of its game, e.g. after a page refresh.
+      // Without a pin, look up whichever game the user is in.
+      const user = client.username;
+      if (!user) {
+        send(client.socket, { type: 'ERROR', message: 'Not registered' });
+        return;
+      }
+
+      const game = msg.pin ? games.get(msg.pin) : findGameForUser(user);
+      if (!game || !isMember(game, user)) {
+        send(client.socket, {
+          type: 'ERROR',
+          message: msg.pin ? 'You are not in this game' : 'You are not in a game',
+        });
+        return;
+      }
+
+      // A fresh connection starts receiving this game's broadcasts again
+      attachClientToGame(client, game);
+
+      send(client.socket, gameStateFor(game, user));
+      break;
+    }
+
     case 'CHAT': {
-      const { pin, message, username } = msg;
+      const { pin, message } = msg;
 
       const game = requireGame(pin, client.socket);
       if (!game) return;
 
-      // Prefer explicit username, otherwise fall back to registered connection username
-      const from = username || client.username || 'Unknown';
+      // Chat is always attributed to the registered connection's user
+      const from = client.username;
+      if (!from) {
+        send(client.socket, { type: 'ERROR', message: 'Not registered' });
+        return;
+      }
 
       broadcastToGame(pin, { type: 'CHAT', pin, from, message });
       break;
@@ -599,10 +1893,29 @@ function handleMessage(client, msg) {
 
     default:
       // Unknown / unsupported protocol message type
-      send(client.socket, { type: 'ERROR', message: `Unknown type: ${msg.type}` });
+      send(client.socket, {
+        type: 'ERROR',
+        code: 'UNSUPPORTED_TYPE',
+        message: `Unknown type: ${msg.type}`,
+      });
   }
 }
 
+// Pick up games that were live before the last shutdown, then keep snapshotting
+restoreGames();
+setInterval(snapshotLiveGames, SNAPSHOT_INTERVAL_MS);
+setInterval(sweepGames, SWEEP_INTERVAL_MS);
+setInterval(joinFailures.sweep, JOIN_FAILURE_WINDOW_MS);
+
+// Save the latest state on the way down so a deploy or Ctrl+C loses nothing
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    console.log(`${signal} received, saving live games`);
+    snapshotLiveGames();
+    process.exit(0);
+  });
+}
+
 // Bind specifically to 127.0.0.1 so the TCP server is internal-only
 server.listen(TCP_PORT, '127.0.0.1', () => {
   console.log(`TCP game server listening on 127.0.0.1:${TCP_PORT}`);
@@ -0,0 +1,144 @@
+// node-client/snapshots.js
+
+/**
+ * Live game snapshots (SQLite)
+ * ----------------------------
+ * The TCP server keeps games in memory; this module mirrors the live ones
+ * (lobby / in progress) into the active_games table so a restart or redeploy
+ * can load them back. Finished games are removed from here once they have
+ * been written to game history.
+ *
+ * Snapshots store the game as plain JSON: Sets and Maps become arrays, and
+ * runtime-only fields (timers) are dropped. The server re-arms question
+ * timers from the stored deadlines after restoring, and gives every player a
+ * fresh disconnect grace period to come back.
+ */
+
+const db = require('./db');
+
+const upsertSnapshotStmt = db.prepare(`
+  INSERT INTO active_games (pin, snapshot, updated_at)
+  VALUES (?, ?, ?)
+  ON CONFLICT(pin) DO UPDATE SET snapshot = excluded.snapshot, updated_at = excluded.updated_at
+`);
+
+const deleteSnapshotStmt = db.prepare(`
+  DELETE FROM active_games WHERE pin = ?
+`);
+
+const listSnapshotsStmt = db.prepare(`
+  SELECT pin, snapshot FROM active_games
+`);
+
+// Fields that only make sense inside the running process
+const RUNTIME_FIELDS = new Set(['questionTimer', 'graceTimers']);
+
+/**
+ * Convert an in-memory game to its JSON-safe snapshot form.
+ *
+ * @param {Object} game
+ * @returns {Object}
+ */
+function toSnapshot(game) {
+  const out = {};
+  for (const [key, value] of Object.entries(game)) {
+    if (RUNTIME_FIELDS.has(key)) continue;
+    out[key] = value;
+  }
+
+  out.players = Array.from(game.players);
+  out.spectators = Array.from(game.spectators || []);
+  out.banned = Array.from(game.banned || []);
+  out.inviteCodes = game.inviteCodes ? Array.from(game.inviteCodes) : null;
+  out.scores = Array.from(game.scores.entries());
+  out.roundPoints = Array.from((game.roundPoints || new Map()).entries());
+  out.disconnected = Array.from((game.disconnected || new Map()).entries());
+  out.answeredByIndex = Array.from((game.answeredByIndex || new Map()).entries()).map(
+    ([idx, users]) => [idx, Array.from(users)]
+  );
+  out.choicesByIndex = Array.from((game.choicesByIndex || new Map()).entries()).map(
+    ([idx, choices]) => [idx, Array.from(choices.entries())]
+  );
+
+  return out;
+}
+
+/**
+ * Rebuild an in-memory game (Sets/Maps restored) from a snapshot.
+ *
+ * @param {Object} snapshot
+ * @returns {Object} game, with no question timer armed
+ */
+function fromSnapshot(snapshot) {
+  return {
+    ...snapshot,
+    players: new Set(snapshot.players || []),
+    spectators: new Set(snapshot.spectators || []),
+    banned: new Set(snapshot.banned || []),
+    inviteCodes: snapshot.inviteCodes ? new Set(snapshot.inviteCodes) : null,
+    scores: new Map(snapshot.scores || []),
+    roundPoints: new Map(snapshot.roundPoints || []),
+    disconnected: new Map(snapshot.disconnected || []),
+    answeredByIndex: new Map(
+      (snapshot.answeredByIndex || []).map(([idx, users]) => [idx, new Set(users)])
+    ),
+    choicesByIndex: new Map(
+      (snapshot.choicesByIndex || []).map(([idx, choices]) => [idx, new Map(choices)])
+    ),
+    answerLog: snapshot.answerLog || [],
+    questionTimer: null,
+    graceTimers: new Map(),
+  };
+}
+
+/**
+ * Insert or replace the snapshot for a game.
+ *
+ * @param {Object} game
+ */
+function saveGame(game) {
+  upsertSnapshotStmt.run(game.pin, JSON.stringify(toSnapshot(game)), Date.now());
+}
+
+/**
+ * Save several games in one transaction (used by the periodic flush).
+ *
+ * @param {Iterable<Object>} games
+ */
+const saveGames = db.transaction((games) => {
+  for (const game of games) saveGame(game);
+});
+
+/**
+ * Forget a game's snapshot (it ended or was abandoned).
+ *
+ * @param {string} pin
+ */
+function deleteGame(pin) {
+  deleteSnapshotStmt.run(pin);
+}
+
+/**
+ * Load every stored game. Unreadable snapshots are logged and discarded.
+ *
+ * @returns {Object[]} games
+ */
+function loadGames() {
+  const out = [];
+  for (const row of listSnapshotsStmt.all()) {
+    try {
+      out.push(fromSnapshot(JSON.parse(row.snapshot)));
+    } catch (e) {
+      console.error('Discarding unreadable game snapshot', row.pin, e);
+      deleteGame(row.pin);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  saveGame,
+  saveGames,
+  deleteGame,
+  loadGames,
+};
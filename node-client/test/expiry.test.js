@@ -0,0 +1,70 @@
+// node-client/test/expiry.test.js
+
+const path = require('node:path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const { startServer, connect, createGame } = require('./tcp-harness');
+
+// Expiry warnings only go to clients that negotiate them
+const hello = { version: 2, features: ['expiry'] };
+
+describe('idle game expiry', () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      LOBBY_IDLE_MS: '600',
+      IN_PROGRESS_IDLE_MS: '600',
+      EXPIRY_WARNING_MS: '400',
+      SWEEP_INTERVAL_MS: '50',
+    });
+  });
+  after(() => server.stop());
+
+  it('warns about and then closes an idle lobby', async () => {
+    const host = await connect(server.port, 'idleHost', { hello });
+    const pin = await createGame(host);
+
+    const warning = await host.next('GAME_EXPIRING');
+    assert.ok(warning.expiresAt > warning.serverNow);
+    const expired = await host.next('GAME_EXPIRED');
+    assert.deepEqual([expired.pin, expired.state], [pin, 'lobby']);
+    assert.match(expired.message, /^This lobby was closed after 1 second without activity/);
+
+    const late = await connect(server.port, 'idleLate');
+    const reply = await late.request({ type: 'JOIN_GAME', pin }, 'JOINED_GAME');
+    assert.deepEqual([reply.type, reply.message], ['ERROR', 'Game not found']);
+
+    await Promise.all([host.close(), late.close()]);
+  });
+
+  it('ends an idle game without a winner and records it as incomplete', async () => {
+    const host = await connect(server.port, 'stuckHost');
+    const player = await connect(server.port, 'stuckPlayer', { hello });
+    const pin = await createGame(host, {
+      questions: [
+        { question: 'Sky is blue?', questionType: 'trueFalse', answerTrue: true, timeLimit: 120 },
+      ],
+      players: [player],
+    });
+
+    host.send({ type: 'START_GAME', pin });
+    await player.next('GAME_STARTED');
+    player.send({ type: 'ANSWER', pin, questionIndex: 0, choice: true });
+    assert.ok((await player.next('SCORE_UPDATE')).pointsEarned > 0);
+
+    assert.equal((await player.next('GAME_EXPIRED')).state, 'inProgress');
+    assert.deepEqual((await player.next('GAME_ENDED')).winners, []);
+
+    const db = new Database(path.join(server.dbDir, 'data.db'), { readonly: true });
+    try {
+      const game = db.prepare('SELECT completed FROM game_history WHERE pin = ?').get(pin);
+      assert.equal(game.completed, 0);
+    } finally {
+      db.close();
+    }
+
+    await Promise.all([host.close(), player.close()]);
+  });
+});
@@ -0,0 +1,113 @@
+// node-client/test/game-state.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, connect, createGame } = require('./tcp-harness');
+
+const QUESTIONS = [
+  { question: 'Sky is blue?', questionType: 'trueFalse', answerTrue: true },
+  { question: 'Grass is red?', questionType: 'trueFalse', answerTrue: false },
+];
+
+describe('GET_GAME_STATE', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it("rebuilds a player's view on a new connection", async () => {
+    const host = await connect(server.port, 'stateHost');
+    const player = await connect(server.port, 'statePlayer');
+    const pin = await createGame(host, { questions: QUESTIONS, players: [player] });
+
+    host.send({ type: 'START_GAME', pin });
+    await player.next('GAME_STARTED');
+    player.send({ type: 'ANSWER', pin, questionIndex: 0, choice: true });
+    await player.next('SCORE_UPDATE');
+
+    // Like a page refresh: the old connection goes away and a new one asks
+    await player.close();
+    const again = await connect(server.port, 'statePlayer');
+    const state = await again.request({ type: 'GET_GAME_STATE' }, 'GAME_STATE');
+
+    assert.equal(state.type, 'GAME_STATE');
+    assert.equal(state.pin, pin);
+    assert.equal(state.game.state, 'inProgress');
+    assert.deepEqual(state.you, {
+      username: 'statePlayer',
+      role: 'player',
+      isHost: false,
+      answered: true,
+      choice: true,
+    });
+    // Only the current question is visible, and without its answer
+    assert.equal(state.game.questions.length, 1);
+    assert.equal(state.game.questions[0].answerTrue, undefined);
+    assert.deepEqual(state.game.roundPoints, {});
+
+    // The new connection gets the game's broadcasts again
+    host.send({ type: 'NEXT_QUESTION', pin });
+    assert.equal((await again.next('NEXT_QUESTION')).pin, pin);
+
+    await Promise.all([host.close(), again.close()]);
+  });
+
+  it('shows the host every question with its answer', async () => {
+    const host = await connect(server.port, 'stateHost2');
+    const pin = await createGame(host, { questions: QUESTIONS });
+
+    const state = await host.request({ type: 'GET_GAME_STATE', pin }, 'GAME_STATE');
+    assert.equal(state.you.isHost, true);
+    assert.equal(state.you.answered, false);
+    assert.deepEqual(
+      state.game.questions.map((q) => q.answerTrue),
+      [true, false],
+    );
+
+    await host.close();
+  });
+
+  it('refuses someone who is not in the game', async () => {
+    const host = await connect(server.port, 'stateHost3');
+    const stranger = await connect(server.port, 'stateStranger');
+    const pin = await createGame(host, { questions: QUESTIONS });
+
+    const byPin = await stranger.request({ type: 'GET_GAME_STATE', pin }, 'GAME_STATE');
+    assert.deepEqual([byPin.type, byPin.message], ['ERROR', 'You are not in this game']);
+    const anyGame = await stranger.request({ type: 'GET_GAME_STATE' }, 'GAME_STATE');
+    assert.deepEqual([anyGame.type, anyGame.message], ['ERROR', 'You are not in a game']);
+
+    await Promise.all([host.close(), stranger.close()]);
+  });
+});
+
+describe('presenter mode', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it('tells the shared screen how many have answered, but not who or what', async () => {
+    const host = await connect(server.port, 'screenHost');
+    const players = await Promise.all(
+      ['screenA', 'screenB'].map((name) => connect(server.port, name)),
+    );
+    const pin = await createGame(host, { questions: QUESTIONS, players, presenterMode: true });
+
+    host.send({ type: 'START_GAME', pin });
+    await players[0].next('GAME_STARTED');
+    players[0].send({ type: 'ANSWER', pin, questionIndex: 0, choice: true });
+    await players[0].next('SCORE_UPDATE');
+
+    const state = await players[1].request({ type: 'GET_GAME_STATE', pin }, 'GAME_STATE');
+    assert.equal(state.game.presenterMode, true);
+    assert.equal(state.game.answeredCount, 1);
+    assert.deepEqual(state.game.roundPoints, {});
+    assert.equal(state.you.answered, false);
+
+    await Promise.all([host, ...players].map((c) => c.close()));
+  });
+});
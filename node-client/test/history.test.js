@@ -0,0 +1,230 @@
+// node-client/test/history.test.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { openTempDb } = require('./temp-db');
+
+const { db, addUser, cleanup } = openTempDb();
+const { rankScores, recordGame, getProfile } = require('../history');
+
+after(cleanup);
+
+const STARTED_AT = Date.parse('2026-01-01T10:00:00Z');
+
+let seq = 0;
+
+/**
+ * Record a game with `scores` (username → points), filling in the rest.
+ */
+function record(scores, fields = {}) {
+  seq += 1;
+  return recordGame({
+    pin: String(100000 + seq),
+    host: 'host',
+    startedAt: STARTED_AT,
+    endedAt: STARTED_AT + 60000,
+    completed: true,
+    questions: [],
+    scores: new Map(Object.entries(scores)),
+    ...fields,
+  });
+}
+
+describe('rankScores', () => {
+  it('ranks highest first and lets ties share a rank', () => {
+    assert.deepEqual(rankScores({ cat: 300, ant: 500, bee: 500, dog: 100 }), [
+      { username: 'ant', score: 500, rank: 1 },
+      { username: 'bee', score: 500, rank: 1 },
+      { username: 'cat', score: 300, rank: 3 },
+      { username: 'dog', score: 100, rank: 4 },
+    ]);
+  });
+
+  it('accepts a Map and counts a missing score as 0', () => {
+    assert.deepEqual(
+      rankScores(
+        new Map([
+          ['a', undefined],
+          ['b', 0],
+        ]),
+      ),
+      [
+        { username: 'a', score: 0, rank: 1 },
+        { username: 'b', score: 0, rank: 1 },
+      ],
+    );
+  });
+});
+
+describe('recordGame', () => {
+  it('stores the game, its ranked participants and every answer', () => {
+    const answeredAt = STARTED_AT + 5000;
+    const { gameId } = record(
+      { ann: 900, ben: 900, cal: 0 },
+      {
+        theme: 'Space',
+        questions: [{ type: 'poll', question: 'Best planet?' }],
+        answers: [
+          {
+            questionIndex: 0,
+            username: 'ann',
+            choice: 2,
+            correct: true,
+            points: 900,
+            responseMs: 1200,
+            answeredAt,
+          },
+          { questionIndex: 0, username: 'cal', choice: [0, 1], correct: null, answeredAt },
+        ],
+      },
+    );
+
+    const game = db.prepare('SELECT * FROM game_history WHERE id = ?').get(gameId);
+    assert.equal(game.theme, 'Space');
+    assert.equal(game.completed, 1);
+    assert.equal(game.started_at, '2026-01-01T10:00:00.000Z');
+    assert.deepEqual(JSON.parse(game.questions), [{ type: 'poll', question: 'Best planet?' }]);
+
+    const participants = db
+      .prepare(
+        'SELECT username, score, rank FROM game_participants WHERE game_id = ? ORDER BY username',
+      )
+      .all(gameId);
+    assert.deepEqual(
+      participants.map((p) => ({ ...p })),
+      [
+        { username: 'ann', score: 900, rank: 1 },
+        { username: 'ben', score: 900, rank: 1 },
+        { username: 'cal', score: 0, rank: 3 },
+      ],
+    );
+
+    const answers = db
+      .prepare(
+        'SELECT username, choice, correct, points, response_ms FROM game_answers WHERE game_id = ? ORDER BY id',
+      )
+      .all(gameId);
+    assert.deepEqual(
+      answers.map((a) => ({ ...a })),
+      [
+        { username: 'ann', choice: '2', correct: 1, points: 900, response_ms: 1200 },
+        { username: 'cal', choice: '[0,1]', correct: null, points: 0, response_ms: null },
+      ],
+    );
+  });
+});
+
+describe('wins', () => {
+  const winsOf = (username) =>
+    db.prepare('SELECT wins FROM users WHERE username = ?').get(username).wins;
+
+  it('credits every top scorer of a completed game', () => {
+    ['win1', 'win2', 'win3'].forEach(addUser);
+    const { winners } = record({ win1: 800, win2: 800, win3: 400 });
+    assert.deepEqual(winners, ['win1', 'win2']);
+    assert.deepEqual(['win1', 'win2', 'win3'].map(winsOf), [1, 1, 0]);
+  });
+
+  it('credits nobody for a game that ended early', () => {
+    addUser('early');
+    const { winners } = record({ early: 800, late: 100 }, { completed: false });
+    assert.deepEqual(winners, []);
+    assert.equal(winsOf('early'), 0);
+  });
+
+  it('credits nobody when no one scored', () => {
+    addUser('zero');
+    assert.deepEqual(record({ zero: 0, nil: 0 }).winners, []);
+    assert.equal(winsOf('zero'), 0);
+  });
+
+  it('credits nobody for a game played alone', () => {
+    addUser('solo');
+    assert.deepEqual(record({ solo: 1000 }).winners, []);
+    assert.equal(winsOf('solo'), 0);
+  });
+
+  it('names winners without an account but has nobody to credit', () => {
+    assert.deepEqual(record({ guest: 100, other: 50 }).winners, ['guest']);
+  });
+});
+
+describe('getProfile', () => {
+  it('is null for someone with neither an account nor history', () => {
+    assert.equal(getProfile('nobody'), null);
+  });
+
+  it('gives an account without games empty stats', () => {
+    addUser('newbie');
+    const profile = getProfile('newbie');
+    assert.ok(profile.memberSince);
+    assert.deepEqual(
+      [profile.gamesPlayed, profile.wins, profile.podiums, profile.averageScore, profile.accuracy],
+      [0, 0, 0, 0, null],
+    );
+    assert.deepEqual([profile.favoriteThemes, profile.recentGames], [[], []]);
+  });
+
+  it('sums up lifetime stats from game history', () => {
+    addUser('pro');
+    const answeredAt = STARTED_AT;
+    const answer = (questionIndex, correct, responseMs) => ({
+      questionIndex,
+      username: 'pro',
+      choice: 0,
+      correct,
+      responseMs,
+      answeredAt,
+    });
+
+    // Won outright: a win and a podium
+    record(
+      { pro: 1000, opp: 500 },
+      {
+        theme: 'Space',
+        endedAt: STARTED_AT + 1000,
+        answers: [answer(0, true, 1500), answer(1, false, 800), answer(2, null, 300)],
+      },
+    );
+    // Second, but ended early: no podium
+    record(
+      { pro: 300, opp: 600 },
+      { theme: 'Space', endedAt: STARTED_AT + 2000, completed: false },
+    );
+    // Last of four
+    const { gameId } = record(
+      { pro: 200, a: 900, b: 800, c: 700 },
+      { theme: 'History', endedAt: STARTED_AT + 3000 },
+    );
+
+    const profile = getProfile('pro');
+    assert.equal(profile.gamesPlayed, 3);
+    assert.equal(profile.wins, 1);
+    assert.equal(profile.podiums, 1);
+    assert.equal(profile.averageScore, 500);
+    // The poll answer is not graded; the wrong answer is not the fastest correct one
+    assert.equal(profile.accuracy, 0.5);
+    assert.equal(profile.fastestCorrectMs, 1500);
+    assert.deepEqual(profile.favoriteThemes, [
+      { theme: 'Space', games: 2 },
+      { theme: 'History', games: 1 },
+    ]);
+
+    assert.deepEqual(
+      profile.recentGames.map((g) => [g.theme, g.completed, g.score, g.rank, g.players]),
+      [
+        ['History', true, 200, 4, 4],
+        ['Space', false, 300, 2, 2],
+        ['Space', true, 1000, 1, 2],
+      ],
+    );
+    assert.equal(profile.recentGames[0].id, gameId);
+  });
+
+  it('shows history for players without an account, with no wins', () => {
+    record({ drifter: 700 });
+    const profile = getProfile('drifter');
+    assert.deepEqual([profile.memberSince, profile.gamesPlayed, profile.wins], [null, 1, 0]);
+  });
+});
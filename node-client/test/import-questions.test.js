@@ -0,0 +1,43 @@
+// node-client/test/import-questions.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startBridge } = require('./tcp-harness');
+
+describe('POST /api/importQuestions', () => {
+  let bridge;
+  before(async () => {
+    bridge = await startBridge();
+  });
+  after(() => bridge.stop());
+
+  it('reports questions the game server turns down by their row in the file', async () => {
+    for (const username of ['importHost', 'importWatcher']) {
+      assert.equal((await bridge.api('connect', { username })).status, 200);
+    }
+    const created = await bridge.api('createGame', {}, 'importHost');
+    const { pin } = created.body.game;
+    const joined = await bridge.api(
+      'joinGame',
+      { gameId: pin, role: 'spectator' },
+      'importWatcher',
+    );
+    assert.equal(joined.body.role, 'spectator');
+
+    // Both rows are valid questions, but spectators may not submit any
+    const csv =
+      'question,type,options,correct answer,time limit\nOne?,tf,,true,\n\nTwo?,tf,,false,\n';
+    const { status, body } = await bridge.api(
+      'importQuestions',
+      { pin, format: 'csv', data: csv },
+      'importWatcher',
+    );
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [
+      { row: 2, error: 'Spectators cannot submit questions' },
+      { row: 4, error: 'Spectators cannot submit questions' },
+    ]);
+  });
+});
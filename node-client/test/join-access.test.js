@@ -0,0 +1,97 @@
+// node-client/test/join-access.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, connect } = require('./tcp-harness');
+
+const FAILURE_LIMIT = 3;
+
+describe('join access', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ JOIN_FAILURE_LIMIT: String(FAILURE_LIMIT) });
+  });
+  after(() => server.stop());
+
+  async function hostGame(username, options) {
+    const host = await connect(server.port, username);
+    const created = await host.request({ type: 'CREATE_GAME', ...options }, 'GAME_CREATED');
+    assert.equal(created.type, 'GAME_CREATED', created.message);
+    return { host, game: created.game };
+  }
+
+  it('asks newcomers for the join password', async () => {
+    const { host, game } = await hostGame('pwHost', { password: 'open sesame' });
+    const { pin } = game;
+    assert.equal(game.hasPassword, true);
+    assert.ok(!('passwordHash' in game));
+
+    const guest = await connect(server.port, 'pwGuest');
+    const none = await guest.request({ type: 'JOIN_GAME', pin }, 'JOINED_GAME');
+    assert.deepEqual([none.code, none.message], [undefined, 'This game needs a password']);
+    const wrong = await guest.request({ type: 'JOIN_GAME', pin, password: 'nope' }, 'JOINED_GAME');
+    assert.deepEqual([wrong.code, wrong.message], ['JOIN_DENIED', 'Incorrect password']);
+    const right = await guest.request(
+      { type: 'JOIN_GAME', pin, password: 'open sesame' },
+      'JOINED_GAME',
+    );
+    assert.equal(right.type, 'JOINED_GAME');
+
+    await Promise.all([host.close(), guest.close()]);
+  });
+
+  it('lets each invite code in once', async () => {
+    const { host, game } = await hostGame('inviteHost', { inviteCodes: 2 });
+    const { pin, inviteCodes } = game;
+    assert.equal(game.inviteOnly, true);
+    assert.equal(inviteCodes.length, 2);
+
+    const first = await connect(server.port, 'inviteFirst');
+    const joined = await first.request(
+      { type: 'JOIN_GAME', pin, inviteCode: ` ${inviteCodes[0].toLowerCase()} ` },
+      'JOINED_GAME',
+    );
+    assert.equal(joined.type, 'JOINED_GAME');
+    // Only the host sees which codes are left
+    assert.deepEqual(joined.game.inviteCodes, []);
+
+    const second = await connect(server.port, 'inviteSecond');
+    const reused = await second.request(
+      { type: 'JOIN_GAME', pin, inviteCode: inviteCodes[0] },
+      'JOINED_GAME',
+    );
+    assert.deepEqual([reused.code, reused.message], ['JOIN_DENIED', 'Incorrect invite code']);
+
+    const state = await host.request({ type: 'GET_GAME_STATE', pin }, 'GAME_STATE');
+    assert.deepEqual(state.game.inviteCodes, [inviteCodes[1]]);
+
+    await Promise.all([host, first, second].map((c) => c.close()));
+  });
+
+  it('shuts out a user after too many failed attempts', async () => {
+    const { host, game } = await hostGame('limitHost', {});
+    const guesser = await connect(server.port, 'guesser');
+
+    for (let i = 0; i < FAILURE_LIMIT; i++) {
+      const miss = await guesser.request({ type: 'JOIN_GAME', pin: '000000' }, 'JOINED_GAME');
+      assert.equal(miss.code, 'JOIN_DENIED');
+    }
+
+    const blocked = await guesser.request({ type: 'JOIN_GAME', pin: game.pin }, 'JOINED_GAME');
+    assert.match(blocked.message, /^Too many failed attempts to join/);
+    assert.ok(blocked.retryAfterMs > 0);
+
+    // A new connection doesn't reset the count for the same user...
+    const again = await connect(server.port, 'guesser');
+    const still = await again.request({ type: 'JOIN_GAME', pin: game.pin }, 'JOINED_GAME');
+    assert.match(still.message, /^Too many failed attempts to join/);
+
+    // ...but other users aren't affected
+    const bystander = await connect(server.port, 'bystander');
+    const joined = await bystander.request({ type: 'JOIN_GAME', pin: game.pin }, 'JOINED_GAME');
+    assert.equal(joined.type, 'JOINED_GAME');
+
+    await Promise.all([host, guesser, again, bystander].map((c) => c.close()));
+  });
+});
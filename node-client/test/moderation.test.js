@@ -0,0 +1,133 @@
+// node-client/test/moderation.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, connect, createGame } = require('./tcp-harness');
+
+// KICKED only reaches clients that negotiated moderation
+const hello = { version: 2, features: ['moderation'] };
+
+describe('host moderation', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it('kicks a player, who may come back', async () => {
+    const host = await connect(server.port, 'kickHost');
+    const player = await connect(server.port, 'kickPlayer', { hello });
+    const pin = await createGame(host, { players: [player] });
+
+    const reply = await host.request(
+      { type: 'KICK_PLAYER', pin, target: 'kickPlayer' },
+      'PLAYER_KICKED',
+    );
+    assert.deepEqual(reply.game.players, ['kickHost']);
+    const kicked = await player.next('KICKED');
+    assert.equal(kicked.reason, 'kicked');
+
+    const rejoin = await player.request({ type: 'JOIN_GAME', pin }, 'JOINED_GAME');
+    assert.equal(rejoin.type, 'JOINED_GAME');
+
+    await Promise.all([host.close(), player.close()]);
+  });
+
+  it('bans a player from playing or watching', async () => {
+    const host = await connect(server.port, 'banHost');
+    const player = await connect(server.port, 'banPlayer', { hello });
+    const pin = await createGame(host, { players: [player] });
+
+    const reply = await host.request(
+      { type: 'BAN_PLAYER', pin, target: 'banPlayer' },
+      'PLAYER_BANNED',
+    );
+    assert.deepEqual(reply.game.banned, ['banPlayer']);
+    assert.equal((await player.next('KICKED')).reason, 'banned');
+
+    for (const role of ['player', 'spectator']) {
+      const rejoin = await player.request({ type: 'JOIN_GAME', pin, role }, 'JOINED_GAME');
+      assert.deepEqual([rejoin.type, rejoin.message], ['ERROR', 'You are banned from this game']);
+    }
+
+    await Promise.all([host.close(), player.close()]);
+  });
+
+  it('locks newcomers out but lets members back in', async () => {
+    const host = await connect(server.port, 'lockHost', { hello });
+    const player = await connect(server.port, 'lockPlayer');
+    const late = await connect(server.port, 'lockLate');
+    const pin = await createGame(host, { players: [player] });
+
+    const locked = await host.request({ type: 'LOCK_GAME', pin, locked: true }, 'GAME_LOCKED');
+    assert.equal(locked.locked, true);
+    const refused = await late.request({ type: 'JOIN_GAME', pin }, 'JOINED_GAME');
+    assert.deepEqual([refused.type, refused.message], ['ERROR', 'Game is locked']);
+    const member = await player.request({ type: 'JOIN_GAME', pin }, 'JOINED_GAME');
+    assert.equal(member.game.locked, true);
+
+    await Promise.all([host, player, late].map((c) => c.close()));
+  });
+
+  it("only takes orders from the host's own connection", async () => {
+    const host = await connect(server.port, 'realHost');
+    const player = await connect(server.port, 'rogue');
+    const pin = await createGame(host, { players: [player] });
+
+    // Naming the host in the message changes nothing
+    const kick = await player.request(
+      { type: 'KICK_PLAYER', pin, target: 'realHost', username: 'realHost' },
+      'PLAYER_KICKED',
+    );
+    assert.deepEqual([kick.type, kick.message], ['ERROR', 'Only host can remove players']);
+    const ban = await player.request(
+      { type: 'BAN_PLAYER', pin, target: 'realHost', username: 'realHost' },
+      'PLAYER_BANNED',
+    );
+    assert.deepEqual([ban.type, ban.message], ['ERROR', 'Only host can remove players']);
+    const lock = await player.request(
+      { type: 'LOCK_GAME', pin, locked: true, username: 'realHost' },
+      'GAME_LOCKED',
+    );
+    assert.deepEqual([lock.type, lock.message], ['ERROR', 'Only host can lock the game']);
+
+    const self = await host.request(
+      { type: 'KICK_PLAYER', pin, target: 'realHost' },
+      'PLAYER_KICKED',
+    );
+    assert.deepEqual([self.type, self.message], ['ERROR', 'You cannot remove yourself']);
+
+    await Promise.all([host.close(), player.close()]);
+  });
+
+  it('runs the game and attributes chat by connection, not by a claimed username', async () => {
+    const host = await connect(server.port, 'gameHost');
+    const player = await connect(server.port, 'gameRogue');
+    const pin = await createGame(host, {
+      questions: [{ question: 'Q?', questionType: 'trueFalse', answerTrue: true }],
+      players: [player],
+    });
+
+    const start = await player.request(
+      { type: 'START_GAME', pin, username: 'gameHost' },
+      'GAME_STARTED',
+    );
+    assert.deepEqual([start.type, start.message], ['ERROR', 'Only host can start']);
+
+    host.send({ type: 'START_GAME', pin });
+    await player.next('GAME_STARTED');
+    const next = await player.request(
+      { type: 'NEXT_QUESTION', pin, username: 'gameHost' },
+      'NEXT_QUESTION',
+    );
+    assert.deepEqual([next.type, next.message], ['ERROR', 'Only host can advance questions']);
+    const end = await player.request({ type: 'END_GAME', pin, username: 'gameHost' }, 'GAME_ENDED');
+    assert.deepEqual([end.type, end.message], ['ERROR', 'Only host can end the game']);
+
+    player.send({ type: 'CHAT', pin, message: 'hi', username: 'gameHost' });
+    assert.equal((await host.next('CHAT')).from, 'gameRogue');
+
+    await Promise.all([host.close(), player.close()]);
+  });
+});
@@ -0,0 +1,74 @@
+// node-client/test/presence.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, connect, createGame } = require('./tcp-harness');
+
+const GRACE_MS = 300;
+
+// Presence events only go to clients that negotiate them
+const hello = { version: 2, features: ['presence'] };
+
+describe('player presence', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ DISCONNECT_GRACE_MS: String(GRACE_MS) });
+  });
+  after(() => server.stop());
+
+  it("holds a dropped player's place until they come back", async () => {
+    const host = await connect(server.port, 'presenceHost', { hello });
+    const player = await connect(server.port, 'presencePlayer');
+    const pin = await createGame(host, { players: [player] });
+
+    await player.close();
+    const dropped = await host.next('PLAYER_DISCONNECTED');
+    assert.deepEqual([dropped.username, dropped.graceMs], ['presencePlayer', GRACE_MS]);
+
+    // Registering again is enough to be back in the game
+    const back = await connect(server.port, 'presencePlayer');
+    assert.equal((await host.next('PLAYER_RECONNECTED')).username, 'presencePlayer');
+
+    await new Promise((resolve) => setTimeout(resolve, GRACE_MS * 2));
+    assert.ok(!host.received().includes('PLAYER_LEFT'));
+    const state = await back.request({ type: 'GET_GAME_STATE', pin }, 'GAME_STATE');
+    assert.deepEqual(state.game.players, ['presenceHost', 'presencePlayer']);
+    assert.deepEqual(state.game.disconnected, []);
+
+    await Promise.all([host.close(), back.close()]);
+  });
+
+  it('hands the game to a connected player when the host does not return', async () => {
+    const host = await connect(server.port, 'failoverHost');
+    const player = await connect(server.port, 'failoverPlayer', { hello });
+    await createGame(host, { players: [player] });
+
+    await host.close();
+    await player.next('PLAYER_DISCONNECTED');
+    const left = await player.next('PLAYER_LEFT', GRACE_MS + 3000);
+    assert.deepEqual([left.username, left.reason], ['failoverHost', 'timeout']);
+    const changed = await player.next('HOST_CHANGED');
+    assert.deepEqual([changed.host, changed.previousHost], ['failoverPlayer', 'failoverHost']);
+
+    await player.close();
+  });
+
+  it('ends the game for spectators when the last player leaves', async () => {
+    const host = await connect(server.port, 'lastHost');
+    const watcher = await connect(server.port, 'lastWatcher');
+    const pin = await createGame(host);
+    const joined = await watcher.request(
+      { type: 'JOIN_GAME', pin, role: 'spectator' },
+      'JOINED_GAME',
+    );
+    assert.equal(joined.role, 'spectator');
+
+    host.send({ type: 'EXIT_GAME', pin });
+    const ended = await watcher.next('GAME_ENDED');
+    assert.deepEqual(ended.winners, []);
+    assert.match(ended.message, /Every player has left/);
+
+    await Promise.all([host.close(), watcher.close()]);
+  });
+});
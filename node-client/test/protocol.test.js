@@ -0,0 +1,170 @@
+// node-client/test/protocol.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, connect, createGame } = require('./tcp-harness');
+
+describe('HELLO handshake', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it('settles on the features both sides support', async () => {
+    const client = await connect(server.port, 'helloV2', {
+      hello: { version: 2, features: ['presence', 'teleport'] },
+    });
+    assert.deepEqual(
+      [client.hello.type, client.hello.version, client.hello.features],
+      ['HELLO_OK', 2, ['presence']],
+    );
+    await client.close();
+  });
+
+  it('meets a newer client at the highest version both speak', async () => {
+    const client = await connect(server.port, 'helloV3', {
+      hello: { version: 3, minVersion: 2, features: [] },
+    });
+    assert.deepEqual([client.hello.version, client.hello.serverVersion], [2, 2]);
+    await client.close();
+  });
+
+  it('gives a version 1 client no optional features', async () => {
+    const client = await connect(server.port, 'helloV1', {
+      hello: { version: 1, features: ['presence'] },
+    });
+    assert.deepEqual([client.hello.version, client.hello.features], [1, []]);
+    await client.close();
+  });
+
+  it('turns away clients with no version in common', async () => {
+    const future = await connect(server.port, 'helloFuture', {
+      hello: { version: 5, minVersion: 4 },
+    });
+    assert.equal(future.hello.code, 'INCOMPATIBLE_PROTOCOL');
+    assert.match(future.hello.message, /Update the game server\.$/);
+    assert.deepEqual([future.hello.minVersion, future.hello.version], [1, 2]);
+
+    const ancient = await connect(server.port, 'helloAncient', { hello: { version: 0 } });
+    assert.equal(ancient.hello.code, 'INCOMPATIBLE_PROTOCOL');
+    assert.match(ancient.hello.message, /Update the client\.$/);
+
+    await Promise.all([future.close(), ancient.close()]);
+  });
+
+  it('must come before REGISTER', async () => {
+    const client = await connect(server.port, 'helloLate');
+    const reply = await client.request({ type: 'HELLO', version: 2 }, 'HELLO_OK');
+    assert.deepEqual([reply.type, reply.message], ['ERROR', 'HELLO must be sent before REGISTER']);
+    await client.close();
+  });
+
+  it('names the failed request in version 2 errors only', async () => {
+    const v2 = await connect(server.port, 'errorV2', { hello: { version: 2 } });
+    const legacy = await connect(server.port, 'errorLegacy');
+
+    const join = { type: 'JOIN_GAME', pin: '000000' };
+    assert.equal((await v2.request(join, 'JOINED_GAME')).request, 'JOIN_GAME');
+    assert.ok(!('request' in (await legacy.request(join, 'JOINED_GAME'))));
+
+    await Promise.all([v2.close(), legacy.close()]);
+  });
+
+  it('only sends newer events to clients that negotiated them', async () => {
+    const host = await connect(server.port, 'eventsHost');
+    const modern = await connect(server.port, 'eventsModern', {
+      hello: { version: 2, features: ['moderation'] },
+    });
+    const v1 = await connect(server.port, 'eventsV1', { hello: { version: 1 } });
+    const legacy = await connect(server.port, 'eventsLegacy');
+    const pin = await createGame(host, { players: [modern, v1, legacy] });
+
+    host.send({ type: 'LOCK_GAME', pin, locked: true });
+    assert.equal((await modern.next('GAME_LOCKED')).locked, true);
+
+    // A reply after the lock means anything broadcast with it has arrived
+    for (const client of [v1, legacy]) {
+      await client.request({ type: 'GET_GAME_STATE', pin }, 'GAME_STATE');
+      assert.ok(!client.received().includes('GAME_LOCKED'), client.username);
+    }
+
+    await Promise.all([host, modern, v1, legacy].map((c) => c.close()));
+  });
+
+  it('keeps every gated event from version 1 and legacy clients', async () => {
+    const gated = [
+      'QUESTION_OPENED',
+      'QUESTION_CLOSED',
+      'QUESTION_RESULTS',
+      'POLL_RESULTS',
+      'PLAYER_DISCONNECTED',
+      'SPECTATOR_JOINED',
+      'GAME_LOCKED',
+      'KICKED',
+    ];
+    const all = ['questionTimers', 'results', 'polls', 'presence', 'spectators', 'moderation'];
+    const host = await connect(server.port, 'gatedHost', { hello: { version: 2, features: all } });
+    const v1 = await connect(server.port, 'gatedV1', { hello: { version: 1, features: all } });
+    const legacy = await connect(server.port, 'gatedLegacy');
+    const dropped = await connect(server.port, 'gatedDropped');
+    const kickedV1 = await connect(server.port, 'gatedKickedV1', { hello: { version: 1 } });
+    const pin = await createGame(host, {
+      questions: [
+        { question: 'Best pet?', questionType: 'poll', options: ['Cats', 'Dogs'] },
+        { question: 'Sky is blue?', questionType: 'trueFalse', answerTrue: true },
+      ],
+      players: [v1, legacy, dropped, kickedV1],
+    });
+
+    const watcher = await connect(server.port, 'gatedWatcher');
+    await watcher.request({ type: 'JOIN_GAME', pin, role: 'spectator' }, 'JOINED_GAME');
+    host.send({ type: 'KICK_PLAYER', pin, target: 'gatedKickedV1' });
+    await host.next('PLAYER_KICKED');
+    host.send({ type: 'START_GAME', pin });
+    await host.next('QUESTION_OPENED');
+    v1.send({ type: 'ANSWER', pin, questionIndex: 0, choice: 0 });
+    await host.next('POLL_RESULTS');
+    host.send({ type: 'NEXT_QUESTION', pin });
+    await host.next('QUESTION_RESULTS');
+    await dropped.close();
+    await host.next('PLAYER_DISCONNECTED');
+    host.send({ type: 'LOCK_GAME', pin, locked: true });
+    await host.next('GAME_LOCKED');
+
+    // The gated events all reached the host, and a reply after them means
+    // anything broadcast alongside has arrived
+    for (const client of [v1, legacy, watcher]) {
+      await client.request({ type: 'GET_GAME_STATE', pin }, 'GAME_STATE');
+      const leaked = client.received().filter((type) => gated.includes(type));
+      assert.deepEqual(leaked, [], client.username);
+    }
+    await kickedV1.request({ type: 'LIST_GAMES' }, 'GAMES_LIST');
+    assert.ok(!kickedV1.received().includes('KICKED'));
+
+    await Promise.all([host, v1, legacy, kickedV1, watcher].map((c) => c.close()));
+  });
+
+  it('always answers the request a client sent, whatever it negotiated', async () => {
+    for (const hello of [undefined, { version: 1 }]) {
+      const label = hello ? 'V1' : 'Legacy';
+      const host = await connect(server.port, `reply${label}Host`, { hello });
+      const player = await connect(server.port, `reply${label}Player`);
+      const pin = await createGame(host, { players: [player] });
+
+      const locked = await host.request({ type: 'LOCK_GAME', pin, locked: true }, 'GAME_LOCKED');
+      assert.deepEqual([locked.type, locked.locked], ['GAME_LOCKED', true]);
+      const kicked = await host.request(
+        { type: 'KICK_PLAYER', pin, target: player.username },
+        'PLAYER_KICKED',
+      );
+      assert.deepEqual([kicked.type, kicked.username], ['PLAYER_KICKED', player.username]);
+
+      // The lock was only the host's reply; the other legacy client never saw it
+      assert.ok(!player.received().includes('GAME_LOCKED'), player.username);
+
+      await Promise.all([host.close(), player.close()]);
+    }
+  });
+});
@@ -0,0 +1,442 @@
+// node-client/test/questions.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeQuestion,
+  normalizeChoice,
+  gradeAnswer,
+  redactQuestion,
+  toAuthoredQuestion,
+  answerKey,
+  tallyChoices,
+} = require('../questions');
+
+/**
+ * Normalize a question the way SUBMIT_QUESTION does, failing the test on a
+ * validation error.
+ */
+function makeQuestion(fields) {
+  const { question, error } = normalizeQuestion({ question: 'Q?', ...fields });
+  assert.equal(error, undefined);
+  return question;
+}
+
+describe('true/false grading', () => {
+  it('defaults to a true/false question', () => {
+    const question = makeQuestion({ answerTrue: true });
+    assert.equal(question.type, 'trueFalse');
+    assert.equal(question.answerTrue, true);
+  });
+
+  it('grades the chosen option against the stored answer', () => {
+    const question = makeQuestion({ questionType: 'trueFalse', answerTrue: false });
+    assert.deepEqual(gradeAnswer(question, false), { correct: true, credit: 1 });
+    assert.deepEqual(gradeAnswer(question, true), { correct: false, credit: 0 });
+  });
+
+  it('accepts the string forms of booleans', () => {
+    const question = makeQuestion({ answerTrue: true });
+    assert.equal(normalizeChoice(question, 'true'), true);
+    assert.equal(normalizeChoice(question, 'false'), false);
+    assert.equal(gradeAnswer(question, 'true').correct, true);
+  });
+
+  it('marks missing or unrecognised choices incorrect', () => {
+    const question = makeQuestion({ answerTrue: true });
+    for (const choice of [null, undefined, 1, 'yes', {}]) {
+      assert.equal(normalizeChoice(question, choice), null);
+      assert.deepEqual(gradeAnswer(question, choice), { correct: false, credit: 0 });
+    }
+  });
+
+  it('ignores any correctness the client claims', () => {
+    const question = makeQuestion({ answerTrue: true });
+    assert.equal(gradeAnswer(question, { choice: false, correct: true }).correct, false);
+  });
+
+  it('requires question text', () => {
+    assert.equal(normalizeQuestion({ question: '   ' }).error, 'Question text is required');
+  });
+});
+
+describe('answer redaction', () => {
+  // Fields that would give the answer away, per question type
+  const GRADING_FIELDS = [
+    'answerTrue',
+    'correctOptions',
+    'acceptedAnswers',
+    'correctValue',
+    'correctOrder',
+  ];
+
+  const questions = {
+    trueFalse: { questionType: 'trueFalse', answerTrue: true },
+    multipleChoice: { questionType: 'multipleChoice', options: ['a', 'b'], correctOptions: [1] },
+    typeAnswer: { questionType: 'typeAnswer', acceptedAnswers: ['Paris'] },
+    slider: { questionType: 'slider', min: 0, max: 10, correctValue: 4 },
+    ordering: { questionType: 'ordering', items: ['one', 'two', 'three'] },
+  };
+
+  for (const [type, fields] of Object.entries(questions)) {
+    it(`strips the answer from ${type} questions`, () => {
+      const question = makeQuestion(fields);
+      const redacted = redactQuestion(question);
+
+      for (const field of GRADING_FIELDS) assert.equal(field in redacted, false, field);
+      assert.equal(redacted.question, 'Q?');
+      assert.equal(redacted.type, type);
+      assert.notEqual(answerKey(question), null);
+    });
+  }
+
+  it('keeps what players need to answer', () => {
+    const mc = redactQuestion(makeQuestion(questions.multipleChoice));
+    assert.deepEqual(mc.options, ['a', 'b']);
+
+    const slider = redactQuestion(makeQuestion(questions.slider));
+    assert.deepEqual([slider.min, slider.max, slider.step], [0, 10, 1]);
+
+    const ordering = redactQuestion(makeQuestion(questions.ordering));
+    assert.deepEqual([...ordering.items].sort(), ['one', 'three', 'two']);
+  });
+
+  it('does not modify the stored question', () => {
+    const question = makeQuestion({ answerTrue: true });
+    redactQuestion(question);
+    assert.equal(question.answerTrue, true);
+  });
+
+  it('reports the answer key in its stored shape', () => {
+    assert.equal(answerKey(makeQuestion(questions.trueFalse)), true);
+    assert.deepEqual(answerKey(makeQuestion(questions.multipleChoice)), [1]);
+    assert.deepEqual(answerKey(makeQuestion(questions.typeAnswer)), ['Paris']);
+    assert.equal(answerKey(makeQuestion(questions.slider)), 4);
+  });
+});
+
+describe('question time limits', () => {
+  it('leaves the server default in place when no limit is given', () => {
+    assert.equal('timeLimit' in makeQuestion({ answerTrue: true }), false);
+  });
+
+  it('accepts whole seconds from 5 to 120', () => {
+    assert.equal(makeQuestion({ timeLimit: 5 }).timeLimit, 5);
+    assert.equal(makeQuestion({ timeLimit: '120' }).timeLimit, 120);
+  });
+
+  it('rejects limits outside the range', () => {
+    for (const timeLimit of [4, 121, 7.5, 'soon']) {
+      assert.equal(
+        normalizeQuestion({ question: 'Q?', timeLimit }).error,
+        'Time limit must be between 5 and 120 seconds',
+      );
+    }
+  });
+});
+
+describe('point ranges', () => {
+  it('defaults to 1000 points falling to 500', () => {
+    const question = makeQuestion({ answerTrue: true });
+    assert.deepEqual([question.maxPoints, question.minPoints], [1000, 500]);
+  });
+
+  it('defaults the minimum to half of a custom maximum', () => {
+    const question = makeQuestion({ maxPoints: 2000 });
+    assert.deepEqual([question.maxPoints, question.minPoints], [2000, 1000]);
+  });
+
+  it('allows a flat score when min equals max', () => {
+    const question = makeQuestion({ maxPoints: 800, minPoints: 800 });
+    assert.deepEqual([question.maxPoints, question.minPoints], [800, 800]);
+  });
+
+  it('rejects ranges that are inverted, negative, fractional or too large', () => {
+    for (const [maxPoints, minPoints] of [
+      [500, 600],
+      [1000, -1],
+      [999.5, 0],
+      [5001, 0],
+    ]) {
+      assert.match(normalizeQuestion({ question: 'Q?', maxPoints, minPoints }).error, /^Points/);
+    }
+  });
+});
+
+describe('multiple choice', () => {
+  const fields = { questionType: 'multipleChoice', options: [' red ', 'green', 'blue'] };
+
+  it('trims options and sorts the correct ones, dropping duplicates', () => {
+    const question = makeQuestion({ ...fields, correctOptions: [2, '0', 2] });
+    assert.deepEqual(question.options, ['red', 'green', 'blue']);
+    assert.deepEqual(question.correctOptions, [0, 2]);
+  });
+
+  it('counts any option marked correct', () => {
+    const question = makeQuestion({ ...fields, correctOptions: [0, 2] });
+    assert.equal(gradeAnswer(question, 0).correct, true);
+    assert.equal(gradeAnswer(question, '2').correct, true);
+    assert.equal(gradeAnswer(question, 1).correct, false);
+  });
+
+  it('treats an index outside the options as no answer', () => {
+    const question = makeQuestion({ ...fields, correctOptions: [0] });
+    for (const choice of [3, -1, 1.5, 'red', null, '', ' ', true, [], [1]]) {
+      assert.equal(normalizeChoice(question, choice), null);
+    }
+  });
+
+  it('needs 2-4 non-empty options and at least one correct one', () => {
+    const check = (input) => normalizeQuestion({ question: 'Q?', ...fields, ...input }).error;
+    assert.equal(
+      check({ options: ['only'], correctOptions: [0] }),
+      'Multiple choice needs 2-4 options',
+    );
+    assert.equal(
+      check({ options: ['a', 'b', 'c', 'd', 'e'], correctOptions: [0] }),
+      'Multiple choice needs 2-4 options',
+    );
+    assert.equal(check({ options: ['a', '  '], correctOptions: [0] }), 'Options cannot be empty');
+    assert.equal(check({ correctOptions: [] }), 'Mark at least one option as correct');
+    assert.equal(check({ correctOptions: [3] }), 'Correct options must reference existing options');
+  });
+});
+
+describe('type the answer', () => {
+  const typed = (acceptedAnswers, typoTolerance = 0) =>
+    makeQuestion({ questionType: 'typeAnswer', acceptedAnswers, typoTolerance });
+
+  it('ignores case, accents and extra whitespace', () => {
+    const question = typed(['Crème Brûlée']);
+    assert.equal(gradeAnswer(question, '  creme   brulee ').correct, true);
+    assert.equal(gradeAnswer(question, 'creme brule').correct, false);
+  });
+
+  it('accepts any of the accepted answers', () => {
+    const question = typed(['NYC', 'New York']);
+    assert.equal(gradeAnswer(question, 'nyc').correct, true);
+    assert.equal(gradeAnswer(question, 'new york').correct, true);
+  });
+
+  it('forgives up to the typo tolerance', () => {
+    const question = typed(['Mississippi'], 2);
+    assert.equal(gradeAnswer(question, 'Misisippi').correct, true);
+    assert.equal(gradeAnswer(question, 'Misisipi').correct, false);
+  });
+
+  it('requires short answers to match exactly', () => {
+    const question = typed(['ox', 'four'], 2);
+    assert.equal(gradeAnswer(question, 'ax').correct, false);
+    assert.equal(gradeAnswer(question, 'fuor').correct, true);
+  });
+
+  it('treats blank, non-text or overlong answers as no answer', () => {
+    const question = typed(['yes']);
+    for (const choice of ['   ', 42, null, 'y'.repeat(101)]) {
+      assert.equal(normalizeChoice(question, choice), null);
+    }
+  });
+
+  it('validates accepted answers and tolerance', () => {
+    const check = (input) =>
+      normalizeQuestion({ question: 'Q?', questionType: 'typeAnswer', ...input }).error;
+    assert.equal(check({ acceptedAnswers: [' ', ''] }), 'Type answer needs 1-4 accepted answers');
+    assert.equal(
+      check({ acceptedAnswers: ['a', 'b', 'c', 'd', 'e'] }),
+      'Type answer needs 1-4 accepted answers',
+    );
+    assert.equal(
+      check({ acceptedAnswers: ['a'.repeat(101)] }),
+      'Accepted answers must be at most 100 characters',
+    );
+    assert.equal(
+      check({ acceptedAnswers: ['a'], typoTolerance: 3 }),
+      'Typo tolerance must be between 0 and 2',
+    );
+  });
+});
+
+describe('slider', () => {
+  const slider = (fields) =>
+    makeQuestion({ questionType: 'slider', min: 0, max: 100, correctValue: 40, ...fields });
+
+  it('defaults the step to 1 and the margin to a tenth of the range', () => {
+    const question = slider();
+    assert.equal(question.step, 1);
+    assert.equal(question.margin, 10);
+  });
+
+  it('fades credit linearly to zero at the margin', () => {
+    const question = slider({ margin: 20 });
+    assert.deepEqual(gradeAnswer(question, 40), { correct: true, credit: 1 });
+    assert.deepEqual(gradeAnswer(question, 50), { correct: false, credit: 0.5 });
+    assert.deepEqual(gradeAnswer(question, '35'), { correct: false, credit: 0.75 });
+    assert.deepEqual(gradeAnswer(question, 60), { correct: false, credit: 0 });
+    assert.deepEqual(gradeAnswer(question, 90), { correct: false, credit: 0 });
+  });
+
+  it('only gives credit for the exact value when the margin is zero', () => {
+    const question = slider({ margin: 0 });
+    assert.equal(gradeAnswer(question, 40).credit, 1);
+    assert.equal(gradeAnswer(question, 41).credit, 0);
+  });
+
+  it('treats missing or out-of-range values as no answer', () => {
+    const question = slider({ min: -10, max: 10, correctValue: 0 });
+    for (const choice of [null, undefined, '', ' ', true, [], -11, 10.5, 'NaN']) {
+      assert.equal(normalizeChoice(question, choice), null);
+      assert.equal(gradeAnswer(question, choice).credit, 0);
+    }
+  });
+
+  it('validates the range, step and correct value', () => {
+    const check = (input) =>
+      normalizeQuestion({
+        question: 'Q?',
+        questionType: 'slider',
+        min: 0,
+        max: 10,
+        correctValue: 5,
+        ...input,
+      }).error;
+    assert.equal(check({ max: 0 }), 'Slider min must be less than max');
+    assert.equal(check({ step: 0 }), 'Slider step must be positive and allow at most 10000 steps');
+    assert.equal(
+      check({ max: 100000 }),
+      'Slider step must be positive and allow at most 10000 steps',
+    );
+    assert.equal(check({ correctValue: 11 }), 'Correct value must be inside the slider range');
+    assert.equal(
+      check({ step: 2, correctValue: 5 }),
+      'Correct value must be reachable with the slider step',
+    );
+    assert.equal(check({ margin: -1 }), 'Slider margin must be a non-negative number');
+    assert.equal(check({ step: 0.1, correctValue: 0.3 }), undefined);
+  });
+});
+
+describe('ordering', () => {
+  const ordering = (fields) =>
+    makeQuestion({ questionType: 'ordering', items: ['one', 'two', 'three', 'four'], ...fields });
+
+  // The arrangement a player would submit to put the items in the right order
+  const solved = (question) => question.correctOrder;
+
+  it('stores the items shuffled, never already in order', () => {
+    for (let i = 0; i < 20; i++) {
+      const question = ordering();
+      assert.notDeepEqual(question.items, ['one', 'two', 'three', 'four']);
+      assert.deepEqual(
+        question.correctOrder.map((idx) => question.items[idx]),
+        ['one', 'two', 'three', 'four'],
+      );
+    }
+  });
+
+  it('gives full marks only for the correct arrangement by default', () => {
+    const question = ordering();
+    assert.deepEqual(gradeAnswer(question, solved(question)), { correct: true, credit: 1 });
+
+    const swapped = [...solved(question)];
+    [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+    assert.deepEqual(gradeAnswer(question, swapped), { correct: false, credit: 0 });
+  });
+
+  it('credits each correctly placed item with partial credit on', () => {
+    const question = ordering({ partialCredit: true });
+    const swapped = [...solved(question)];
+    [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+    assert.deepEqual(gradeAnswer(question, swapped), { correct: false, credit: 0.5 });
+  });
+
+  it('only accepts a full arrangement of every item', () => {
+    const question = ordering();
+    for (const choice of [[0, 1, 2], [0, 1, 2, 2], [0, 1, 2, 4], [null, 1, 2, 3], 'abcd']) {
+      assert.equal(normalizeChoice(question, choice), null);
+    }
+  });
+
+  it('converts back to the authored order', () => {
+    const question = ordering({ partialCredit: true });
+    const authored = toAuthoredQuestion({ username: 'host', ...question });
+    assert.deepEqual(authored.items, ['one', 'two', 'three', 'four']);
+    assert.equal(authored.partialCredit, true);
+    assert.equal('correctOrder' in authored, false);
+    assert.equal('username' in authored, false);
+  });
+
+  it('needs 3-4 non-empty items', () => {
+    const check = (items) =>
+      normalizeQuestion({ question: 'Q?', questionType: 'ordering', items }).error;
+    assert.equal(check(['a', 'b']), 'Ordering needs 3-4 items');
+    assert.equal(check(['a', 'b', 'c', 'd', 'e']), 'Ordering needs 3-4 items');
+    assert.equal(check(['a', ' ', 'c']), 'Items cannot be empty');
+  });
+});
+
+describe('polls', () => {
+  const poll = () => makeQuestion({ questionType: 'poll', options: ['Cats', 'Dogs', 'Fish'] });
+
+  it('are never scored and have no answer', () => {
+    const question = poll();
+    assert.deepEqual([question.maxPoints, question.minPoints], [0, 0]);
+    assert.deepEqual(gradeAnswer(question, 1), { correct: null, credit: 0 });
+    assert.equal(answerKey(question), null);
+  });
+
+  it('ignores point settings from the author', () => {
+    const question = makeQuestion({
+      questionType: 'poll',
+      options: ['a', 'b'],
+      maxPoints: 2000,
+      minPoints: 100,
+    });
+    assert.deepEqual([question.maxPoints, question.minPoints], [0, 0]);
+  });
+
+  it('counts votes per option, skipping players who did not vote', () => {
+    assert.deepEqual(tallyChoices(poll(), [0, 2, 2, null, undefined]), [1, 0, 2]);
+    assert.deepEqual(tallyChoices(poll(), []), [0, 0, 0]);
+  });
+
+  it('needs 2-4 options', () => {
+    const check = (options) =>
+      normalizeQuestion({ question: 'Q?', questionType: 'poll', options }).error;
+    assert.equal(check(['only']), 'Poll needs 2-4 options');
+  });
+});
+
+describe('answer distribution', () => {
+  it('counts true and false picks', () => {
+    const question = makeQuestion({ answerTrue: true });
+    assert.deepEqual(tallyChoices(question, [true, false, true, null]), { true: 2, false: 1 });
+  });
+
+  it('counts each multiple-choice tile', () => {
+    const question = makeQuestion({
+      questionType: 'multipleChoice',
+      options: ['a', 'b', 'c', 'd'],
+      correctOptions: [0],
+    });
+    assert.deepEqual(tallyChoices(question, [3, 3, 0]), [1, 0, 0, 2]);
+  });
+
+  it('groups typed answers by their normalized text', () => {
+    const question = makeQuestion({ questionType: 'typeAnswer', acceptedAnswers: ['Paris'] });
+    assert.deepEqual(tallyChoices(question, ['Paris', ' paris ', 'PARÍS', 'Lyon']), {
+      paris: 3,
+      lyon: 1,
+    });
+  });
+
+  it('groups slider answers by value', () => {
+    const question = makeQuestion({ questionType: 'slider', min: 0, max: 10, correctValue: 5 });
+    assert.deepEqual(tallyChoices(question, [5, 5, 7]), { 5: 2, 7: 1 });
+  });
+
+  it('has nothing to chart for ordering questions', () => {
+    const question = makeQuestion({ questionType: 'ordering', items: ['a', 'b', 'c'] });
+    assert.equal(tallyChoices(question, [[0, 1, 2]]), null);
+  });
+});
@@ -0,0 +1,211 @@
+// node-client/test/quiz-format.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  exportQuizJson,
+  exportQuizCsv,
+  parseQuizJson,
+  parseQuizCsv,
+  parseQuizImport,
+} = require('../quiz-format');
+
+// One of each type, in the authored shape with every default filled in, so
+// it comes back from either format unchanged
+const QUIZ = {
+  title: 'Everything',
+  theme: 'Mixed',
+  questions: [
+    {
+      type: 'trueFalse',
+      question: 'The sky is blue',
+      maxPoints: 1000,
+      minPoints: 500,
+      timeLimit: 20,
+      answerTrue: true,
+    },
+    {
+      type: 'multipleChoice',
+      question: 'Pick the "even" ones, please',
+      maxPoints: 1000,
+      minPoints: 500,
+      options: ['1', '2', '3', '4'],
+      correctOptions: [1, 3],
+    },
+    {
+      type: 'typeAnswer',
+      question: 'Capital of France?',
+      maxPoints: 1000,
+      minPoints: 500,
+      acceptedAnswers: ['Paris', 'Paris, France'],
+      typoTolerance: 0,
+    },
+    {
+      type: 'slider',
+      question: 'Degrees in a right angle',
+      maxPoints: 1000,
+      minPoints: 500,
+      min: 0,
+      max: 180,
+      step: 5,
+      correctValue: 90,
+      margin: 18,
+    },
+    {
+      type: 'ordering',
+      question: 'Smallest first',
+      maxPoints: 1000,
+      minPoints: 500,
+      partialCredit: false,
+      items: ['ant', 'cat', 'horse'],
+    },
+    {
+      type: 'poll',
+      question: 'Favourite season?',
+      maxPoints: 0,
+      minPoints: 0,
+      options: ['Spring', 'Summer', 'Autumn', 'Winter'],
+    },
+  ],
+};
+
+const HEADER = 'question,type,options,correct answer,time limit';
+
+describe('JSON format', () => {
+  it('round-trips a quiz', () => {
+    const parsed = parseQuizJson(exportQuizJson(QUIZ));
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.title, 'Everything');
+    assert.equal(parsed.theme, 'Mixed');
+    assert.deepEqual(parsed.questions, QUIZ.questions);
+  });
+
+  it('keeps settings CSV cannot hold', () => {
+    const [question] = parseQuizJson({
+      format: 'not-kahoot-quiz',
+      version: 1,
+      questions: [{ type: 'trueFalse', question: 'Q?', maxPoints: 2000, minPoints: 0 }],
+    }).questions;
+    assert.deepEqual([question.maxPoints, question.minPoints], [2000, 0]);
+  });
+
+  it('reports document problems as row 0', () => {
+    const errorOf = (data) => parseQuizJson(data).errors;
+    assert.match(errorOf('{nope')[0].error, /^Invalid JSON/);
+    assert.deepEqual(errorOf({ format: 'other' }), [
+      { row: 0, error: 'Not a not-kahoot-quiz file' },
+    ]);
+    assert.deepEqual(errorOf({ format: 'not-kahoot-quiz', version: 2, questions: [] }), [
+      { row: 0, error: 'Unsupported version 2; versions up to 1 can be read' },
+    ]);
+    assert.deepEqual(errorOf({ format: 'not-kahoot-quiz', version: 1, questions: {} }), [
+      { row: 0, error: 'questions must be an array' },
+    ]);
+  });
+
+  it('numbers invalid questions by their position', () => {
+    const { errors } = parseQuizJson({
+      format: 'not-kahoot-quiz',
+      version: 1,
+      questions: [
+        QUIZ.questions[0],
+        { type: 'poll', question: 'Only one?', options: ['a'] },
+        { type: 'mystery', question: 'What?' },
+      ],
+    });
+    assert.deepEqual(errors, [
+      { row: 2, error: 'Poll needs 2-4 options' },
+      { row: 3, error: 'Unknown question type: mystery' },
+    ]);
+  });
+
+  it('gives each valid question its position as its row', () => {
+    const { rows } = parseQuizJson({
+      format: 'not-kahoot-quiz',
+      version: 1,
+      questions: [{ type: 'mystery' }, QUIZ.questions[0], QUIZ.questions[1]],
+    });
+    assert.deepEqual(rows, [2, 3]);
+  });
+});
+
+describe('CSV format', () => {
+  it('round-trips a quiz, quoting cells that need it', () => {
+    const csv = exportQuizCsv(QUIZ);
+    assert.ok(csv.startsWith(`${HEADER}\r\n`));
+    assert.ok(csv.includes('"Pick the ""even"" ones, please"'));
+
+    const parsed = parseQuizCsv(csv);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(parsed.questions, QUIZ.questions);
+  });
+
+  it('accepts a byte order mark, CRLF line endings and a missing trailing newline', () => {
+    const parsed = parseQuizCsv(`\uFEFF${HEADER}\r\nIs it?,tf,,TRUE,\r\nIs it not?,,,false,`);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(
+      parsed.questions.map((q) => [q.question, q.type, q.answerTrue]),
+      [
+        ['Is it?', 'trueFalse', true],
+        ['Is it not?', 'trueFalse', false],
+      ],
+    );
+  });
+
+  it('reads quoted cells spanning lines', () => {
+    const parsed = parseQuizCsv('"Line one\nline two",typeAnswer,,"a, b|c",\n');
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.questions[0].question, 'Line one\nline two');
+    assert.deepEqual(parsed.questions[0].acceptedAnswers, ['a, b', 'c']);
+  });
+
+  it('reports errors by spreadsheet row, counting the header and blank rows', () => {
+    const csv = [
+      HEADER,
+      'Fine,tf,,true,',
+      'Bad type,quiz,,true,',
+      '',
+      'Too fast,tf,,true,1',
+      'Wrong answer,mc,a|b,c,',
+      'Slider,slider,10,5,',
+    ].join('\n');
+
+    assert.deepEqual(parseQuizCsv(csv).errors, [
+      { row: 3, error: 'Unknown question type "quiz"' },
+      { row: 5, error: 'Time limit must be between 5 and 120 seconds' },
+      { row: 6, error: 'Correct answer "c" is not one of the options' },
+      { row: 7, error: 'Slider options must be min|max or min|max|step' },
+    ]);
+  });
+
+  it('gives each valid question its source row', () => {
+    const csv = [HEADER, 'One,tf,,true,', 'Bad,tf,,maybe,', '', 'Two,tf,,false,'].join('\n');
+    const parsed = parseQuizCsv(csv);
+    assert.deepEqual(
+      parsed.questions.map((q) => q.question),
+      ['One', 'Two'],
+    );
+    assert.deepEqual(parsed.rows, [2, 5]);
+  });
+
+  it('treats the first row as data when there is no header', () => {
+    const parsed = parseQuizCsv('Bad,tf,,maybe,\n');
+    assert.deepEqual(parsed.errors, [{ row: 1, error: 'Correct answer must be true or false' }]);
+  });
+
+  it('falls back to defaults for settings it has no column for', () => {
+    const [question] = parseQuizCsv('Guess,slider,0|100,50,\n').questions;
+    assert.deepEqual([question.step, question.margin, question.maxPoints], [1, 10, 1000]);
+  });
+});
+
+describe('parseQuizImport', () => {
+  it('dispatches on the format', () => {
+    assert.equal(parseQuizImport('json', exportQuizJson(QUIZ)).questions.length, 6);
+    assert.equal(parseQuizImport('csv', exportQuizCsv(QUIZ)).questions.length, 6);
+    assert.deepEqual(parseQuizImport('xml', '<quiz/>').errors, [
+      { row: 0, error: 'format must be "json" or "csv"' },
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+// node-client/test/quizzes.test.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { openTempDb } = require('./temp-db');
+
+const { addUser, cleanup } = openTempDb();
+const quizzes = require('../quizzes');
+
+after(cleanup);
+
+const QUESTIONS = [
+  { type: 'trueFalse', question: 'Water is wet?', answerTrue: true, timeLimit: 10 },
+  { type: 'multipleChoice', question: 'Pick b', options: ['a', 'b'], correctOptions: [1] },
+  { type: 'ordering', question: 'Count up', items: ['1', '2', '3'] },
+];
+
+function saveQuiz(ownerId, fields = {}) {
+  const { quiz, error } = quizzes.normalizeQuiz({ title: 'Quiz', questions: QUESTIONS, ...fields });
+  assert.equal(error, undefined);
+  return quizzes.createQuiz(ownerId, quiz);
+}
+
+describe('normalizeQuiz', () => {
+  it('requires a title of at most 100 characters', () => {
+    assert.equal(quizzes.normalizeQuiz({ title: '  ' }).error, 'Quiz title is required');
+    assert.equal(
+      quizzes.normalizeQuiz({ title: 'x'.repeat(101) }).error,
+      'Quiz title must be at most 100 characters',
+    );
+  });
+
+  it('names the question that failed validation', () => {
+    const { error } = quizzes.normalizeQuiz({
+      title: 'Quiz',
+      questions: [QUESTIONS[0], { type: 'poll', question: 'Pick', options: ['only'] }],
+    });
+    assert.equal(error, 'Question 2: Poll needs 2-4 options');
+  });
+
+  it('keeps questions in their authored shape', () => {
+    const { quiz } = quizzes.normalizeQuiz({
+      title: ' Quiz ',
+      theme: ' Fun ',
+      questions: QUESTIONS,
+    });
+    assert.equal(quiz.title, 'Quiz');
+    assert.equal(quiz.theme, 'Fun');
+    assert.deepEqual(
+      quiz.questions.map((q) => q.type),
+      ['trueFalse', 'multipleChoice', 'ordering'],
+    );
+    // Ordering items come back in the order the author gave them
+    assert.deepEqual(quiz.questions[2].items, ['1', '2', '3']);
+  });
+});
+
+describe('quiz library', () => {
+  it('stores questions in order with their settings', () => {
+    const ownerId = addUser('author');
+    const saved = saveQuiz(ownerId, { theme: 'Science' });
+
+    const loaded = quizzes.getQuiz(saved.id);
+    assert.equal(loaded.owner, 'author');
+    assert.equal(loaded.theme, 'Science');
+    assert.deepEqual(
+      loaded.questions.map((q) => q.question),
+      QUESTIONS.map((q) => q.question),
+    );
+    assert.equal(loaded.questions[0].timeLimit, 10);
+    assert.deepEqual(loaded.questions[1].correctOptions, [1]);
+  });
+
+  it("lists only the owner's quizzes, with question counts", () => {
+    const mine = addUser('lister');
+    const theirs = addUser('other');
+    saveQuiz(mine, { title: 'Mine' });
+    saveQuiz(theirs, { title: 'Theirs' });
+
+    const listed = quizzes.listQuizzes(mine);
+    assert.deepEqual(
+      listed.map((q) => [q.title, q.questionCount]),
+      [['Mine', 3]],
+    );
+  });
+
+  it('replaces the questions on update', () => {
+    const saved = saveQuiz(addUser('editor'));
+    const { quiz } = quizzes.normalizeQuiz({ title: 'Renamed', questions: [QUESTIONS[1]] });
+
+    const updated = quizzes.updateQuiz(saved.id, quiz);
+    assert.equal(updated.title, 'Renamed');
+    assert.deepEqual(
+      updated.questions.map((q) => q.question),
+      ['Pick b'],
+    );
+  });
+
+  it('deletes a quiz with its questions', () => {
+    const saved = saveQuiz(addUser('deleter'));
+    quizzes.deleteQuiz(saved.id);
+    assert.equal(quizzes.getQuiz(saved.id), null);
+  });
+});
@@ -0,0 +1,39 @@
+// node-client/test/rate-limit.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFailureLimiter } = require('../rate-limit');
+
+describe('createFailureLimiter', () => {
+  function limiterAt(start) {
+    const clock = { t: start };
+    const limiter = createFailureLimiter({ limit: 2, windowMs: 1000, now: () => clock.t });
+    return { clock, limiter };
+  }
+
+  it('refuses once any key reaches the limit, until the oldest failure ages out', () => {
+    const { clock, limiter } = limiterAt(10000);
+    limiter.record(['ip:1', 'account:7']);
+    clock.t += 200;
+    assert.equal(limiter.retryAfterMs(['ip:1']), 0);
+    limiter.record(['ip:2', 'account:7']);
+
+    assert.equal(limiter.retryAfterMs(['ip:1']), 0);
+    assert.equal(limiter.retryAfterMs(['ip:3', 'account:7']), 800);
+    clock.t += 800;
+    assert.equal(limiter.retryAfterMs(['account:7']), 0);
+  });
+
+  it('takes objects as keys and forgets aged-out keys when swept', () => {
+    const { clock, limiter } = limiterAt(0);
+    const connection = {};
+    limiter.record([connection]);
+    limiter.record([connection]);
+    assert.equal(limiter.retryAfterMs([connection]), 1000);
+
+    clock.t = 1000;
+    limiter.sweep();
+    assert.equal(limiter.retryAfterMs([connection]), 0);
+  });
+});
@@ -0,0 +1,96 @@
+// node-client/test/scoring.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, connect, createGame } = require('./tcp-harness');
+
+describe('speed scoring', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  // Each game gets fresh usernames so tests don't rejoin each other's games
+  let seq = 0;
+
+  /**
+   * Start a one-question game and have `answers` ({ username: choice }) sent
+   * right away; resolves with each player's SCORE_UPDATE.
+   */
+  async function playQuestion(question, answers) {
+    seq += 1;
+    const names = Object.keys(answers);
+    const host = await connect(server.port, `host${seq}`);
+    const players = await Promise.all(names.map((name) => connect(server.port, `${name}${seq}`)));
+    const pin = await createGame(host, { questions: [question], players });
+
+    host.send({ type: 'START_GAME', pin });
+    await Promise.all(players.map((p) => p.next('GAME_STARTED')));
+
+    const updates = {};
+    for (const [idx, player] of players.entries()) {
+      player.send({ type: 'ANSWER', pin, questionIndex: 0, choice: answers[names[idx]] });
+      updates[names[idx]] = await player.next('SCORE_UPDATE');
+    }
+
+    await Promise.all([host, ...players].map((c) => c.close()));
+    return updates;
+  }
+
+  it('awards close to the maximum for an immediate correct answer', async () => {
+    const { fast } = await playQuestion(
+      { question: 'Sky is blue?', questionType: 'trueFalse', answerTrue: true },
+      { fast: true },
+    );
+    assert.equal(fast.correct, true);
+    assert.ok(fast.pointsEarned > 900 && fast.pointsEarned <= 1000, String(fast.pointsEarned));
+  });
+
+  it("uses the question's own point range", async () => {
+    const { fast } = await playQuestion(
+      {
+        question: 'Big?',
+        questionType: 'trueFalse',
+        answerTrue: true,
+        maxPoints: 3000,
+        minPoints: 0,
+      },
+      { fast: true },
+    );
+    assert.ok(fast.pointsEarned > 2700 && fast.pointsEarned <= 3000, String(fast.pointsEarned));
+  });
+
+  it('gives nothing for a wrong answer', async () => {
+    const { wrong } = await playQuestion(
+      { question: 'Sky is green?', questionType: 'trueFalse', answerTrue: false },
+      { wrong: true },
+    );
+    assert.equal(wrong.correct, false);
+    assert.equal(wrong.pointsEarned, 0);
+    assert.equal(wrong.game.scores[wrong.answeredBy], 0);
+  });
+
+  it('credits answers to the connection, whatever username the message claims', async () => {
+    seq += 1;
+    const host = await connect(server.port, `host${seq}`);
+    const alice = await connect(server.port, `alice${seq}`);
+    const mallory = await connect(server.port, `mallory${seq}`);
+    const pin = await createGame(host, {
+      questions: [{ question: 'Q?', questionType: 'trueFalse', answerTrue: true }],
+      players: [alice, mallory],
+    });
+
+    host.send({ type: 'START_GAME', pin });
+    await mallory.next('GAME_STARTED');
+    mallory.send({ type: 'ANSWER', pin, questionIndex: 0, choice: true, username: alice.username });
+    const update = await mallory.next('SCORE_UPDATE');
+
+    assert.equal(update.answeredBy, mallory.username);
+    assert.equal(update.game.scores[alice.username], 0);
+    assert.ok(update.game.scores[mallory.username] > 0);
+
+    await Promise.all([host, alice, mallory].map((c) => c.close()));
+  });
+});
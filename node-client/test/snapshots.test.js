@@ -0,0 +1,117 @@
+// node-client/test/snapshots.test.js
+
+const fs = require('node:fs');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { openTempDb } = require('./temp-db');
+const { tempDbDir, startServer, connect, createGame } = require('./tcp-harness');
+
+const { db, cleanup } = openTempDb();
+const snapshots = require('../snapshots');
+
+after(cleanup);
+
+function liveGame(pin) {
+  return {
+    pin,
+    host: 'host',
+    state: 'inProgress',
+    players: new Set(['host', 'ann']),
+    spectators: new Set(['watcher']),
+    banned: new Set(['troll']),
+    inviteCodes: new Set(['ABC123']),
+    scores: new Map([
+      ['host', 0],
+      ['ann', 950],
+    ]),
+    roundPoints: new Map([['ann', 950]]),
+    disconnected: new Map(),
+    answeredByIndex: new Map([[0, new Set(['ann'])]]),
+    choicesByIndex: new Map([[0, new Map([['ann', true]])]]),
+    answerLog: [{ questionIndex: 0, username: 'ann', choice: true }],
+    questionDeadline: 1234,
+    questionTimer: setTimeout(() => {}, 0),
+    graceTimers: new Map(),
+  };
+}
+
+describe('snapshots', () => {
+  it('round-trips a game, restoring Sets and Maps and dropping timers', () => {
+    const game = liveGame('111111');
+    clearTimeout(game.questionTimer);
+    snapshots.saveGame(game);
+
+    const [loaded] = snapshots.loadGames();
+    assert.deepEqual(loaded, { ...game, questionTimer: null });
+    snapshots.deleteGame('111111');
+  });
+
+  it('keeps one snapshot per game and forgets deleted ones', () => {
+    const game = liveGame('222222');
+    snapshots.saveGames([game, { ...game, pin: '333333' }]);
+    game.scores.set('ann', 2000);
+    snapshots.saveGame(game);
+
+    assert.deepEqual(
+      snapshots.loadGames().map((g) => [g.pin, g.scores.get('ann')]),
+      [
+        ['222222', 2000],
+        ['333333', 950],
+      ],
+    );
+
+    snapshots.deleteGame('222222');
+    snapshots.deleteGame('333333');
+    assert.deepEqual(snapshots.loadGames(), []);
+  });
+
+  it('discards snapshots it cannot read', () => {
+    db.prepare('INSERT INTO active_games (pin, snapshot, updated_at) VALUES (?, ?, ?)').run(
+      '444444',
+      '{broken',
+      Date.now(),
+    );
+    assert.deepEqual(snapshots.loadGames(), []);
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM active_games').get().n, 0);
+  });
+});
+
+describe('restoring games after a restart', () => {
+  const dbDir = tempDbDir();
+  after(() => fs.rmSync(dbDir, { recursive: true, force: true }));
+
+  it('picks a game in progress back up with its scores', async () => {
+    let server = await startServer({ DB_DIR: dbDir });
+    const host = await connect(server.port, 'restoreHost');
+    const player = await connect(server.port, 'restorePlayer');
+    const pin = await createGame(host, {
+      questions: [
+        { question: 'Sky is blue?', questionType: 'trueFalse', answerTrue: true },
+        { question: 'Grass is red?', questionType: 'trueFalse', answerTrue: false },
+      ],
+      players: [player],
+    });
+
+    host.send({ type: 'START_GAME', pin });
+    await player.next('GAME_STARTED');
+    player.send({ type: 'ANSWER', pin, questionIndex: 0, choice: true });
+    const { pointsEarned } = await player.next('SCORE_UPDATE');
+
+    // A deploy: SIGTERM, then a new process on the same database
+    await server.stop();
+    await Promise.all([host.close(), player.close()]);
+    server = await startServer({ DB_DIR: dbDir });
+
+    const back = await connect(server.port, 'restorePlayer');
+    const state = await back.request({ type: 'GET_GAME_STATE', pin }, 'GAME_STATE');
+    assert.equal(state.game.state, 'inProgress');
+    assert.equal(state.game.scores.restorePlayer, pointsEarned);
+    assert.equal(state.you.answered, true);
+    // Nobody else is back yet; they have a grace period to return
+    assert.deepEqual(state.game.disconnected, ['restoreHost']);
+
+    await back.close();
+    await server.stop();
+  });
+});
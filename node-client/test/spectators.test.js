@@ -0,0 +1,85 @@
+// node-client/test/spectators.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, connect, createGame } = require('./tcp-harness');
+
+const QUESTION = { question: 'Sky is blue?', questionType: 'trueFalse', answerTrue: true };
+
+describe('spectators', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it('can watch a game in progress but never play', async () => {
+    const host = await connect(server.port, 'watchHost');
+    const player = await connect(server.port, 'watchPlayer');
+    const watcher = await connect(server.port, 'watcher');
+    const pin = await createGame(host, { questions: [QUESTION], players: [player] });
+
+    host.send({ type: 'START_GAME', pin });
+    await player.next('GAME_STARTED');
+
+    const joined = await watcher.request(
+      { type: 'JOIN_GAME', pin, role: 'spectator' },
+      'JOINED_GAME',
+    );
+    assert.equal(joined.role, 'spectator');
+    assert.deepEqual(joined.game.spectators, ['watcher']);
+
+    const answer = await watcher.request(
+      { type: 'ANSWER', pin, questionIndex: 0, choice: true },
+      'SCORE_UPDATE',
+    );
+    assert.deepEqual([answer.type, answer.message], ['ERROR', 'Spectators cannot answer']);
+
+    // They still follow along with everyone else
+    player.send({ type: 'ANSWER', pin, questionIndex: 0, choice: true });
+    await player.next('SCORE_UPDATE');
+    host.send({ type: 'END_GAME', pin });
+    const ended = await watcher.next('GAME_ENDED');
+    assert.deepEqual(ended.winners, ['watchPlayer']);
+
+    const state = await watcher.request({ type: 'GET_GAME_STATE', pin }, 'GAME_STATE');
+    assert.equal(state.you.role, 'spectator');
+    assert.ok(!('watcher' in state.game.scores));
+
+    await Promise.all([host, player, watcher].map((c) => c.close()));
+  });
+
+  it('cannot submit questions', async () => {
+    const host = await connect(server.port, 'quietHost');
+    const watcher = await connect(server.port, 'quietWatcher');
+    const pin = await createGame(host);
+    await watcher.request({ type: 'JOIN_GAME', pin, role: 'spectator' }, 'JOINED_GAME');
+
+    const reply = await watcher.request(
+      { type: 'SUBMIT_QUESTION', pin, ...QUESTION },
+      'QUESTION_SUBMITTED',
+    );
+    assert.deepEqual([reply.type, reply.message], ['ERROR', 'Spectators cannot submit questions']);
+
+    await Promise.all([host.close(), watcher.close()]);
+  });
+
+  it('may switch to playing while the game is still in the lobby', async () => {
+    const host = await connect(server.port, 'switchHost');
+    const guest = await connect(server.port, 'switchGuest');
+    const pin = await createGame(host);
+    await guest.request({ type: 'JOIN_GAME', pin, role: 'spectator' }, 'JOINED_GAME');
+
+    const joined = await guest.request({ type: 'JOIN_GAME', pin }, 'JOINED_GAME');
+    assert.equal(joined.role, 'player');
+    assert.deepEqual(joined.game.spectators, []);
+    assert.deepEqual(joined.game.players, ['switchHost', 'switchGuest']);
+
+    // ...but not the other way round
+    const back = await guest.request({ type: 'JOIN_GAME', pin, role: 'spectator' }, 'JOINED_GAME');
+    assert.deepEqual([back.type, back.message], ['ERROR', 'You are already playing in this game']);
+
+    await Promise.all([host.close(), guest.close()]);
+  });
+});
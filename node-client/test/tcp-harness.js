@@ -0,0 +1,248 @@
+// node-client/test/tcp-harness.js
+
+/**
+ * Test harness for the TCP game server
+ * ------------------------------------
+ * Runs server.js in a child process on a free port with its own throwaway
+ * database, and connects test clients that speak the newline-delimited JSON
+ * protocol. startBridge() runs the HTTP bridge (client-api.js, which starts
+ * its own game server) the same way. Everything is torn down by the returned
+ * stop()/close() helpers.
+ */
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const BRIDGE_PATH = path.join(__dirname, '..', 'client-api.js');
+const DEFAULT_WAIT_MS = 3000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function tempDbDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'not-kahoot-test-'));
+}
+
+/**
+ * Start a game server.
+ *
+ * @param {Object} [env] - extra environment (timers, limits). Pass DB_DIR (see
+ *   tempDbDir) to share a database between servers, e.g. to test restarts;
+ *   the caller then removes it. Otherwise stop() deletes the server's own.
+ * @returns {Promise<{port:number, dbDir:string, stop:() => Promise<void>}>}
+ */
+async function startServer(env = {}) {
+  return spawnServer(SERVER_PATH, env, ['TCP game server listening']);
+}
+
+/**
+ * Start the HTTP bridge together with its game server.
+ *
+ * @param {Object} [env] - as for startServer
+ * @returns {Promise<{port:number, httpPort:number, dbDir:string, stop:() => Promise<void>,
+ *   api:(route:string, body?:Object, username?:string) => Promise<{status:number, body:Object}>}>}
+ */
+async function startBridge(env = {}) {
+  const httpPort = await freePort();
+  const server = await spawnServer(
+    BRIDGE_PATH,
+    // Tests never open an SSE stream; keep their bridge connections open anyway
+    { SSE_IDLE_CLOSE_MS: '60000', ...env, PORT: String(httpPort) },
+    ['TCP game server listening', 'HTTP API + static server listening'],
+  );
+
+  return {
+    ...server,
+    httpPort,
+    /**
+     * POST to /api/<route> as `username` (sent the way the browser does, in X-Username).
+     */
+    async api(route, body = {}, username) {
+      const res = await fetch(`http://127.0.0.1:${httpPort}/api/${route}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(username && { 'X-Username': username }),
+        },
+        body: JSON.stringify(body),
+      });
+      return { status: res.status, body: await res.json() };
+    },
+  };
+}
+
+async function spawnServer(script, env, readyLines) {
+  const ownsDb = !env.DB_DIR;
+  const dbDir = env.DB_DIR || tempDbDir();
+  const port = await freePort();
+
+  const child = spawn(process.execPath, [script], {
+    env: { ...process.env, ...env, TCP_PORT: String(port), DB_DIR: dbDir },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  // Keep the output in case startup fails, so the test can say why
+  let output = '';
+  child.stdout.on('data', (d) => (output += d));
+  child.stderr.on('data', (d) => (output += d));
+
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 5000);
+    const onData = () => {
+      if (!readyLines.every((line) => output.includes(line))) return;
+      clearTimeout(timer);
+      child.stdout.off('data', onData);
+      resolve();
+    };
+    child.stdout.on('data', onData);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited during startup:\n${output}`));
+    });
+  });
+
+  return {
+    port,
+    dbDir,
+    // SIGTERM, like a deploy; the server saves its live games on the way down
+    stop: async () => {
+      if (child.exitCode === null) child.kill('SIGTERM');
+      await exited;
+      if (ownsDb) fs.rmSync(dbDir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Open a protocol connection, optionally saying HELLO, and register `username`.
+ *
+ * @param {number} port
+ * @param {string} username
+ * @param {{hello?: Object}} [options] - HELLO fields ({ version, features })
+ */
+async function connect(port, username, { hello } = {}) {
+  const socket = net.createConnection(port, '127.0.0.1');
+  const queue = [];
+  const waiters = [];
+  let buffer = '';
+
+  socket.on('data', (data) => {
+    buffer += data.toString();
+    let idx;
+    while ((idx = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (!line) continue;
+
+      const msg = JSON.parse(line);
+      const waiter = waiters.findIndex((w) => w.types.includes(msg.type));
+      if (waiter >= 0) waiters.splice(waiter, 1)[0].resolve(msg);
+      else queue.push(msg);
+    }
+  });
+
+  const client = {
+    username,
+    send: (msg) => socket.write(JSON.stringify(msg) + '\n'),
+
+    /**
+     * The next message of `type` (including one that already arrived); `type`
+     * may be a list to take whichever of them comes first.
+     */
+    next(type, timeoutMs = DEFAULT_WAIT_MS) {
+      const types = [].concat(type);
+      const idx = queue.findIndex((m) => types.includes(m.type));
+      if (idx >= 0) return Promise.resolve(queue.splice(idx, 1)[0]);
+
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          types,
+          resolve: (msg) => {
+            clearTimeout(timer);
+            resolve(msg);
+          },
+        };
+        const timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`${username} did not receive ${types.join(' or ')}`));
+        }, timeoutMs);
+        waiters.push(waiter);
+      });
+    },
+
+    /**
+     * Send a request and return its reply (or the ERROR it caused).
+     */
+    request(msg, replyType, timeoutMs) {
+      client.send(msg);
+      return client.next([replyType, 'ERROR'], timeoutMs);
+    },
+
+    /**
+     * Types of the messages received so far and not yet consumed.
+     */
+    received: () => queue.map((m) => m.type),
+
+    close: () =>
+      new Promise((resolve) => {
+        if (socket.destroyed) return resolve();
+        socket.once('close', resolve);
+        socket.end();
+      }),
+  };
+
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('error', reject);
+  });
+
+  if (hello) {
+    const reply = await client.request({ type: 'HELLO', ...hello }, 'HELLO_OK');
+    client.hello = reply;
+    if (reply.type !== 'HELLO_OK') return client;
+  }
+
+  client.send({ type: 'REGISTER', username });
+  await client.next('REGISTER_OK');
+  return client;
+}
+
+/**
+ * Create a game hosted by `host` with the given questions (SUBMIT_QUESTION
+ * fields) and `players` joined, returning its pin.
+ */
+async function createGame(host, { questions = [], players = [], ...options } = {}) {
+  const created = await host.request({ type: 'CREATE_GAME', ...options }, 'GAME_CREATED');
+  if (created.type === 'ERROR') throw new Error(created.message);
+  const { pin } = created.game;
+
+  for (const question of questions) {
+    const reply = await host.request(
+      { type: 'SUBMIT_QUESTION', pin, ...question },
+      'QUESTION_SUBMITTED',
+    );
+    if (reply.type === 'ERROR') throw new Error(reply.message);
+  }
+  for (const player of players) {
+    const reply = await player.request({ type: 'JOIN_GAME', pin }, 'JOINED_GAME');
+    if (reply.type === 'ERROR') throw new Error(reply.message);
+  }
+  return pin;
+}
+
+module.exports = { tempDbDir, startServer, startBridge, connect, createGame };
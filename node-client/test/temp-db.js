@@ -0,0 +1,30 @@
+// node-client/test/temp-db.js
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+/**
+ * Point db.js at a fresh throwaway database. Call this before requiring any
+ * module that opens the database, and cleanup() once the tests are done.
+ *
+ * @returns {{db: import('better-sqlite3').Database, addUser: (username:string) => number, cleanup: () => void}}
+ */
+function openTempDb() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'not-kahoot-test-'));
+  process.env.DB_DIR = dir;
+  const db = require('../db');
+
+  const insertUser = db.prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)');
+
+  return {
+    db,
+    addUser: (username) => Number(insertUser.run(username, 'not-a-real-hash').lastInsertRowid),
+    cleanup() {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { openTempDb };
@@ -3,10 +3,12 @@ import { Layout } from './components/Layout/Layout'
 /* Importing pages */
 import { Home } from './pages/home/home';
 import { JoinGame } from './pages/join-game/join-game';
-import { ActiveGame } from './pages/active-game/active-game';
 import { HostGame } from './pages/host-game/host-game';
-import { OpenGame } from './pages/open-game/open-game';
+import { Game } from './pages/game/game';
+import { Presenter } from './pages/presenter/presenter';
 import { Login } from './pages/login/login';
+import { MyQuizzes } from './pages/my-quizzes/my-quizzes';
+import { Profile } from './pages/profile/profile';
 
 function App() {
   return (
@@ -16,9 +18,12 @@ function App() {
           <Route index element={<Login />} />
           <Route path='/home' element={<Home />} />
           <Route path='/join-game' element={<JoinGame />} />
+          <Route path='/join/:pin' element={<JoinGame />} />
           <Route path='/host-game' element={<HostGame />} />
-          <Route path='/open-game' element={<OpenGame />} />
-          <Route path='/active-game' element={<ActiveGame />} />
+          <Route path='/game/:pin' element={<Game />} />
+          <Route path='/game/:pin/present' element={<Presenter />} />
+          <Route path='/my-quizzes' element={<MyQuizzes />} />
+          <Route path='/profile/:username' element={<Profile />} />
         </Route>
       </Routes>
     </BrowserRouter>
@@ -35,6 +35,19 @@ function authHeaders(extra = {}) {
   };
 }
 
+/**
+ * Build the Error thrown for a failed request. Per-row validation problems
+ * (e.g. from quiz imports) are kept on `error.errors`.
+ *
+ * @param {Object} data - Parsed error response body
+ * @returns {Error}
+ */
+function apiError(data) {
+  const error = new Error(data.error || 'Request failed');
+  if (Array.isArray(data.errors)) error.errors = data.errors;
+  return error;
+}
+
 /**
  * Helper for POST requests to the API.
  * - Automatically injects username into the JSON body unless already provided
@@ -66,7 +79,7 @@ async function post(path, body) {
   const data = await res.json().catch(() => ({}));
 
   // Normalize errors so callers can handle with a simple try/catch
-  if (!res.ok) throw new Error(data.error || 'Request failed');
+  if (!res.ok) throw apiError(data);
 
   return data;
 }
@@ -88,7 +101,32 @@ async function get(path) {
   const data = await res.json().catch(() => ({}));
 
   // Normalize errors so callers can handle with a simple try/catch
-  if (!res.ok) throw new Error(data.error || 'Request failed');
+  if (!res.ok) throw apiError(data);
+
+  return data;
+}
+
+/**
+ * Helper for JSON requests with other methods (PUT, DELETE).
+ * - Throws on non-2xx responses with a best-effort error message
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - API route path (e.g., "/quizzes/1")
+ * @param {Object} [body] - Optional JSON payload
+ * @returns {Promise<any>} Parsed JSON response
+ */
+async function request(method, path, body) {
+  const res = await fetch(`${BASE_URL}${path}`, {
+    method,
+    headers: authHeaders(),
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+
+  // Attempt to parse JSON; fall back to empty object if response body is not JSON
+  const data = await res.json().catch(() => ({}));
+
+  // Normalize errors so callers can handle with a simple try/catch
+  if (!res.ok) throw apiError(data);
 
   return data;
 }
@@ -119,7 +157,7 @@ export function login(username, password) {
  * - authHeaders() can send X-Username consistently
  *
  * @param {string} username
- * @returns {Promise<any>}
+ * @returns {Promise<any>} { ok, game? } - game ({ pin, state }) if the user is still in a live game
  */
 export async function connect(username) {
   // Only store a non-empty, trimmed username
@@ -139,6 +177,95 @@ export function scoreboard() {
   return get('/scoreboard');
 }
 
+/**
+ * Fetch a player's lifetime statistics (games, wins, podiums, accuracy, ...).
+ * @param {string} username
+ * @returns {Promise<any>} { profile }
+ */
+export function getProfile(username) {
+  return get(`/profile/${encodeURIComponent(username)}`);
+}
+
+// ========== QUIZ LIBRARY HELPERS ==========
+
+/**
+ * List the signed-in user's saved quizzes (summaries without questions).
+ * @returns {Promise<any>} { quizzes: [{ id, title, theme, questionCount, updatedAt }] }
+ */
+export function listQuizzes() {
+  return get('/quizzes');
+}
+
+/**
+ * Fetch one saved quiz with its ordered questions.
+ * @param {number} id
+ * @returns {Promise<any>} { quiz }
+ */
+export function getQuiz(id) {
+  return get(`/quizzes/${id}`);
+}
+
+/**
+ * Save a new quiz.
+ * @param {Object} quiz - { title, theme, questions: [{ type, question, ...settings }] }
+ * @returns {Promise<any>} { quiz }
+ */
+export function createQuiz(quiz) {
+  return request('POST', '/quizzes', quiz);
+}
+
+/**
+ * Replace an existing quiz's title, theme and questions.
+ * @param {number} id
+ * @param {Object} quiz - { title, theme, questions }
+ * @returns {Promise<any>} { quiz }
+ */
+export function updateQuiz(id, quiz) {
+  return request('PUT', `/quizzes/${id}`, quiz);
+}
+
+/**
+ * Delete a saved quiz.
+ * @param {number} id
+ * @returns {Promise<any>}
+ */
+export function deleteQuiz(id) {
+  return request('DELETE', `/quizzes/${id}`);
+}
+
+/**
+ * Import a JSON or CSV file into the library, as a new quiz or appended to `quizId`.
+ * Invalid rows reject with `error.errors = [{ row, error }]`.
+ * @param {Object} options - { format: 'json'|'csv', data, title?, theme?, quizId? }
+ * @returns {Promise<any>} { quiz, imported }
+ */
+export function importQuiz(options) {
+  return request('POST', '/quizzes/import', options);
+}
+
+/**
+ * Download a saved quiz as JSON or CSV.
+ * @param {number} id
+ * @param {'json'|'csv'} format
+ * @returns {Promise<{filename: string, blob: Blob}>}
+ */
+export async function exportQuiz(id, format) {
+  const res = await fetch(`${BASE_URL}/quizzes/${id}/export?format=${format}`, {
+    headers: authHeaders(),
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw apiError(data);
+  }
+
+  // Use the server's suggested file name when it sends one
+  const disposition = res.headers.get('Content-Disposition') || '';
+  const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || `quiz.${format}`;
+
+  return { filename, blob: await res.blob() };
+}
+
 // ========== GAME HELPERS ==========
 
 /**
@@ -151,7 +278,12 @@ export function listGames() {
 
 /**
  * Create a new game with optional configuration.
- * @param {Object} options
+ * Pass `quizId` to start from a saved quiz, and `presenterMode` to show the
+ * questions on a big screen (/game/:pin/present) with player devices as controllers.
+ * `password` and `inviteCodes` (how many single-use codes to issue) keep out
+ * anyone who only knows the PIN.
+ * @param {Object} options - { theme, isPublic, maxPlayers, quizId?, presenterMode?,
+ *   password?, inviteCodes? }
  * @returns {Promise<any>}
  */
 export function createGame(options) {
@@ -170,10 +302,32 @@ export function startGame(pin) {
 /**
  * Join a game by its internal ID.
  * @param {string|number} gameId
+ * @param {Object} [access] - For protected games: { password?, inviteCode? }
  * @returns {Promise<any>}
  */
-export function joinGame(gameId) {
-  return post('/joinGame', { gameId });
+export function joinGame(gameId, access = {}) {
+  return post('/joinGame', { gameId, ...access });
+}
+
+/**
+ * Watch a game as a spectator (lobby or in progress). Spectators see the
+ * questions, reveals and rankings but never answer or get a score.
+ * @param {string|number} gameId
+ * @param {Object} [access] - For protected games: { password?, inviteCode? }
+ * @returns {Promise<any>} { role: 'spectator', game }
+ */
+export function spectateGame(gameId, access = {}) {
+  return post('/joinGame', { gameId, role: 'spectator', ...access });
+}
+
+/**
+ * Fetch a full snapshot of the game this user is in, so a page can rebuild
+ * itself after a refresh.
+ * @param {string} [pin] - Optional; defaults to whichever game the user is in
+ * @returns {Promise<any>} { game, you, questionResults, winners }
+ */
+export function getGameState(pin) {
+  return post('/gameState', pin ? { pin } : {});
 }
 
 /**
@@ -186,10 +340,11 @@ export function exitGame(gameId) {
 }
 
 /**
- * Submit an answer for a specific question.
+ * Submit the player's chosen option for a specific question.
+ * The server grades the choice; the client never decides correctness.
  * @param {string|number} gameId
- * @param {string|number} questionId
- * @param {any} answer
+ * @param {number} questionId - Index of the question being answered
+ * @param {any} answer - The chosen option (null if the player didn't answer)
  * @returns {Promise<any>}
  */
 export function sendAnswer(gameId, questionId, answer) {
@@ -214,37 +369,70 @@ export function endGame(gameId) {
   return post('/endGame', { gameId });
 }
 
+/**
+ * Remove a player or spectator from the game (host-only). They can join again.
+ * @param {string|number} gameId
+ * @param {string} target - Username to remove
+ * @returns {Promise<any>} { game }
+ */
+export function kickPlayer(gameId, target) {
+  return post('/kickPlayer', { gameId, target });
+}
+
+/**
+ * Remove a player or spectator and stop them rejoining (host-only).
+ * @param {string|number} gameId
+ * @param {string} target - Username to ban
+ * @returns {Promise<any>} { game }
+ */
+export function banPlayer(gameId, target) {
+  return post('/banPlayer', { gameId, target });
+}
+
+/**
+ * Lock or unlock the game so newcomers can't join (host-only).
+ * @param {string|number} gameId
+ * @param {boolean} locked
+ * @returns {Promise<any>} { locked }
+ */
+export function lockGame(gameId, locked) {
+  return post('/lockGame', { gameId, locked });
+}
+
 /**
  * Submit a new question to a game (by PIN).
  * - If username isn't provided, we fall back to localStorage, then "Unknown".
  *
  * @param {string|number} pin
- * @param {string} question
- * @param {any} answerTrue
+ * @param {Object} question - { question, type, answerTrue?, options?, correctOptions?,
+ *   acceptedAnswers?, typoTolerance?, min?, max?, step?, correctValue?, margin?,
+ *   items?, partialCredit?, maxPoints?, minPoints? }
  * @param {string} [username]
  * @returns {Promise<any>}
  */
-export function submitQuestion(pin, question, answerTrue, username) {
+export function submitQuestion(pin, question, username) {
   // Ensure the server receives a username value even if the caller didn't pass one
   const finalUsername =
     username || localStorage.getItem('username') || 'Unknown';
 
   return post('/submitQuestion', {
     pin,
-    question,
-    answerTrue,
+    ...question,
     username: finalUsername,
   });
 }
 
 /**
- * Award the winner for a game (server-defined semantics).
- * @param {string} username
+ * Import a JSON or CSV file straight into a lobby; each question is submitted
+ * as if it came through the question modal.
+ * Invalid rows reject with `error.errors = [{ row, error }]`.
  * @param {string|number} pin
- * @returns {Promise<any>}
+ * @param {'json'|'csv'} format
+ * @param {string} data - File contents
+ * @returns {Promise<any>} { imported }
  */
-export function awardWinner(username, pin) {
-  return post('/awardWinner', { username, pin });
+export function importQuestions(pin, format, data) {
+  return post('/importQuestions', { pin, format, data });
 }
 
 /**
@@ -325,6 +513,15 @@ function ensureEventSource(username) {
     `${root}/api/events?username=${encodeURIComponent(username)}`
   );
 
+  // After a dropped stream (network blip, server restart) the bridge may have
+  // lost our TCP session too; re-register so the server puts us back in our game
+  let dropped = false;
+  eventSource.onopen = () => {
+    if (!dropped) return;
+    dropped = false;
+    post('/connect', { username }).catch((err) => console.error('SSE reconnect failed:', err));
+  };
+
   // Fired for each server-sent message event
   eventSource.onmessage = (e) => {
     let msg;
@@ -344,6 +541,7 @@ function ensureEventSource(username) {
   // Fired on stream errors (network blips, server restart, etc.)
   eventSource.onerror = (err) => {
     console.error('SSE error:', err);
+    dropped = true;
 
     // If it fully closes, allow recreating later
     // readyState === 2 means CLOSED
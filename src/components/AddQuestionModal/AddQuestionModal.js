@@ -4,32 +4,240 @@ import { useState } from 'react';
 import { InputField } from '../InputField/InputField';
 import { Button } from '../Button/Button';
 
+// Point presets offered to question authors (the server scales between min and max by speed)
+const POINT_PRESETS = [
+  { label: 'Standard', maxPoints: 1000, minPoints: 500 },
+  { label: 'Double', maxPoints: 2000, minPoints: 1000 },
+  { label: 'No points', maxPoints: 0, minPoints: 0 },
+];
+
+// Per-question time limits in seconds (null = server default)
+const TIME_LIMITS = [
+  { label: 'Default', value: null },
+  { label: '10s', value: 10 },
+  { label: '20s', value: 20 },
+  { label: '30s', value: 30 },
+  { label: '60s', value: 60 },
+];
+
+// Question types the builder can produce (must match node-client/questions.js)
+const QUESTION_TYPES = [
+  { type: 'trueFalse', label: 'True/False' },
+  { type: 'multipleChoice', label: 'Multiple choice' },
+  { type: 'typeAnswer', label: 'Type answer' },
+  { type: 'slider', label: 'Slider' },
+  { type: 'ordering', label: 'Puzzle' },
+  { type: 'poll', label: 'Poll' },
+];
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 4;
+const MAX_ACCEPTED_ANSWERS = 4;
+const MIN_ORDER_ITEMS = 3;
+const MAX_ORDER_ITEMS = 4;
+
+// How forgiving type-answer grading is (character edits the server will accept)
+const TYPO_TOLERANCES = [
+  { label: 'Exact', value: 0 },
+  { label: '1 typo', value: 1 },
+  { label: '2 typos', value: 2 },
+];
+
+// How far from the correct slider value partial credit reaches, as a share of the range
+const SLIDER_MARGINS = [
+  { label: 'Exact', value: 0 },
+  { label: 'Close', value: 0.05 },
+  { label: 'Loose', value: 0.1 },
+  { label: 'Wide', value: 0.25 },
+];
+
 /**
- * Modal for submitting a True/False question.
+ * Modal for building and submitting a game question (True/False, multiple choice, type answer, slider, puzzle or poll).
  * @component
  * @param {Boolean} props.isOpen - Determines if the account panel is open
  * @param {Function} props.onClose - Function to close the account panel
- * @param {Function} props.onSubmitQuestion - Function to handle user submitting their question
+ * @param {Function} props.onSubmitQuestion - Function to handle user submitting their question;
+ *   if it rejects, the error is shown and the question kept so it can be fixed
+ * @param {String} [props.title] - Heading shown at the top of the modal
  * @returns {JSX.Element}
  */
 export const AddQuestionModal = (props) => {
   const [question, setQuestion] = useState('');
+  const [questionType, setQuestionType] = useState('trueFalse');
   const [isTrueAnswer, setIsTrueAnswer] = useState(true);
+  const [options, setOptions] = useState(['', '']);
+  const [correctOptions, setCorrectOptions] = useState([0]);
+  const [acceptedAnswers, setAcceptedAnswers] = useState(['']);
+  const [typoTolerance, setTypoTolerance] = useState(0);
+  const [slider, setSlider] = useState({ min: '0', max: '100', step: '1', correctValue: '' });
+  const [sliderMargin, setSliderMargin] = useState(SLIDER_MARGINS[2].value);
+  const [orderItems, setOrderItems] = useState(['', '', '']);
+  const [partialCredit, setPartialCredit] = useState(false);
+  const [pointPreset, setPointPreset] = useState(POINT_PRESETS[0]);
+  const [timeLimit, setTimeLimit] = useState(null);
+  const [error, setError] = useState('');
 
   if (!props.isOpen) return null;
 
-  const submit = () => {
-    const q = question.trim();
-    if (!q) return;
+  const updateOption = (idx, value) => {
+    setOptions((prev) => prev.map((o, i) => (i === idx ? value : o)));
+  };
+
+  const addOption = () => {
+    if (options.length >= MAX_OPTIONS) return;
+    setOptions((prev) => [...prev, '']);
+  };
+
+  const removeOption = (idx) => {
+    if (options.length <= MIN_OPTIONS) return;
+    setOptions((prev) => prev.filter((_, i) => i !== idx));
+    // Keep correct markers pointing at the same options after the shift
+    setCorrectOptions((prev) =>
+      prev.filter((i) => i !== idx).map((i) => (i > idx ? i - 1 : i))
+    );
+  };
 
-    props.onSubmitQuestion?.({
-      question: q,
-      answerTrue: isTrueAnswer,
+  const toggleCorrect = (idx) => {
+    setCorrectOptions((prev) =>
+      prev.includes(idx) ? prev.filter((i) => i !== idx) : [...prev, idx].sort((a, b) => a - b)
+    );
+  };
+
+  const updateAcceptedAnswer = (idx, value) => {
+    setAcceptedAnswers((prev) => prev.map((a, i) => (i === idx ? value : a)));
+  };
+
+  const updateOrderItem = (idx, value) => {
+    setOrderItems((prev) => prev.map((item, i) => (i === idx ? value : item)));
+  };
+
+  // Swap an item with its neighbour (direction -1 = up, 1 = down)
+  const moveOrderItem = (idx, direction) => {
+    const target = idx + direction;
+    if (target < 0 || target >= orderItems.length) return;
+    setOrderItems((prev) => {
+      const next = [...prev];
+      [next[idx], next[target]] = [next[target], next[idx]];
+      return next;
     });
+  };
 
-    // Reset modal state
+  const updateSlider = (field, value) => {
+    setSlider((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const isMultipleChoice = questionType === 'multipleChoice';
+  const isTypeAnswer = questionType === 'typeAnswer';
+  const isSlider = questionType === 'slider';
+  const isOrdering = questionType === 'ordering';
+  const isPoll = questionType === 'poll';
+
+  // Blank fields count as invalid rather than zero
+  const sliderNumbers = Object.fromEntries(
+    Object.entries(slider).map(([field, value]) => [field, value.trim() ? Number(value) : NaN])
+  );
+  const sliderSteps = (sliderNumbers.correctValue - sliderNumbers.min) / sliderNumbers.step;
+  const isSliderValid =
+    Object.values(sliderNumbers).every(Number.isFinite) &&
+    sliderNumbers.min < sliderNumbers.max &&
+    sliderNumbers.step > 0 &&
+    sliderNumbers.correctValue >= sliderNumbers.min &&
+    sliderNumbers.correctValue <= sliderNumbers.max &&
+    Math.abs(sliderSteps - Math.round(sliderSteps)) < 1e-9;
+
+  const isValid =
+    question.trim() &&
+    (!isMultipleChoice ||
+      (options.every((o) => o.trim()) && correctOptions.length > 0)) &&
+    (!isPoll || options.every((o) => o.trim())) &&
+    (!isTypeAnswer || acceptedAnswers.some((a) => a.trim())) &&
+    (!isSlider || isSliderValid) &&
+    (!isOrdering || orderItems.every((item) => item.trim()));
+
+  const reset = () => {
     setQuestion('');
+    setQuestionType('trueFalse');
     setIsTrueAnswer(true);
+    setOptions(['', '']);
+    setCorrectOptions([0]);
+    setAcceptedAnswers(['']);
+    setTypoTolerance(0);
+    setSlider({ min: '0', max: '100', step: '1', correctValue: '' });
+    setSliderMargin(SLIDER_MARGINS[2].value);
+    setOrderItems(['', '', '']);
+    setPartialCredit(false);
+    setPointPreset(POINT_PRESETS[0]);
+    setTimeLimit(null);
+    setError('');
+  };
+
+  const submit = async () => {
+    if (!isValid) return;
+
+    // Per-question settings shared by every scored type
+    const settings = {
+      maxPoints: pointPreset.maxPoints,
+      minPoints: pointPreset.minPoints,
+      ...(timeLimit ? { timeLimit } : {}),
+    };
+
+    const submitted =
+      isPoll
+        ? {
+            type: 'poll',
+            question: question.trim(),
+            options: options.map((o) => o.trim()),
+            ...(timeLimit ? { timeLimit } : {}),
+          }
+        : isOrdering
+        ? {
+            type: 'ordering',
+            question: question.trim(),
+            items: orderItems.map((item) => item.trim()),
+            partialCredit,
+            ...settings,
+          }
+        : isSlider
+        ? {
+            type: 'slider',
+            question: question.trim(),
+            ...sliderNumbers,
+            margin: (sliderNumbers.max - sliderNumbers.min) * sliderMargin,
+            ...settings,
+          }
+        : isTypeAnswer
+        ? {
+            type: 'typeAnswer',
+            question: question.trim(),
+            acceptedAnswers: acceptedAnswers.map((a) => a.trim()).filter(Boolean),
+            typoTolerance,
+            ...settings,
+          }
+        : isMultipleChoice
+        ? {
+            type: 'multipleChoice',
+            question: question.trim(),
+            options: options.map((o) => o.trim()),
+            correctOptions,
+            ...settings,
+          }
+        : {
+            type: 'trueFalse',
+            question: question.trim(),
+            answerTrue: isTrueAnswer,
+            ...settings,
+          };
+
+    // A rejected submission keeps the form filled in so it can be fixed
+    try {
+      await props.onSubmitQuestion?.(submitted);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    // Reset modal state
+    reset();
   };
 
   return (
@@ -40,7 +248,7 @@ export const AddQuestionModal = (props) => {
       tabIndex={-1}
     >
       <div className='question-panel' onClick={(e) => e.stopPropagation()}>
-        <h2>Submit a Game Question</h2>
+        <h2>{props.title || 'Submit a Game Question'}</h2>
 
         <InputField
           value={question}
@@ -48,23 +256,224 @@ export const AddQuestionModal = (props) => {
           default='Enter question'
         />
 
-        <label>Is the answer True or False?</label>
-
         <div className='question-buttons'>
+          <label>Question type</label>
+          <div className='true-false-buttons'>
+            {QUESTION_TYPES.map((t) => (
+              <Button
+                key={t.type}
+                buttonText={t.label}
+                buttonEvent={() => setQuestionType(t.type)}
+                selected={questionType === t.type}
+              />
+            ))}
+          </div>
+
+          {isOrdering ? (
+            <>
+              <label>Items (in the correct order)</label>
+              <div className='option-rows'>
+                {orderItems.map((item, idx) => (
+                  <div className='option-row' key={idx}>
+                    <InputField
+                      value={item}
+                      onChange={(val) => updateOrderItem(idx, val)}
+                      default={`Item ${idx + 1}`}
+                    />
+                    <Button buttonText='↑' buttonEvent={() => moveOrderItem(idx, -1)} />
+                    <Button buttonText='↓' buttonEvent={() => moveOrderItem(idx, 1)} />
+                    {orderItems.length > MIN_ORDER_ITEMS && (
+                      <Button
+                        buttonText='✕'
+                        buttonEvent={() =>
+                          setOrderItems((prev) => prev.filter((_, i) => i !== idx))
+                        }
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+              {orderItems.length < MAX_ORDER_ITEMS && (
+                <Button
+                  buttonText='Add item'
+                  buttonEvent={() => setOrderItems((prev) => [...prev, ''])}
+                />
+              )}
+
+              <label>Scoring</label>
+              <div className='true-false-buttons'>
+                <Button
+                  buttonText='Exact order'
+                  buttonEvent={() => setPartialCredit(false)}
+                  selected={!partialCredit}
+                />
+                <Button
+                  buttonText='Per item'
+                  buttonEvent={() => setPartialCredit(true)}
+                  selected={partialCredit}
+                />
+              </div>
+            </>
+          ) : isSlider ? (
+            <>
+              <label>Slider range</label>
+              <div className='option-rows'>
+                <div className='option-row'>
+                  <InputField
+                    value={slider.min}
+                    onChange={(val) => updateSlider('min', val)}
+                    default='Min'
+                  />
+                  <InputField
+                    value={slider.max}
+                    onChange={(val) => updateSlider('max', val)}
+                    default='Max'
+                  />
+                  <InputField
+                    value={slider.step}
+                    onChange={(val) => updateSlider('step', val)}
+                    default='Step'
+                  />
+                </div>
+              </div>
+
+              <label>Correct value</label>
+              <InputField
+                value={slider.correctValue}
+                onChange={(val) => updateSlider('correctValue', val)}
+                default='Correct value'
+              />
+
+              <label>Partial credit</label>
+              <div className='true-false-buttons'>
+                {SLIDER_MARGINS.map((m) => (
+                  <Button
+                    key={m.label}
+                    buttonText={m.label}
+                    buttonEvent={() => setSliderMargin(m.value)}
+                    selected={sliderMargin === m.value}
+                  />
+                ))}
+              </div>
+            </>
+          ) : isTypeAnswer ? (
+            <>
+              <label>Accepted answers</label>
+              <div className='option-rows'>
+                {acceptedAnswers.map((answer, idx) => (
+                  <div className='option-row' key={idx}>
+                    <InputField
+                      value={answer}
+                      onChange={(val) => updateAcceptedAnswer(idx, val)}
+                      default={idx === 0 ? 'Answer' : 'Also accept'}
+                    />
+                    {acceptedAnswers.length > 1 && (
+                      <Button
+                        buttonText='✕'
+                        buttonEvent={() =>
+                          setAcceptedAnswers((prev) => prev.filter((_, i) => i !== idx))
+                        }
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+              {acceptedAnswers.length < MAX_ACCEPTED_ANSWERS && (
+                <Button
+                  buttonText='Add accepted answer'
+                  buttonEvent={() => setAcceptedAnswers((prev) => [...prev, ''])}
+                />
+              )}
+
+              <label>Typo tolerance</label>
+              <div className='true-false-buttons'>
+                {TYPO_TOLERANCES.map((t) => (
+                  <Button
+                    key={t.value}
+                    buttonText={t.label}
+                    buttonEvent={() => setTypoTolerance(t.value)}
+                    selected={typoTolerance === t.value}
+                  />
+                ))}
+              </div>
+            </>
+          ) : isMultipleChoice || isPoll ? (
+            <>
+              <label>{isPoll ? 'Options' : 'Options (mark the correct ones)'}</label>
+              <div className='option-rows'>
+                {options.map((option, idx) => (
+                  <div className='option-row' key={idx}>
+                    <InputField
+                      value={option}
+                      onChange={(val) => updateOption(idx, val)}
+                      default={`Option ${idx + 1}`}
+                    />
+                    {!isPoll && (
+                      <Button
+                        buttonText='✓'
+                        buttonEvent={() => toggleCorrect(idx)}
+                        selected={correctOptions.includes(idx)}
+                      />
+                    )}
+                    {options.length > MIN_OPTIONS && (
+                      <Button buttonText='✕' buttonEvent={() => removeOption(idx)} />
+                    )}
+                  </div>
+                ))}
+              </div>
+              {options.length < MAX_OPTIONS && (
+                <Button buttonText='Add option' buttonEvent={addOption} />
+              )}
+            </>
+          ) : (
+            <>
+              <label>Is the answer True or False?</label>
+              <div className='true-false-buttons'>
+                <Button
+                  buttonText='True'
+                  buttonEvent={() => setIsTrueAnswer(true)}
+                  selected={isTrueAnswer}
+                />
+                <Button
+                  buttonText='False'
+                  buttonEvent={() => setIsTrueAnswer(false)}
+                  selected={!isTrueAnswer}
+                />
+              </div>
+            </>
+          )}
+
+          <label>Time limit</label>
           <div className='true-false-buttons'>
-            <Button
-              buttonText='True'
-              buttonEvent={() => setIsTrueAnswer(true)}
-              selected={isTrueAnswer}
-            />
-            <Button
-              buttonText='False'
-              buttonEvent={() => setIsTrueAnswer(false)}
-              selected={!isTrueAnswer}
-            />
+            {TIME_LIMITS.map((t) => (
+              <Button
+                key={t.label}
+                buttonText={t.label}
+                buttonEvent={() => setTimeLimit(t.value)}
+                selected={timeLimit === t.value}
+              />
+            ))}
           </div>
 
-          <Button buttonText='Submit Question' buttonEvent={submit} />
+          {/* Polls are never scored */}
+          {!isPoll && (
+            <>
+              <label>Points</label>
+              <div className='true-false-buttons'>
+                {POINT_PRESETS.map((preset) => (
+                  <Button
+                    key={preset.label}
+                    buttonText={preset.label}
+                    buttonEvent={() => setPointPreset(preset)}
+                    selected={pointPreset === preset}
+                  />
+                ))}
+              </div>
+            </>
+          )}
+
+          {error && <p className='question-error'>{error}</p>}
+          <Button buttonText='Submit Question' buttonEvent={submit} disabled={!isValid} />
         </div>
       </div>
     </div>
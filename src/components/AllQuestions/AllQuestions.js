@@ -2,72 +2,96 @@ import './AllQuestions.scss';
 import { useEffect, useMemo, useState } from 'react';
 import { Question } from '../Question/Question';
 import { Ranking } from '../Ranking/Ranking';
+import { PollResults } from '../PollResults/PollResults';
+import { QuestionResults } from '../QuestionResults/QuestionResults';
 import { Button } from '../Button/Button';
 import { Timer } from '../Timer/Timer';
 import { sendAnswer, nextQuestion, endGame } from '../../api/clientApi';
 
+// How long the answer reveal stays up before the ranking takes over (ms)
+const REVEAL_MS = 5000;
+
 /**
  * Component that maintains game state and renders all of the questions, answers, and rankings in the game.
  * @component
- * @param {Array} props.gameQuestions - Array containing all of the questions in this game.
+ * @param {Array} props.gameQuestions - Questions this player may see so far (answers hidden until revealed)
+ * @param {Integer} props.totalQuestions - Total number of questions in the game
  * @param {String} props.gamePin - The pin of the current game
  * @param {String} props.username - The username of the current player
  * @param {Boolean} props.isHost - Whether the current player is the host of the game
+ * @param {Boolean} [props.compact] - Presenter game: show only the answer controls while a question is open
+ * @param {Boolean} [props.isSpectator] - Watching only: questions are shown read-only and there is no personal standing
  * @param {Array} props.scores - Array of current game scores
+ * @param {Object} props.roundPoints - Points each player earned on the current question
+ * @param {Array<Number>} [props.pollCounts] - Live vote totals when the current question is a poll
+ * @param {Object} [props.questionResults] - Latest QUESTION_RESULTS reveal from the server
  * @param {Integer} props.currentQuestionIndex - Index of the current question being asked
- * @param {Function} props.advanceTick - Passes timer functionality to the Timer component
+ * @param {Number} props.questionDeadline - Server timestamp (ms) when the current question closes
+ * @param {Boolean} props.questionClosed - Whether the server has closed the current question
+ * @param {Number} props.serverOffset - Server clock minus local clock (ms), used by the Timer
+ * @param {Function} props.advanceTick - Changes whenever the host advances to a new question
+ * @param {Integer} [props.answeredIndex] - Question the server already has our answer for (after a refresh)
  * @returns {JSX.Element}
  */
 export const AllQuestions = (props) => {
   const questions = props.gameQuestions || [];
-  const total = questions.length;
+  const total = props.totalQuestions ?? questions.length;
 
   const idx = Math.max(0, Math.min(props.currentQuestionIndex ?? 0, Math.max(total - 1, 0)));
   const currentQuestion = questions[idx];
   const isLastQuestion = total > 0 && idx === total - 1;
 
-  const [isAnswered, setIsAnswered] = useState(false);
-  const [isQuestionActive, setIsQuestionActive] = useState(true);
+  const [isAnswered, setIsAnswered] = useState(props.answeredIndex === idx);
+  const [showRanking, setShowRanking] = useState(false);
+
+  // Reveal for the question on screen, once the server has closed it
+  const results =
+    props.questionResults && props.questionResults.questionIndex === idx
+      ? props.questionResults
+      : null;
+
+  // The server owns the clock; a question is active until it says otherwise
+  const isQuestionActive = !props.questionClosed;
 
   // Ranking from scores prop
   const ranking = useMemo(() => {
     const entries = Object.entries(props.scores || {});
     entries.sort((a, b) => (b[1] || 0) - (a[1] || 0));
-    return entries.map(([username, score]) => ({ username, score }));
-  }, [props.scores]);
+    return entries.map(([username, score]) => ({
+      username,
+      score,
+      pointsEarned: (props.roundPoints || {})[username] || 0,
+    }));
+  }, [props.scores, props.roundPoints]);
 
   // Reset local UI when the server index changes / host advances
   useEffect(() => {
-    setIsAnswered(false);
-    setIsQuestionActive(true);
-  }, [props.advanceTick, props.currentQuestionIndex]);
+    setIsAnswered(props.answeredIndex === props.currentQuestionIndex);
+    setShowRanking(false);
+  }, [props.advanceTick, props.currentQuestionIndex, props.answeredIndex]);
+
+  // Show the reveal first, then move on to the ranking
+  useEffect(() => {
+    if (!results) return;
+    const timeout = setTimeout(() => setShowRanking(true), REVEAL_MS);
+    return () => clearTimeout(timeout);
+  }, [results]);
 
   if (!questions || questions.length === 0) {
     return <div className='all-questions-section'>Waiting for questions...</div>;
   }
 
-  const questionAnswered = (isCorrect) => {
+  const questionAnswered = (choice) => {
     if (!isQuestionActive || isAnswered) return;
 
     setIsAnswered(true);
 
-    // isCorrect is already boolean (Question compares user choice vs answerTrue)
-    sendAnswer(props.gamePin, idx, !!isCorrect).catch((e) =>
+    // Only the chosen option is sent; the server grades it
+    sendAnswer(props.gamePin, idx, choice).catch((e) =>
       console.error('sendAnswer failed:', e)
     );
   };
 
-  const handleTimeUp = () => {
-    // If they never answered, submit false once
-    if (!isAnswered) {
-      setIsAnswered(true);
-      sendAnswer(props.gamePin, idx, false).catch((e) =>
-        console.error('sendAnswer (timeup) failed:', e)
-      );
-    }
-    setIsQuestionActive(false);
-  };
-
   const handleNextClick = async () => {
     if (!props.isHost) return;
     try {
@@ -88,6 +112,31 @@ export const AllQuestions = (props) => {
     }
   };
 
+  // Revealed ordering questions carry correctOrder; spell out the right sequence
+  const correctSequence =
+    currentQuestion?.type === 'ordering' && Array.isArray(currentQuestion.correctOrder)
+      ? currentQuestion.correctOrder.map((i) => currentQuestion.items[i])
+      : null;
+
+  const isPoll = currentQuestion?.type === 'poll';
+  const pollResults = isPoll && (
+    <PollResults
+      question={currentQuestion.question}
+      options={currentQuestion.options}
+      counts={props.pollCounts}
+    />
+  );
+
+  const hostControls = props.isHost ? (
+    isLastQuestion ? (
+      <Button buttonText='End game' buttonEvent={handleEndGame} />
+    ) : (
+      <Button buttonText='Next question' buttonEvent={handleNextClick} />
+    )
+  ) : (
+    <h3 style={{ marginTop: 16 }}>Waiting for host to continue…</h3>
+  );
+
   const myRank = ranking.findIndex((r) => r.username === props.username);
   const myScore = (props.scores || {})[props.username] || 0;
 
@@ -96,43 +145,77 @@ export const AllQuestions = (props) => {
       {isQuestionActive && (
         <Timer
           key={`t:${props.gamePin}:${idx}:${props.advanceTick}`}
-          countdown={15}
-          onTimeUp={handleTimeUp}
+          deadline={props.questionDeadline}
+          serverOffset={props.serverOffset}
         />
       )}
 
       {isQuestionActive ? (
-        isAnswered ? (
-          <h2 className='waiting-screen'>Waiting for the timer…</h2>
+        props.isSpectator ? (
+          <>
+            <Question
+              question={currentQuestion.question}
+              questionType={currentQuestion.type}
+              options={currentQuestion.options}
+              min={currentQuestion.min}
+              max={currentQuestion.max}
+              items={currentQuestion.items}
+              readOnly
+            />
+            {pollResults}
+          </>
+        ) : isAnswered ? (
+          <>
+            <h2 className='waiting-screen'>Waiting for the timer…</h2>
+            {pollResults}
+          </>
         ) : (
           <Question
             question={currentQuestion.question}
-            answerTrue={currentQuestion.answerTrue}
+            questionType={currentQuestion.type}
+            options={currentQuestion.options}
+            min={currentQuestion.min}
+            max={currentQuestion.max}
+            step={currentQuestion.step}
+            items={currentQuestion.items}
+            compact={props.compact}
             questionAnswered={questionAnswered}
           />
         )
+      ) : results && !showRanking && !isPoll ? (
+        <div className='current-ranking'>
+          <QuestionResults question={currentQuestion} results={results} />
+          {hostControls}
+        </div>
       ) : (
         <div className='current-ranking'>
-          <Ranking topFive={ranking.slice(0, 5)} gameEnd={isLastQuestion} />
+          {isPoll && !isLastQuestion ? (
+            pollResults
+          ) : (
+            <>
+              {pollResults}
+              <Ranking
+                topFive={ranking.slice(0, 5)}
+                gameEnd={isLastQuestion}
+                correctSequence={correctSequence}
+              />
+            </>
+          )}
 
           <div className='user-score'>
-            <h3>Your Current Standing</h3>
-            <p className='rank'>Rank: {myRank >= 0 ? myRank + 1 : 'unranked'}</p>
-            <p className='score'>Score: {myScore}</p>
+            {!props.isSpectator && (
+              <>
+                <h3>Your Current Standing</h3>
+                <p className='rank'>Rank: {myRank >= 0 ? myRank + 1 : 'unranked'}</p>
+                <p className='score'>Score: {myScore}</p>
+              </>
+            )}
             <p style={{ opacity: 0.75 }}>
               Question {idx + 1} / {total}
             </p>
           </div>
 
-          {props.isHost ? (
-            isLastQuestion ? (
-              <Button buttonText='End game' buttonEvent={handleEndGame} />
-            ) : (
-              <Button buttonText='Next question' buttonEvent={handleNextClick} />
-            )
-          ) : (
-            <h3 style={{ marginTop: 16 }}>Waiting for host to continue…</h3>
-          )}
+          {hostControls}
         </div>
       )}
     </div>
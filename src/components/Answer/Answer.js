@@ -1,21 +1,31 @@
 import './Answer.scss';
 
 /**
- * Answer component that renders an individual answer to the screen and tracks whether it is the correct answer or not.
+ * Answer component that renders an individual answer option to the screen.
  * @component
- * @param {String} props.type - Whether the answer is a true or false type
- * @param {Boolean} props.actualAnswer - Boolean value representing whether this answer is the correct answer for the question
- * @param {function} props.onClick - Function to be called when the answer is clicked
+ * @param {String} props.type - Tile style: 'true', 'false', or 'option-0' … 'option-3' for multiple choice
+ * @param {String} [props.label] - Text shown on the tile (defaults to the type)
+ * @param {String} [props.shape] - Optional shape glyph shown before the label
+ * @param {any} [props.value] - Choice reported when clicked (defaults to the type)
+ * @param {function} [props.onClick] - Function to be called with the chosen option when the answer is clicked
+ * @param {Boolean} [props.disabled] - Show the tile without letting it be picked (spectators)
  * @returns {JSX.Element}
  */
 export const Answer = (props) => {
     const HandleClick = () => {
-        props.onClick(props.type, props.actualAnswer);
+        if (props.disabled || !props.onClick) return;
+        props.onClick(props.value ?? props.type);
     };
 
     return (
-        <button className={props.type} id='answer-button' onClick={HandleClick}>
-            {props.type}
+        <button
+            className={props.type}
+            id='answer-button'
+            onClick={HandleClick}
+            disabled={props.disabled}
+        >
+            {props.shape && <span className='answer-shape'>{props.shape}</span>}
+            {props.label ?? props.type}
         </button>
     );
 };
\ No newline at end of file
@@ -4,15 +4,49 @@ import './DisplayUsers.scss';
  * Grid copmonent that displays all the current users
  * @component
  * @param {Array} props.users - Array of all the current users who have joined the open game
+ *   ({ username, submitted, disconnected })
+ * @param {Function} [props.onKick] - Host only: called with a username to remove that player
+ * @param {Function} [props.onBan] - Host only: called with a username to ban that player
+ * @param {String} [props.self] - The current user, who gets no controls on their own tile
  * @returns {JSX.Element}
  */
 export const DisplayUsers = (props) => {
+    const canModerate = (username) =>
+        (props.onKick || props.onBan) && username !== props.self;
+
     return (
         <div className='display-users'>
             {props.users.map(user => (
-                <div className='individual-user' key={user.username}>
+                <div
+                    className={`individual-user${user.disconnected ? ' disconnected' : ''}`}
+                    key={user.username}
+                    title={user.disconnected ? 'Reconnecting…' : undefined}
+                >
                     <span className='username'>{user.username}</span>
                     {user.submitted && <span className='checkmark'>✅</span>}
+                    {user.disconnected && <span className='status'>offline</span>}
+                    {canModerate(user.username) && (
+                        <div className='moderation'>
+                            {props.onKick && (
+                                <button
+                                    type='button'
+                                    className='kick'
+                                    onClick={() => props.onKick(user.username)}
+                                >
+                                    Kick
+                                </button>
+                            )}
+                            {props.onBan && (
+                                <button
+                                    type='button'
+                                    className='ban'
+                                    onClick={() => props.onBan(user.username)}
+                                >
+                                    Ban
+                                </button>
+                            )}
+                        </div>
+                    )}
                 </div>
             ))}
         </div>
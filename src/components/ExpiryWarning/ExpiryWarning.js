@@ -0,0 +1,39 @@
+import './ExpiryWarning.scss';
+import { useEffect, useState } from 'react';
+
+/**
+ * Whole seconds left until `expiresAt` according to the server clock.
+ */
+const remainingSeconds = (expiresAt, serverOffset) =>
+  Math.max(0, Math.ceil((Number(expiresAt) - (Date.now() + serverOffset)) / 1000));
+
+/**
+ * Banner shown after a GAME_EXPIRING warning: the server will close this game
+ * for inactivity unless somebody moves it forward.
+ * @component
+ * @param {Object} props
+ * @param {number} props.expiresAt - server timestamp (ms) when the game expires
+ * @param {number} [props.serverOffset] - server clock minus local clock (ms)
+ * @param {String} [props.hint] - what the viewer can do to keep the game alive
+ * @returns {JSX.Element}
+ */
+export const ExpiryWarning = (props) => {
+  const { expiresAt, serverOffset = 0 } = props;
+
+  const [seconds, setSeconds] = useState(() => remainingSeconds(expiresAt, serverOffset));
+
+  useEffect(() => {
+    const tick = () => setSeconds(remainingSeconds(expiresAt, serverOffset));
+
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [expiresAt, serverOffset]);
+
+  return (
+    <div className='expiry-warning' role='alert'>
+      This game will close in {seconds}s due to inactivity.
+      {props.hint && <span className='hint'> {props.hint}</span>}
+    </div>
+  );
+};
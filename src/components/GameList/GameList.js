@@ -14,9 +14,19 @@ export const GameList = (props) => {
   const navigate = useNavigate();
 
   const handleJoinGame = async (game) => {
+    // Protected games ask for their password or an invite code first
+    let access = {};
+    if (game.hasPassword || game.inviteOnly) {
+      const code = window.prompt(
+        game.hasPassword ? 'Enter the game password or an invite code' : 'Enter your invite code'
+      );
+      if (!code) return;
+      access = { password: code, inviteCode: code };
+    }
+
     try {
-      const res = await joinGame(game.pin); // { ok:true, game }
-      navigate('/open-game', { state: { game: res.game, username: props.username } });
+      const res = await joinGame(game.pin, access); // { ok:true, game }
+      navigate(`/game/${res.game.pin}`, { state: { game: res.game, username: props.username } });
     } catch (err) {
       console.error('Error joining game:', err);
       alert(err.message);
@@ -38,7 +48,10 @@ export const GameList = (props) => {
         .sort((a, b) => (b.players?.length || 0) - (a.players?.length || 0))
         .map((game) => (
           <div className='game-row' key={game.pin}>
-            <span className='theme-column'>{game.theme || '—'}</span>
+            <span className='theme-column'>
+              {(game.hasPassword || game.inviteOnly) && '🔒 '}
+              {game.theme || '—'}
+            </span>
             <span className='pin-column'>{game.pin}</span>
             <span className='players-column'>
               {(game.players?.length || 0)}/{game.maxPlayers ?? '—'}
@@ -0,0 +1,29 @@
+import './JoinLink.scss';
+import { QRCodeSVG } from 'qrcode.react';
+
+/**
+ * Deep link players can open (or scan) to join a lobby without typing the PIN.
+ */
+export const joinUrl = (pin) => `${window.location.origin}/join/${encodeURIComponent(pin)}`;
+
+/**
+ * QR code and URL for joining a game. The code is drawn in the browser, so the
+ * link never goes to a third-party service.
+ * @component
+ * @param {Object} props
+ * @param {String} props.pin - Game PIN the link joins
+ * @param {Number} [props.size] - QR code width and height in pixels (default 160)
+ * @returns {JSX.Element}
+ */
+export const JoinLink = (props) => {
+  const url = joinUrl(props.pin);
+
+  return (
+    <div className='join-link'>
+      <QRCodeSVG value={url} size={props.size ?? 160} marginSize={2} title={`Join game ${props.pin}`} />
+      <a className='join-url' href={url}>
+        {url}
+      </a>
+    </div>
+  );
+};
@@ -0,0 +1,70 @@
+import './OrderAnswer.scss';
+import { useState } from 'react';
+import { Button } from '../Button/Button';
+
+/**
+ * OrderAnswer component that lets a player arrange items into order, by dragging
+ * a tile onto another or by tapping two tiles to swap them.
+ * @component
+ * @param {Array<String>} props.items - Items in the (shuffled) order the server sent them
+ * @param {Function} props.onSubmit - Function called with the arrangement, as indexes into props.items
+ * @returns {JSX.Element}
+ */
+export const OrderAnswer = (props) => {
+    const items = props.items || [];
+    const [order, setOrder] = useState(() => items.map((_, idx) => idx));
+    const [selected, setSelected] = useState(null);
+    const [dragging, setDragging] = useState(null);
+
+    const move = (from, to) => {
+        if (from === null || from === to) return;
+        setOrder((prev) => {
+            const next = [...prev];
+            const [item] = next.splice(from, 1);
+            next.splice(to, 0, item);
+            return next;
+        });
+    };
+
+    const handleTap = (position) => {
+        if (selected === null) {
+            setSelected(position);
+            return;
+        }
+        // Second tap swaps the two tiles
+        setOrder((prev) => {
+            const next = [...prev];
+            [next[selected], next[position]] = [next[position], next[selected]];
+            return next;
+        });
+        setSelected(null);
+    };
+
+    return (
+        <div className='order-answer'>
+            <ol className='order-items'>
+                {order.map((itemIdx, position) => (
+                    <li
+                        key={itemIdx}
+                        className={`order-item option-${position} ${
+                            selected === position ? 'selected' : ''
+                        }`}
+                        draggable
+                        onDragStart={() => setDragging(position)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => {
+                            move(dragging, position);
+                            setDragging(null);
+                            setSelected(null);
+                        }}
+                        onClick={() => handleTap(position)}
+                    >
+                        <span className='order-position'>{position + 1}</span>
+                        {items[itemIdx]}
+                    </li>
+                ))}
+            </ol>
+            <Button buttonText='Submit' buttonEvent={() => props.onSubmit(order)} />
+        </div>
+    );
+};
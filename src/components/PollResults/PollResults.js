@@ -0,0 +1,39 @@
+import './PollResults.scss';
+
+/**
+ * Bar chart of poll votes, one bar per option.
+ * @component
+ * @param {String} props.question - The poll question
+ * @param {Array<String>} props.options - Poll options
+ * @param {Array<Number>} [props.counts] - Votes per option (same order as options)
+ * @returns {JSX.Element}
+ */
+export const PollResults = (props) => {
+    const options = props.options || [];
+    const counts = options.map((_, idx) => (props.counts || [])[idx] || 0);
+    const total = counts.reduce((sum, n) => sum + n, 0);
+    const most = Math.max(1, ...counts);
+
+    return (
+        <div className='poll-results'>
+            <h2 className='poll-title'>{props.question}</h2>
+
+            <div className='poll-bars'>
+                {options.map((option, idx) => (
+                    <div className='poll-bar-column' key={idx}>
+                        <span className='poll-count'>{counts[idx]}</span>
+                        <div
+                            className={`poll-bar option-${idx}`}
+                            style={{ height: `${(counts[idx] / most) * 100}%` }}
+                        />
+                        <span className='poll-option'>{option}</span>
+                    </div>
+                ))}
+            </div>
+
+            <p className='poll-total'>
+                {total} {total === 1 ? 'vote' : 'votes'}
+            </p>
+        </div>
+    );
+};
@@ -1,41 +1,140 @@
 import './Question.scss';
-import { Answer } from '../Answer/Answer';
 import { useState } from 'react';
+import { Answer } from '../Answer/Answer';
+import { InputField } from '../InputField/InputField';
+import { Button } from '../Button/Button';
+import { RangeAnswer } from '../RangeAnswer/RangeAnswer';
+import { OrderAnswer } from '../OrderAnswer/OrderAnswer';
+
+// Kahoot-style tile shapes for multiple choice options (colors live in Answer.scss)
+const OPTION_SHAPES = ['▲', '◆', '●', '■'];
 
 /**
  * Question component that renders each question to the middle of the active game screen.
  * @component
- * @param {String} props.question - The question that is displayed and must be answered as true or false
- * @param {Boolean} props.answerTrue - Boolean value representing whether the answer is true (if true) or false (if false)
- * @param {Function} props.questionAnswered - function from parent to receive when answer is clicked
+ * @param {String} props.question - The question that is displayed
+ * @param {String} [props.questionType] - 'trueFalse' (default), 'multipleChoice', 'typeAnswer', 'slider', 'ordering' or 'poll'
+ * @param {Array<String>} [props.options] - Answer options for multiple choice and poll questions
+ * @param {Number} [props.min] - Lowest value for slider questions
+ * @param {Number} [props.max] - Highest value for slider questions
+ * @param {Number} [props.step] - Increment for slider questions
+ * @param {Array<String>} [props.items] - Shuffled items for ordering questions
+ * @param {Function} props.questionAnswered - function from parent that receives the chosen option
+ *   (true/false for True/False, the option index for multiple choice, the typed text for type answer,
+ *   the picked number for slider, the arranged item indexes for ordering)
+ * @param {Boolean} [props.readOnly] - Show the question without answer controls (spectators)
+ * @param {Boolean} [props.compact] - Controller layout for presenter games: the question is on the
+ *   big screen, so only the answer controls (multiple choice tiles as shapes) are shown
  * @returns {JSX.Element}
  */
 export const Question = (props) => {
-    const [selected, setSelected] = useState(null);
-    const [isCorrect, setIsCorrect] = useState(null);
+    const [typedAnswer, setTypedAnswer] = useState('');
+    // Polls reuse the multiple choice tiles; they just have no right answer
+    const isMultipleChoice =
+        props.questionType === 'multipleChoice' || props.questionType === 'poll';
+    const isTypeAnswer = props.questionType === 'typeAnswer';
+    const isSlider = props.questionType === 'slider';
+    const isOrdering = props.questionType === 'ordering';
+
+    const handleAnswerClick = (choice) => {
+        // Only the choice is reported; the server decides whether it was correct
+        props.questionAnswered(isMultipleChoice ? choice : choice === 'true');
+    };
 
-    const handleAnswerClick = (answerType, actualAnswer) => {
-        setSelected(answerType);
-        setIsCorrect(actualAnswer);
-        // actualAnswer is a boolean: true if this click is correct
-        props.questionAnswered(actualAnswer);
+    const submitTypedAnswer = () => {
+        const text = typedAnswer.trim();
+        if (!text) return;
+        props.questionAnswered(text);
     };
 
+    if (props.readOnly) {
+        return (
+            <div className='question-and-answer read-only'>
+                <h2 className='question'>{props.question}</h2>
+                {isMultipleChoice ? (
+                    <div className='answers four-tiles'>
+                        {(props.options || []).map((option, idx) => (
+                            <Answer
+                                key={idx}
+                                type={`option-${idx}`}
+                                label={option}
+                                shape={OPTION_SHAPES[idx]}
+                                disabled
+                            />
+                        ))}
+                    </div>
+                ) : isOrdering ? (
+                    <ol className='read-only-items'>
+                        {(props.items || []).map((item, idx) => (
+                            <li key={idx}>{item}</li>
+                        ))}
+                    </ol>
+                ) : isSlider ? (
+                    <p className='read-only-hint'>
+                        Players pick a number between {props.min} and {props.max}.
+                    </p>
+                ) : isTypeAnswer ? (
+                    <p className='read-only-hint'>Players are typing their answers…</p>
+                ) : (
+                    <div className='answers'>
+                        <Answer type='true' disabled />
+                        <Answer type='false' disabled />
+                    </div>
+                )}
+            </div>
+        );
+    }
+
     return (
-        <div className='question-and-answer'>
-            <h2 className='question'>{props.question}</h2>
-            <div className='answers'>
-                <Answer
-                    type='true'
-                    actualAnswer={props.answerTrue}
-                    onClick={handleAnswerClick}
+        <div className={`question-and-answer${props.compact ? ' compact' : ''}`}>
+            {!props.compact && <h2 className='question'>{props.question}</h2>}
+            {isOrdering ? (
+                <OrderAnswer items={props.items} onSubmit={props.questionAnswered} />
+            ) : isSlider ? (
+                <RangeAnswer
+                    min={props.min}
+                    max={props.max}
+                    step={props.step}
+                    onSubmit={props.questionAnswered}
                 />
-                <Answer
-                    type='false'
-                    actualAnswer={!props.answerTrue}
-                    onClick={handleAnswerClick}
-                />
-            </div>
+            ) : isTypeAnswer ? (
+                <div className='answers type-answer'>
+                    <InputField
+                        value={typedAnswer}
+                        onChange={(val) => setTypedAnswer(val)}
+                        default='Type your answer'
+                    />
+                    <Button
+                        buttonText='Submit'
+                        buttonEvent={submitTypedAnswer}
+                        disabled={!typedAnswer.trim()}
+                    />
+                </div>
+            ) : isMultipleChoice ? (
+                <div className='answers four-tiles'>
+                    {(props.options || []).map((option, idx) => (
+                        <Answer
+                            key={idx}
+                            type={`option-${idx}`}
+                            label={props.compact ? '' : option}
+                            shape={OPTION_SHAPES[idx]}
+                            value={idx}
+                            onClick={handleAnswerClick}
+                        />
+                    ))}
+                </div>
+            ) : (
+                <div className='answers'>
+                    <Answer
+                        type='true'
+                        onClick={handleAnswerClick}
+                    />
+                    <Answer
+                        type='false'
+                        onClick={handleAnswerClick}
+                    />
+                </div>
+            )}
         </div>
     );
 };
\ No newline at end of file
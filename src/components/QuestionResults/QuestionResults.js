@@ -0,0 +1,115 @@
+import './QuestionResults.scss';
+
+/**
+ * Rows of answers with how many players picked each, marking the correct ones.
+ */
+const AnswerRows = ({ rows }) => {
+    const most = Math.max(1, ...rows.map((row) => row.count));
+    return (
+        <div className='result-rows'>
+            {rows.map((row, idx) => (
+                <div className={`result-row ${row.correct ? 'correct' : ''}`} key={idx}>
+                    <span className='result-label'>
+                        {row.correct && '✓ '}
+                        {row.label}
+                    </span>
+                    <div className='result-bar-track'>
+                        <div
+                            className={`result-bar option-${idx}`}
+                            style={{ width: `${(row.count / most) * 100}%` }}
+                        />
+                    </div>
+                    <span className='result-count'>{row.count}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Reveal screen shown when a question closes: the right answer, how the room
+ * answered, and whether this player got it.
+ * @component
+ * @param {Object} props.question - The question that just closed (answers included once revealed)
+ * @param {Object} props.results - QUESTION_RESULTS message from the server
+ * @param {Boolean} [props.hideVerdict] - Leave out this viewer's own result (presenter screen)
+ * @returns {JSX.Element}
+ */
+export const QuestionResults = (props) => {
+    const { question, results } = props;
+    const you = results.you;
+    const counts = results.counts;
+
+    let verdict = 'No answer';
+    if (you?.correct) verdict = 'Correct!';
+    else if (you?.pointsEarned > 0) verdict = 'Close!';
+    else if (you) verdict = 'Not quite';
+
+    let answer = null;
+    switch (results.questionType) {
+        case 'multipleChoice':
+            answer = (
+                <AnswerRows
+                    rows={(question.options || []).map((option, idx) => ({
+                        label: option,
+                        count: counts?.[idx] || 0,
+                        correct: results.correctAnswer.includes(idx),
+                    }))}
+                />
+            );
+            break;
+
+        case 'typeAnswer':
+            answer = <p className='result-answer'>Accepted: {results.correctAnswer.join(', ')}</p>;
+            break;
+
+        case 'slider':
+            answer = (
+                <p className='result-answer'>
+                    Correct value: {results.correctAnswer}
+                    {you?.choice != null && ` (you picked ${you.choice})`}
+                </p>
+            );
+            break;
+
+        case 'ordering':
+            answer = (
+                <ol className='result-sequence'>
+                    {results.correctAnswer.map((itemIdx) => (
+                        <li key={itemIdx}>{question.items?.[itemIdx]}</li>
+                    ))}
+                </ol>
+            );
+            break;
+
+        default:
+            answer = (
+                <AnswerRows
+                    rows={[true, false].map((value) => ({
+                        label: value ? 'True' : 'False',
+                        count: counts?.[value] || 0,
+                        correct: results.correctAnswer === value,
+                    }))}
+                />
+            );
+            break;
+    }
+
+    return (
+        <div className='question-results'>
+            {!props.hideVerdict && (
+                <h2 className={`verdict ${you?.correct ? 'right' : 'wrong'}`}>
+                    {verdict}
+                    {you?.pointsEarned > 0 && (
+                        <span className='verdict-points'> +{you.pointsEarned}</span>
+                    )}
+                </h2>
+            )}
+            <h3 className='result-question'>{question.question}</h3>
+            {answer}
+            <p className='result-summary'>
+                {results.correctCount} of {results.answered} got it right
+            </p>
+        </div>
+    );
+};
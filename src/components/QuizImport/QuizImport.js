@@ -0,0 +1,68 @@
+import './QuizImport.scss';
+import { useRef, useState } from 'react';
+import { Button } from '../Button/Button';
+
+/**
+ * Button that picks a .json or .csv quiz file, hands its contents to the parent
+ * and lists any per-row errors the server reports (also for questions it
+ * rejected from an import that otherwise went through).
+ * @component
+ * @param {String} [props.buttonText] - Label for the import button
+ * @param {Function} props.onImport - async (format, data, fileName) => { imported, errors? }
+ * @returns {JSX.Element}
+ */
+export const QuizImport = (props) => {
+    const inputRef = useRef(null);
+    const [status, setStatus] = useState('');
+    const [errors, setErrors] = useState([]);
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        // Reset so picking the same file again still fires onChange
+        e.target.value = '';
+        if (!file) return;
+
+        const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+
+        try {
+            const data = await file.text();
+            const result = await props.onImport(format, data, file.name.replace(/\.[^.]+$/, ''));
+            const rejected = result?.errors || [];
+            setErrors(rejected);
+            setStatus(
+                `Imported ${result?.imported ?? 0} questions` +
+                    (rejected.length > 0 ? `, ${rejected.length} rejected` : '')
+            );
+        } catch (err) {
+            setErrors(err.errors || []);
+            setStatus(err.message);
+        }
+    };
+
+    return (
+        <div className='quiz-import'>
+            <input
+                ref={inputRef}
+                type='file'
+                accept='.json,.csv,application/json,text/csv'
+                onChange={handleFile}
+                hidden
+            />
+            <Button
+                buttonText={props.buttonText || 'Import JSON/CSV'}
+                buttonEvent={() => inputRef.current?.click()}
+            />
+            {status && <p className='import-status'>{status}</p>}
+            {errors.length > 0 && (
+                <ul className='import-errors'>
+                    {errors.map((e, idx) => (
+                        <li key={idx}>
+                            {e.row > 0 ? `Row ${e.row}: ` : ''}
+                            {e.error}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
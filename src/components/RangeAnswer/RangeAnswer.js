@@ -0,0 +1,40 @@
+import './RangeAnswer.scss';
+import { useState } from 'react';
+import { Button } from '../Button/Button';
+
+/**
+ * RangeAnswer component that lets a player pick a number on a slider and lock it in.
+ * @component
+ * @param {Number} props.min - Lowest selectable value
+ * @param {Number} props.max - Highest selectable value
+ * @param {Number} [props.step] - Slider increment (defaults to 1)
+ * @param {Function} props.onSubmit - Function called with the picked number
+ * @returns {JSX.Element}
+ */
+export const RangeAnswer = (props) => {
+    const min = Number(props.min);
+    const max = Number(props.max);
+    const step = Number(props.step) || 1;
+
+    // Start in the middle of the range, snapped to the step
+    const [value, setValue] = useState(min + Math.round((max - min) / 2 / step) * step);
+
+    return (
+        <div className='range-answer'>
+            <span className='range-value'>{value}</span>
+            <input
+                type='range'
+                min={min}
+                max={max}
+                step={step}
+                value={value}
+                onChange={(e) => setValue(Number(e.target.value))}
+            />
+            <div className='range-limits'>
+                <span>{min}</span>
+                <span>{max}</span>
+            </div>
+            <Button buttonText='Submit' buttonEvent={() => props.onSubmit(value)} />
+        </div>
+    );
+};
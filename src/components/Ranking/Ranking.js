@@ -6,8 +6,9 @@ import './Ranking.scss';
  * and displays the Leaderboard at the end.
  * @component
  * @param {Object} props
- * @param {Array<{username: string, score: number}>} props.topFive
+ * @param {Array<{username: string, score: number, pointsEarned?: number}>} props.topFive
  * @param {boolean} props.gameEnd
+ * @param {Array<string>} [props.correctSequence] - Correct order of the last ordering question
  * @returns {JSX.Element}
  */
 export const Ranking = (props) => {
@@ -15,6 +16,17 @@ export const Ranking = (props) => {
 
   return (
     <div>
+      {props.correctSequence && (
+        <div className='correct-sequence'>
+          <h3>Correct order</h3>
+          <ol>
+            {props.correctSequence.map((item, idx) => (
+              <li key={idx}>{item}</li>
+            ))}
+          </ol>
+        </div>
+      )}
+
       {props.gameEnd ? (
         <Leaderboard topFive={topFive} />
       ) : (
@@ -38,7 +50,12 @@ export const Ranking = (props) => {
               <div className='top-player-row' key={top.username}>
                 <span className='rank-column'>{idx + 1}</span>
                 <span className='username-column'>{top.username}</span>
-                <span className='score-column'>{top.score}</span>
+                <span className='score-column'>
+                  {top.score}
+                  {top.pointsEarned > 0 && (
+                    <span className='points-earned'> +{top.pointsEarned}</span>
+                  )}
+                </span>
               </div>
             ))
           )}
@@ -1,4 +1,5 @@
 import './Scoreboard.scss';
+import { Link } from 'react-router-dom';
 
 /**
  * Component that tracks a constant scoreboard across all Not Kahoot games.
@@ -31,7 +32,9 @@ export const Scoreboard = (props) => {
         players.map((player) => (
           <div className='player-row' key={player.rank}>
             <span className='rank-column'>{player.rank}</span>
-            <span className='player-column'>{player.name}</span>
+            <span className='player-column'>
+              <Link to={`/profile/${encodeURIComponent(player.name)}`}>{player.name}</Link>
+            </span>
             <span className='score-column'>{player.score}</span>
           </div>
         ))
@@ -1,42 +1,36 @@
 // src/components/Timer/Timer.js
 import './Timer.scss';
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useState } from 'react';
 
 /**
- * Component that tracks and displays the timer for every game question.
+ * Whole seconds left until `deadline` according to the server clock.
+ */
+const remainingSeconds = (deadline, serverOffset) =>
+  Math.max(0, Math.ceil((Number(deadline) - (Date.now() + serverOffset)) / 1000));
+
+/**
+ * Component that displays the time left on the current question.
+ * The deadline comes from the game server, which also closes the question,
+ * so every player sees the same window.
  * @component
  * @param {Object} props
- * @param {number|string} props.countdown - countdown duration (seconds)
- * @param {Function} props.onTimeUp - called once when time reaches 0
+ * @param {number} props.deadline - server timestamp (ms) when the question closes
+ * @param {number} [props.serverOffset] - server clock minus local clock (ms)
  * @returns {JSX.Element}
  */
 export const Timer = (props) => {
-  const initial = Math.max(0, Number(props.countdown) || 0);
+  const { deadline, serverOffset = 0 } = props;
 
-  const [seconds, setSeconds] = useState(initial);
-  const firedRef = useRef(false);
+  const [seconds, setSeconds] = useState(() => remainingSeconds(deadline, serverOffset));
 
-  // Reset timer when countdown changes (new question)
   useEffect(() => {
-    firedRef.current = false;
-    setSeconds(initial);
-  }, [initial]);
-
-  useEffect(() => {
-    if (seconds <= 0) {
-      if (!firedRef.current) {
-        firedRef.current = true;
-        props.onTimeUp?.();
-      }
-      return;
-    }
-
-    const id = setInterval(() => {
-      setSeconds((prev) => Math.max(0, prev - 1));
-    }, 1000);
+    const tick = () => setSeconds(remainingSeconds(deadline, serverOffset));
 
+    tick();
+    // Tick faster than once a second so the display doesn't drift from the deadline
+    const id = setInterval(tick, 250);
     return () => clearInterval(id);
-  }, [seconds, props.onTimeUp]);
+  }, [deadline, serverOffset]);
 
   return (
     <div className='timer-section'>
@@ -7,30 +7,49 @@ import {
   subscribeToGameEvents,
   exitGame,
   endGame,
-  awardWinner,
 } from '../../api/clientApi';
-import { useEffect, useMemo, useRef, useState } from 'react';
-import { useLocation, useNavigate } from 'react-router-dom';
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { BackgroundMusic } from '../../components/BackgroundMusic/BackgroundMusic';
-
-export const ActiveGame = () => {
-  const location = useLocation();
-  const { game: initialGame, username: stateUsername } = location.state || {};
-  const username = stateUsername || localStorage.getItem('username') || 'Unknown';
+import { ExpiryWarning } from '../../components/ExpiryWarning/ExpiryWarning';
+
+/**
+ * A game in progress (or just finished): questions, rankings, chat and the end screen.
+ * @component
+ * @param {Object} props.game - Game snapshot to start from (from navigation or GAME_STATE)
+ * @param {String} props.username - The current player
+ * @param {Object} [props.resume] - GAME_STATE extras when rebuilding after a refresh:
+ *   { you: { answered }, questionResults, winners }
+ */
+export const ActiveGame = (props) => {
+  const initialGame = props.game;
+  const resume = props.resume || {};
+  const username = props.username;
 
   const [messages, setMessages] = useState([]);
   const [scores, setScores] = useState(initialGame?.scores || {});
   const [gameState, setGameState] = useState(initialGame || null);
 
   const [advanceTick, setAdvanceTick] = useState(0);
-  const [ended, setEnded] = useState(false);
+  // Latest QUESTION_RESULTS reveal (correct answer + how everyone answered)
+  const [questionResults, setQuestionResults] = useState(resume.questionResults || null);
+  // Server clock minus local clock, refreshed from every game snapshot we receive
+  const [serverOffset, setServerOffset] = useState(() =>
+    initialGame?.serverNow ? initialGame.serverNow - Date.now() : 0
+  );
+  const [ended, setEnded] = useState(initialGame?.state === 'ended');
+  const [winners, setWinners] = useState(resume.winners || []);
+  // Pending GAME_EXPIRING warning, cleared once the game moves again
+  const [expiresAt, setExpiresAt] = useState(null);
+  // Why the server ended the game, when it expired for inactivity
+  const [endMessage, setEndMessage] = useState('');
 
   const navigate = useNavigate();
-  const awardedRef = useRef(false);
 
   const game = gameState;
 
   const isHost = useMemo(() => !!game && username === game.host, [game, username]);
+  const isSpectator = (game?.spectators || []).includes(username);
 
   useEffect(() => {
     if (!game) return;
@@ -38,6 +57,11 @@ export const ActiveGame = () => {
     const unsubscribe = subscribeToGameEvents((msg) => {
       if (!msg.pin || msg.pin !== game.pin) return;
 
+      if (msg.game?.serverNow) setServerOffset(msg.game.serverNow - Date.now());
+
+      // Answers and advancing keep the game alive
+      if (msg.type === 'SCORE_UPDATE' || msg.type === 'NEXT_QUESTION') setExpiresAt(null);
+
       switch (msg.type) {
         case 'CHAT':
           setMessages((prev) => [
@@ -56,25 +80,55 @@ export const ActiveGame = () => {
           setAdvanceTick((t) => t + 1);
           break;
 
+        case 'QUESTION_RESULTS':
+          setQuestionResults(msg);
+          break;
+
+        case 'GAME_EXPIRING':
+          setExpiresAt(msg.expiresAt);
+          break;
+
+        case 'GAME_EXPIRED':
+          // GAME_ENDED follows with the final standings
+          setEndMessage(msg.message);
+          setExpiresAt(null);
+          break;
+
+        case 'KICKED':
+          alert(msg.message);
+          navigate('/home');
+          break;
+
+        case 'POLL_RESULTS':
+          // Running vote totals for the poll currently on screen
+          setGameState((prev) =>
+            prev && (prev.currentQuestionIndex ?? 0) === msg.questionIndex
+              ? { ...prev, pollCounts: msg.counts }
+              : prev
+          );
+          break;
+
+        // Presence changes; a host that timed out hands control to someone else
+        case 'PLAYER_LEFT':
+        case 'SPECTATOR_JOINED':
+        case 'SPECTATOR_LEFT':
+        case 'PLAYER_DISCONNECTED':
+        case 'PLAYER_RECONNECTED':
+        case 'HOST_CHANGED':
+        case 'QUESTION_OPENED':
+        case 'QUESTION_CLOSED':
+          if (msg.game) setGameState(msg.game);
+          if (msg.game?.scores) setScores(msg.game.scores);
+          break;
+
         case 'GAME_ENDED': {
+          // Set when the game didn't finish normally (e.g. every player left)
+          if (msg.message) setEndMessage(msg.message);
           if (msg.game) setGameState(msg.game);
           if (msg.game?.scores) setScores(msg.game.scores);
+          // The server credits wins itself; it tells us who they went to
+          setWinners(msg.winners || []);
           setEnded(true);
-
-          // Host awards winner once
-          if (!awardedRef.current && isHost && msg.game?.scores) {
-            awardedRef.current = true;
-
-            const entries = Object.entries(msg.game.scores || {});
-            entries.sort((a, b) => (b[1] || 0) - (a[1] || 0));
-            const winner = entries[0]?.[0];
-
-            if (winner) {
-              awardWinner(winner, msg.pin).catch((e) =>
-                console.error('awardWinner failed:', e)
-              );
-            }
-          }
           break;
         }
 
@@ -84,7 +138,7 @@ export const ActiveGame = () => {
     }, { username });
 
     return () => unsubscribe();
-  }, [game?.pin, isHost, username]);
+  }, [game?.pin, navigate, username]);
 
   const handleSendMessage = (messageText) => {
     if (!game) return;
@@ -116,6 +170,12 @@ export const ActiveGame = () => {
     return (
       <main className='active-game'>
         <h1>Game Over</h1>
+        {endMessage && <p>{endMessage}</p>}
+        {winners.length > 0 && (
+          <h2>
+            {winners.length > 1 ? 'Winners' : 'Winner'}: {winners.join(', ')}
+          </h2>
+        )}
         <div style={{ maxWidth: 480, margin: '0 auto' }}>
           {sorted.map(([name, score]) => (
             <div
@@ -141,17 +201,41 @@ export const ActiveGame = () => {
       {isHost ? (
         <Button buttonEvent={handleEndGame} buttonText='End Game' />
       ) : (
-        <Button buttonEvent={handleExitGame} buttonText='Exit' />
+        <Button buttonEvent={handleExitGame} buttonText={isSpectator ? 'Stop watching' : 'Exit'} />
+      )}
+      {isSpectator && <h3 className='spectating'>Spectating</h3>}
+      {isHost && game.presenterMode && (
+        <a className='presenter-link' href={`/game/${game.pin}/present`} target='_blank' rel='noreferrer'>
+          Open presenter view
+        </a>
+      )}
+
+      {expiresAt && (
+        <ExpiryWarning
+          expiresAt={expiresAt}
+          serverOffset={serverOffset}
+          hint={isHost ? 'Move on to the next question to keep it going.' : undefined}
+        />
       )}
 
       <AllQuestions
         gameQuestions={game.questions || []}
+        totalQuestions={game.questionCount ?? (game.questions || []).length}
         gamePin={game.pin}
         username={username}
         isHost={isHost}
+        isSpectator={isSpectator}
+        compact={!!game.presenterMode && !isSpectator}
         scores={scores}
+        roundPoints={game.roundPoints || {}}
+        pollCounts={game.pollCounts}
+        questionResults={questionResults}
         currentQuestionIndex={game.currentQuestionIndex ?? 0}
+        questionDeadline={game.questionDeadline}
+        questionClosed={!!game.questionClosed}
+        serverOffset={serverOffset}
         advanceTick={advanceTick}
+        answeredIndex={resume.you?.answered ? initialGame.currentQuestionIndex : null}
       />
 
       <Chat messages={messages} user={username} onSendMessage={handleSendMessage} />
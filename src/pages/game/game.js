@@ -0,0 +1,77 @@
+import './game.scss';
+import { OpenGame } from '../open-game/open-game';
+import { ActiveGame } from '../active-game/active-game';
+import { Button } from '../../components/Button/Button';
+import { connect, getGameState } from '../../api/clientApi';
+import { useEffect, useRef, useState } from 'react';
+import { useLocation, useParams } from 'react-router-dom';
+
+/**
+ * URL-addressable game page (/game/:pin).
+ * On load it asks the server for the player's current view of the game, so a
+ * refresh or dropped connection lands back in the lobby or on the question in
+ * progress. In-app transitions (e.g. the lobby starting) hand the new game
+ * snapshot over through navigation state instead.
+ * @component
+ */
+export const Game = () => {
+  const { pin } = useParams();
+  const location = useLocation();
+  const username = localStorage.getItem('username') || '';
+
+  // { game, resume } where resume holds the GAME_STATE extras (null when handed over)
+  const [view, setView] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!username) {
+      setError('Please log in to rejoin this game.');
+      return;
+    }
+
+    let cancelled = false;
+    setView(null);
+    setError('');
+
+    // Re-establish the bridge connection first; it may not survive a reload
+    connect(username)
+      .then(() => getGameState(pin))
+      .then(({ game, you, questionResults, winners }) => {
+        if (!cancelled) setView({ game, resume: { you, questionResults, winners } });
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pin, username]);
+
+  // Navigation state survives a reload, so only trust it for navigations made
+  // after this page mounted; the server snapshot covers everything else
+  const mountedKey = useRef(location.key);
+  const handedOver = location.state?.game;
+  useEffect(() => {
+    if (location.key === mountedKey.current) return;
+    if (handedOver?.pin === pin) setView({ game: handedOver, resume: null });
+  }, [location.key, handedOver, pin]);
+
+  if (error) {
+    return (
+      <main className='game-status'>
+        <h2>{error}</h2>
+        <Button buttonLink={username ? '/home' : '/'} buttonText='Back' />
+      </main>
+    );
+  }
+
+  if (!view) return <main className='game-status'>Loading game…</main>;
+
+  // Remount when the game leaves the lobby so each page starts from a fresh snapshot
+  return view.game.state === 'lobby' ? (
+    <OpenGame key={`lobby:${pin}`} game={view.game} username={username} />
+  ) : (
+    <ActiveGame key={`play:${pin}`} game={view.game} username={username} resume={view.resume} />
+  );
+};
@@ -38,6 +38,11 @@ export const Home = () => {
       <div className='home-buttons'>
         <Button buttonLink='/join-game' buttonText='Join a game' />
         <Button buttonLink='/host-game' buttonText='Host a game' />
+        <Button buttonLink='/my-quizzes' buttonText='My quizzes' />
+        <Button
+          buttonLink={`/profile/${encodeURIComponent(localStorage.getItem('username') || '')}`}
+          buttonText='My profile'
+        />
       </div>
 
       <div className='scoreboards'>
@@ -1,9 +1,9 @@
 import './host-game.scss';
 import { Button } from '../../components/Button/Button';
 import { InputField } from '../../components/InputField/InputField';
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { createGame } from '../../api/clientApi'; // <-- use your API helper
+import { useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { createGame, listQuizzes } from '../../api/clientApi'; // <-- use your API helper
 
 export const HostGame = () => {
     const [isPublicGame, setIsPublicGame] = useState(true);
@@ -14,6 +14,11 @@ export const HostGame = () => {
     const setPrivate = () => {
         setIsPublicGame(false);
     };
+    // Keep out anyone who only knows the PIN: a join password and/or single-use invite codes
+    const [joinPassword, setJoinPassword] = useState('');
+    const [inviteCodes, setInviteCodes] = useState(0);
+    // Questions on a shared presenter screen, or on every device
+    const [presenterMode, setPresenterMode] = useState(false);
     // Handle maximum players
     const [maxPlayers, setMaxPlayers] = useState(20);
     const selectMaxPlayers = (num) => {
@@ -25,6 +30,17 @@ export const HostGame = () => {
     const [gameTheme, setGameTheme] = useState('');
     const [gamePin, setGamePin] = useState('');
 
+    // Optionally start from a saved quiz (preselected when coming from My Quizzes)
+    const location = useLocation();
+    const [quizzes, setQuizzes] = useState([]);
+    const [quizId, setQuizId] = useState(location.state?.quizId ?? null);
+
+    useEffect(() => {
+        listQuizzes()
+            .then((res) => setQuizzes(res.quizzes || []))
+            .catch((err) => console.error('failed to load quizzes', err));
+    }, []);
+
     const startGame = async () => {
         try {
             const username = localStorage.getItem('username') || 'Host';
@@ -34,7 +50,11 @@ export const HostGame = () => {
                 username,
                 theme: gameTheme,
                 isPublic: isPublicGame,
-                maxPlayers
+                maxPlayers,
+                presenterMode,
+                password: joinPassword,
+                inviteCodes,
+                ...(quizId != null ? { quizId } : {})
             });
 
             console.log('createGame response:', data);
@@ -43,13 +63,14 @@ export const HostGame = () => {
                 const newGamePin = data.game.pin;
                 setGamePin(newGamePin);
 
-                // Navigate to the open game page with the new game PIN and game object
-                navigate('/open-game', { state: { game: data.game, username } });
+                // Navigate to the new game's lobby, handing over the game object
+                navigate(`/game/${newGamePin}`, { state: { game: data.game, username } });
             } else {
                 console.error('createGame returned unexpected data:', data);
             }
         } catch (err) {
             console.error('Error creating game:', err);
+            alert(err.message);
         }
     };
 
@@ -73,6 +94,36 @@ export const HostGame = () => {
                         selected={isPublicGame === false}
                     />
                 </div>
+                <InputField
+                    default='Join password (optional)'
+                    type='password'
+                    onChange={(value) => setJoinPassword(value)}
+                    value={joinPassword}
+                />
+                <h2>Invite Codes</h2>
+                <div className='set-invite-codes'>
+                    {[0, 5, 10, 20].map((count) => (
+                        <Button
+                            key={count}
+                            buttonText={count === 0 ? 'None' : String(count)}
+                            buttonEvent={() => setInviteCodes(count)}
+                            selected={inviteCodes === count}
+                        />
+                    ))}
+                </div>
+                <h2>Show Questions On</h2>
+                <div className='set-screen-mode'>
+                    <Button
+                        buttonText='Every device'
+                        buttonEvent={() => setPresenterMode(false)}
+                        selected={!presenterMode}
+                    />
+                    <Button
+                        buttonText='Big screen'
+                        buttonEvent={() => setPresenterMode(true)}
+                        selected={presenterMode}
+                    />
+                </div>
                 <h2>Select Maximum Players</h2>
                 <div className='set-player-max'>
                     <Button
@@ -101,6 +152,26 @@ export const HostGame = () => {
                         selected={maxPlayers === 50}
                     />
                 </div>
+                {quizzes.length > 0 && (
+                    <>
+                        <h2>Load a Saved Quiz</h2>
+                        <div className='set-quiz'>
+                            <Button
+                                buttonText='None'
+                                buttonEvent={() => setQuizId(null)}
+                                selected={quizId === null}
+                            />
+                            {quizzes.map((quiz) => (
+                                <Button
+                                    key={quiz.id}
+                                    buttonText={quiz.title}
+                                    buttonEvent={() => setQuizId(quiz.id)}
+                                    selected={quizId === quiz.id}
+                                />
+                            ))}
+                        </div>
+                    </>
+                )}
                 <Button buttonEvent={startGame} buttonText='Start game' />
             </div>
         </main>
@@ -2,16 +2,26 @@ import './join-game.scss';
 import { Button } from '../../components/Button/Button';
 import { InputField } from '../../components/InputField/InputField';
 import { GameList } from '../../components/GameList/GameList';
-import { useEffect, useState } from 'react';
-import { listGames, joinGame } from '../../api/clientApi';
-import { useNavigate } from 'react-router-dom';
+import { useEffect, useRef, useState } from 'react';
+import { connect, listGames, joinGame, spectateGame } from '../../api/clientApi';
+import { useNavigate, useParams } from 'react-router-dom';
 
+/**
+ * Join screen: enter a PIN or pick a public game. Opened as /join/:pin (the
+ * lobby's QR code), the PIN is filled in and the user joins straight away,
+ * logging in first if needed.
+ */
 export const JoinGame = () => {
+  const { pin: linkPin } = useParams();
   const [availableGames, setAvailableGames] = useState([]);
-  const [gamePin, setGamePin] = useState('');
+  const [gamePin, setGamePin] = useState(linkPin || '');
+  // Private games let in whoever has their password or one of their invite codes
+  const [password, setPassword] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
   const navigate = useNavigate();
 
   const username = localStorage.getItem('username') || 'Unknown';
+  const loggedIn = !!localStorage.getItem('authToken') && !!localStorage.getItem('username');
 
   useEffect(() => {
     listGames()
@@ -21,20 +31,45 @@ export const JoinGame = () => {
       .catch((err) => console.error('Error fetching games:', err));
   }, []);
 
-  const handleJoinByPin = async () => {
+  const handleJoinByPin = async (spectate = false) => {
     const pin = gamePin.trim();
     if (!pin) return;
 
     try {
-      const res = await joinGame(pin); // { ok:true, game }
+      const access = {};
+      if (password) access.password = password;
+      if (inviteCode.trim()) access.inviteCode = inviteCode.trim();
+      const res = spectate ? await spectateGame(pin, access) : await joinGame(pin, access); // { ok:true, game }
       const game = res.game;
-      navigate('/open-game', { state: { game, username } });
+      navigate(`/game/${game.pin}`, { state: { game, username } });
     } catch (err) {
       console.error('Error joining game by pin:', err);
       alert(err.message);
     }
   };
 
+  // Deep link: log in first and come back, then join once (a protected game
+  // will ask for its password or invite code, which the form below takes)
+  const autoJoinedPin = useRef(null);
+  useEffect(() => {
+    if (!linkPin || autoJoinedPin.current === linkPin) return;
+    autoJoinedPin.current = linkPin;
+
+    if (!loggedIn) {
+      navigate('/', { replace: true, state: { redirectTo: `/join/${linkPin}` } });
+      return;
+    }
+
+    // A scanned link may open a fresh tab, so make sure the bridge knows us
+    connect(username)
+      .then(() => joinGame(linkPin))
+      .then((res) => navigate(`/game/${res.game.pin}`, { state: { game: res.game, username } }))
+      .catch((err) => {
+        console.error('Error joining game from link:', err);
+        alert(err.message);
+      });
+  }, [linkPin, loggedIn, navigate, username]);
+
   return (
     <main className='join-game'>
       <div className='enter-game-pin'>
@@ -43,9 +78,26 @@ export const JoinGame = () => {
           value={gamePin}
           onChange={(value) => setGamePin(value)}
         />
+        <InputField
+          default='Password (optional)'
+          type='password'
+          value={password}
+          onChange={(value) => setPassword(value)}
+        />
+        <InputField
+          default='Invite code (optional)'
+          value={inviteCode}
+          onChange={(value) => setInviteCode(value)}
+        />
         <Button
           buttonText='Enter'
-          buttonEvent={handleJoinByPin}
+          buttonEvent={() => handleJoinByPin()}
+          disabled={!gamePin.trim()}
+        />
+        {/* Games already in progress can still be watched */}
+        <Button
+          buttonText='Watch'
+          buttonEvent={() => handleJoinByPin(true)}
           disabled={!gamePin.trim()}
         />
       </div>
@@ -0,0 +1,58 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes, useParams } from 'react-router-dom';
+import { JoinGame } from './join-game';
+import { Login } from '../login/login';
+import { connect, joinGame, listGames, login } from '../../api/clientApi';
+
+jest.mock('../../api/clientApi');
+
+const GamePage = () => <p>In game {useParams().pin}</p>;
+
+const renderAt = (path) =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path='/' element={<Login />} />
+        <Route path='/join/:pin' element={<JoinGame />} />
+        <Route path='/game/:pin' element={<GamePage />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+beforeEach(() => {
+  localStorage.clear();
+  listGames.mockResolvedValue({ success: true, games: [] });
+  connect.mockResolvedValue({});
+  joinGame.mockImplementation((pin) => Promise.resolve({ ok: true, game: { pin } }));
+});
+
+test('sends a logged-out user to log in, then back to join the linked game', async () => {
+  login.mockResolvedValue({ token: 'token', user: { id: 1, username: 'linkUser' } });
+  renderAt('/join/4321');
+
+  expect(await screen.findByRole('button', { name: 'Login' })).toBeInTheDocument();
+  expect(joinGame).not.toHaveBeenCalled();
+
+  // The second username/password pair is the login form (the first creates an account)
+  userEvent.type(screen.getAllByPlaceholderText('Username')[1], 'linkUser');
+  userEvent.type(screen.getAllByPlaceholderText('Password')[1], 'secret');
+  userEvent.click(screen.getByRole('button', { name: 'Login' }));
+
+  expect(await screen.findByText('In game 4321')).toBeInTheDocument();
+  expect(login).toHaveBeenCalledWith('linkUser', 'secret');
+  expect(joinGame).toHaveBeenCalledTimes(1);
+  expect(joinGame).toHaveBeenCalledWith('4321');
+});
+
+test('fills in the PIN and joins straight away when logged in', async () => {
+  localStorage.setItem('authToken', 'token');
+  localStorage.setItem('username', 'linkUser');
+  renderAt('/join/8765');
+
+  expect(screen.getByPlaceholderText('Game pin')).toHaveValue('8765');
+  expect(await screen.findByText('In game 8765')).toBeInTheDocument();
+  expect(connect).toHaveBeenCalledWith('linkUser');
+  expect(joinGame).toHaveBeenCalledTimes(1);
+  expect(joinGame).toHaveBeenCalledWith('8765');
+});
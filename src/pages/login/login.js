@@ -3,7 +3,7 @@ import { useState } from 'react';
 import { connect, login, signup } from '../../api/clientApi';
 import { InputField } from '../../components/InputField/InputField';
 import { Button } from '../../components/Button/Button';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 
 export const Login = () => {
     const [loginUsername, setLoginUsername] = useState('');
@@ -11,6 +11,8 @@ export const Login = () => {
     const [createAccountUsername, setCreateAccountUsername] = useState('');
     const [createAccountPassword, setCreateAccountPassword] = useState('');
     const navigate = useNavigate();
+    // Set by pages that sent us here to log in first (e.g. a /join/:pin link)
+    const redirectTo = useLocation().state?.redirectTo;
 
     const handleLogin = async () => {
         if (!loginUsername.trim() || !loginPassword.trim()) {
@@ -28,10 +30,12 @@ export const Login = () => {
             localStorage.setItem('username', auth.user.username);
 
             // 3) Connect to game TCP server using username
-            await connect(auth.user.username);
+            const session = await connect(auth.user.username);
 
-            // 4) Navigate into the app
-            navigate('/home');
+            // 4) Navigate back to where the user was headed, else straight back into
+            //    a game still in progress
+            if (redirectTo) navigate(redirectTo, { replace: true });
+            else navigate(session?.game ? `/game/${session.game.pin}` : '/home');
         } catch (err) {
             alert(`Login failed: ${err.message}`);
         }
@@ -0,0 +1,238 @@
+import './my-quizzes.scss';
+import { Button } from '../../components/Button/Button';
+import { InputField } from '../../components/InputField/InputField';
+import { AddQuestionModal } from '../../components/AddQuestionModal/AddQuestionModal';
+import { QuizImport } from '../../components/QuizImport/QuizImport';
+import {
+    listQuizzes,
+    getQuiz,
+    createQuiz,
+    updateQuiz,
+    deleteQuiz,
+    importQuiz,
+    exportQuiz,
+} from '../../api/clientApi';
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+// Display names for stored question types
+const TYPE_LABELS = {
+    trueFalse: 'True/False',
+    multipleChoice: 'Multiple choice',
+    typeAnswer: 'Type answer',
+    slider: 'Slider',
+    ordering: 'Puzzle',
+    poll: 'Poll',
+};
+
+const EMPTY_QUIZ = { id: null, title: '', theme: '', questions: [] };
+
+export const MyQuizzes = () => {
+    const navigate = useNavigate();
+    const [quizzes, setQuizzes] = useState([]);
+    const [editing, setEditing] = useState(null);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [error, setError] = useState('');
+    const [reloadTick, setReloadTick] = useState(0);
+
+    useEffect(() => {
+        listQuizzes()
+            .then((res) => setQuizzes(res.quizzes || []))
+            .catch((err) => setError(err.message));
+    }, [reloadTick]);
+
+    const refresh = () => setReloadTick((t) => t + 1);
+
+    const openQuiz = async (id) => {
+        try {
+            const { quiz } = await getQuiz(id);
+            setEditing(quiz);
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const removeQuiz = async (id) => {
+        if (!window.confirm('Delete this quiz?')) return;
+        try {
+            await deleteQuiz(id);
+            refresh();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const saveQuiz = async () => {
+        const payload = {
+            title: editing.title,
+            theme: editing.theme,
+            questions: editing.questions,
+        };
+        try {
+            if (editing.id) await updateQuiz(editing.id, payload);
+            else await createQuiz(payload);
+            setEditing(null);
+            setError('');
+            refresh();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const downloadQuiz = async (id, format) => {
+        try {
+            const { filename, blob } = await exportQuiz(id, format);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // New quiz from a file; CSV has no title, so fall back to the file name
+    const importNewQuiz = async (format, data, fileName) => {
+        const result = await importQuiz({ format, data, title: fileName });
+        refresh();
+        return result;
+    };
+
+    // Append a file's questions to the saved quiz being edited
+    const importIntoQuiz = async (format, data) => {
+        const result = await importQuiz({ format, data, quizId: editing.id });
+        // slice(-0) would be the whole quiz, so an empty file adds nothing
+        if (result.imported > 0) {
+            const added = result.quiz.questions.slice(-result.imported);
+            setEditing((prev) => ({ ...prev, questions: [...prev.questions, ...added] }));
+        }
+        return result;
+    };
+
+    const updateField = (field, value) => {
+        setEditing((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const addQuestion = (question) => {
+        setEditing((prev) => ({ ...prev, questions: [...prev.questions, question] }));
+        setIsModalOpen(false);
+    };
+
+    // Swap a question with its neighbour (direction -1 = up, 1 = down)
+    const moveQuestion = (idx, direction) => {
+        const target = idx + direction;
+        if (target < 0 || target >= editing.questions.length) return;
+        setEditing((prev) => {
+            const questions = [...prev.questions];
+            [questions[idx], questions[target]] = [questions[target], questions[idx]];
+            return { ...prev, questions };
+        });
+    };
+
+    const removeQuestion = (idx) => {
+        setEditing((prev) => ({
+            ...prev,
+            questions: prev.questions.filter((_, i) => i !== idx),
+        }));
+    };
+
+    if (editing) {
+        return (
+            <main className='my-quizzes'>
+                <div className='quiz-editor'>
+                    <h1>{editing.id ? 'Edit Quiz' : 'New Quiz'}</h1>
+                    <InputField
+                        default='Quiz title'
+                        value={editing.title}
+                        onChange={(value) => updateField('title', value)}
+                    />
+                    <InputField
+                        default='Theme'
+                        value={editing.theme}
+                        onChange={(value) => updateField('theme', value)}
+                    />
+
+                    <ol className='quiz-questions'>
+                        {editing.questions.map((q, idx) => (
+                            <li className='quiz-question' key={idx}>
+                                <span className='quiz-question-type'>{TYPE_LABELS[q.type] || q.type}</span>
+                                <span className='quiz-question-text'>{q.question}</span>
+                                {q.timeLimit && <span className='quiz-question-time'>{q.timeLimit}s</span>}
+                                <Button buttonText='↑' buttonEvent={() => moveQuestion(idx, -1)} />
+                                <Button buttonText='↓' buttonEvent={() => moveQuestion(idx, 1)} />
+                                <Button buttonText='✕' buttonEvent={() => removeQuestion(idx)} />
+                            </li>
+                        ))}
+                    </ol>
+
+                    <Button buttonText='Add question' buttonEvent={() => setIsModalOpen(true)} />
+                    {editing.id && (
+                        <QuizImport buttonText='Import questions' onImport={importIntoQuiz} />
+                    )}
+
+                    {error && <p className='quiz-error'>{error}</p>}
+
+                    <div className='quiz-editor-actions'>
+                        <Button buttonText='Cancel' buttonEvent={() => setEditing(null)} />
+                        <Button
+                            buttonText='Save quiz'
+                            buttonEvent={saveQuiz}
+                            disabled={!editing.title.trim()}
+                        />
+                    </div>
+                </div>
+
+                <AddQuestionModal
+                    isOpen={isModalOpen}
+                    title='Add a Quiz Question'
+                    onClose={() => setIsModalOpen(false)}
+                    onSubmitQuestion={addQuestion}
+                />
+            </main>
+        );
+    }
+
+    return (
+        <main className='my-quizzes'>
+            <div className='quiz-list'>
+                <h1>My Quizzes</h1>
+
+                {quizzes.length === 0 ? (
+                    <p>No saved quizzes yet.</p>
+                ) : (
+                    quizzes.map((quiz) => (
+                        <div className='quiz-row' key={quiz.id}>
+                            <div className='quiz-summary'>
+                                <strong>{quiz.title}</strong>
+                                <span>
+                                    {quiz.theme ? `${quiz.theme} · ` : ''}
+                                    {quiz.questionCount} {quiz.questionCount === 1 ? 'question' : 'questions'}
+                                </span>
+                            </div>
+                            <Button
+                                buttonText='Host'
+                                buttonEvent={() => navigate('/host-game', { state: { quizId: quiz.id } })}
+                            />
+                            <Button buttonText='Edit' buttonEvent={() => openQuiz(quiz.id)} />
+                            <Button buttonText='JSON' buttonEvent={() => downloadQuiz(quiz.id, 'json')} />
+                            <Button buttonText='CSV' buttonEvent={() => downloadQuiz(quiz.id, 'csv')} />
+                            <Button buttonText='Delete' buttonEvent={() => removeQuiz(quiz.id)} />
+                        </div>
+                    ))
+                )}
+
+                {error && <p className='quiz-error'>{error}</p>}
+
+                <QuizImport buttonText='Import quiz' onImport={importNewQuiz} />
+
+                <div className='quiz-editor-actions'>
+                    <Button buttonLink='/home' buttonText='Back' />
+                    <Button buttonText='New quiz' buttonEvent={() => setEditing(EMPTY_QUIZ)} />
+                </div>
+            </div>
+        </main>
+    );
+};
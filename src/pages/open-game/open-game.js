@@ -4,7 +4,10 @@ import { DisplayUsers } from '../../components/DisplayUsers/DisplayUsers';
 import { Button } from '../../components/Button/Button';
 import { Chat } from '../../components/Chat/Chat';
 import { AddQuestionModal } from '../../components/AddQuestionModal/AddQuestionModal';
-import { useLocation, useNavigate } from 'react-router-dom';
+import { QuizImport } from '../../components/QuizImport/QuizImport';
+import { ExpiryWarning } from '../../components/ExpiryWarning/ExpiryWarning';
+import { JoinLink } from '../../components/JoinLink/JoinLink';
+import { useNavigate } from 'react-router-dom';
 import { useState, useEffect, useMemo } from 'react';
 import {
   sendChat,
@@ -12,45 +15,63 @@ import {
   subscribeToGameEvents,
   exitGame,
   submitQuestion,
+  importQuestions,
   endGame,
+  kickPlayer,
+  banPlayer,
+  lockGame,
 } from '../../api/clientApi';
 import { BackgroundMusic } from '../../components/BackgroundMusic/BackgroundMusic';
 
-export const OpenGame = () => {
-  const [questionsByPlayer, setQuestionsByPlayer] = useState({});
-  const [isQuestionModalOpen, setIsQuestionModalOpen] = useState(false);
-
-  const location = useLocation();
+/**
+ * Game lobby: players gather, submit questions and chat until the host starts.
+ * @component
+ * @param {Object} props.game - Lobby snapshot to start from (from navigation or GAME_STATE)
+ * @param {String} props.username - The current player
+ */
+export const OpenGame = (props) => {
   const navigate = useNavigate();
+  const username = props.username;
 
-  const state = location.state || {};
-  const username = state.username || localStorage.getItem('username') || 'Unknown';
-
-  const [game, setGame] = useState(state.game || null);
+  const [game, setGame] = useState(props.game || null);
   const [messages, setMessages] = useState([]);
   const [players, setPlayers] = useState(
-    (state.game?.players || []).map((p) => (typeof p === 'string' ? { username: p } : p))
+    (props.game?.players || []).map((p) => (typeof p === 'string' ? { username: p } : p))
   );
 
-  const isHost = useMemo(() => {
-    return !!game && username === game.host;
-  }, [game, username]);
-
+  // Players don't receive lobby questions, only who has submitted one
   const buildQuestionsByPlayer = (g) => {
     const out = {};
-    (g?.questions || []).forEach((q) => {
-      if (!q?.username) return;
-      out[q.username] = { question: q.question, answerTrue: !!q.answerTrue };
+    (g?.submittedBy || []).forEach((name) => {
+      if (!name) return;
+      out[name] = true;
     });
     return out;
   };
 
+  const [questionsByPlayer, setQuestionsByPlayer] = useState(() =>
+    buildQuestionsByPlayer(props.game)
+  );
+  const [isQuestionModalOpen, setIsQuestionModalOpen] = useState(false);
+  // Pending GAME_EXPIRING warning ({ expiresAt, serverOffset }), cleared by new activity
+  const [expiry, setExpiry] = useState(null);
+
+  const isHost = useMemo(() => {
+    return !!game && username === game.host;
+  }, [game, username]);
+
+  // Spectators watch the lobby read-only: no questions, no controls
+  const isSpectator = (game?.spectators || []).includes(username);
+
   useEffect(() => {
     if (!game) return;
 
     const unsubscribe = subscribeToGameEvents((msg) => {
       if (!msg.pin || msg.pin !== game.pin) return;
 
+      // Joins and new questions keep the lobby alive
+      if (msg.type === 'PLAYER_JOINED' || msg.type === 'QUESTION_SUBMITTED') setExpiry(null);
+
       switch (msg.type) {
         case 'JOINED_GAME':
           if (msg.game) {
@@ -62,6 +83,12 @@ export const OpenGame = () => {
 
         case 'PLAYER_JOINED':
         case 'PLAYER_LEFT':
+        case 'SPECTATOR_JOINED':
+        case 'SPECTATOR_LEFT':
+        case 'PLAYER_DISCONNECTED':
+        case 'PLAYER_RECONNECTED':
+        case 'HOST_CHANGED':
+        case 'GAME_LOCKED':
         case 'SCORE_UPDATE': {
           if (msg.game) {
             setGame(msg.game);
@@ -75,10 +102,7 @@ export const OpenGame = () => {
         }
 
         case 'QUESTION_SUBMITTED': {
-          setQuestionsByPlayer((prev) => ({
-            ...prev,
-            [msg.username]: { question: msg.question, answerTrue: msg.answerTrue },
-          }));
+          setQuestionsByPlayer((prev) => ({ ...prev, [msg.username]: true }));
           break;
         }
 
@@ -91,16 +115,27 @@ export const OpenGame = () => {
         }
 
         case 'GAME_STARTED': {
-          navigate('/active-game', { state: { game: msg.game, username } });
+          navigate(`/game/${msg.pin}`, { state: { game: msg.game, username } });
           break;
         }
 
         case 'GAME_ENDED': {
-          // If host ends it in lobby for some reason
+          // If host ends it in lobby for some reason (or every player left)
+          if (msg.message) alert(msg.message);
           navigate('/home');
           break;
         }
 
+        case 'GAME_EXPIRING':
+          setExpiry({ expiresAt: msg.expiresAt, serverOffset: msg.serverNow - Date.now() });
+          break;
+
+        case 'GAME_EXPIRED':
+        case 'KICKED':
+          alert(msg.message);
+          navigate('/home');
+          break;
+
         default:
           break;
       }
@@ -134,6 +169,30 @@ export const OpenGame = () => {
     navigate('/home');
   };
 
+  // Host moderation; the server's PLAYER_LEFT broadcast updates the tiles
+  const moderate = (action) => async (target) => {
+    try {
+      await action(game.pin, target);
+    } catch (err) {
+      console.error('Moderation failed:', err);
+      alert(err.message);
+    }
+  };
+
+  const handleBan = (target) => {
+    if (!window.confirm(`Ban ${target}? They won't be able to rejoin this game.`)) return;
+    moderate(banPlayer)(target);
+  };
+
+  const handleToggleLock = async () => {
+    try {
+      await lockGame(game.pin, !game.locked);
+    } catch (err) {
+      console.error('Failed to lock game:', err);
+      alert(err.message);
+    }
+  };
+
   if (!game) return <main className='open-game'>No game data found.</main>;
 
   return (
@@ -142,40 +201,79 @@ export const OpenGame = () => {
         isOpen={isQuestionModalOpen}
         onClose={() => setIsQuestionModalOpen(false)}
         onSubmitQuestion={async (q) => {
-          try {
-            await submitQuestion(game.pin, q.question, q.answerTrue, username);
-          } catch (err) {
-            console.error('Failed to submit question:', err);
-          }
-
-          setQuestionsByPlayer((prev) => ({
-            ...prev,
-            [username]: { question: q.question, answerTrue: q.answerTrue },
-          }));
+          // Errors propagate to the modal, which shows them and stays open
+          await submitQuestion(game.pin, q, username);
+          setQuestionsByPlayer((prev) => ({ ...prev, [username]: true }));
           setIsQuestionModalOpen(false);
         }}
       />
 
+      {expiry && (
+        <ExpiryWarning
+          expiresAt={expiry.expiresAt}
+          serverOffset={expiry.serverOffset}
+          hint={isHost ? 'Start the game to keep it open.' : undefined}
+        />
+      )}
+
       <h3 className='number-players'>
         Players: {players.length}/{game.maxPlayers ?? '—'}
       </h3>
       <h1>Waiting for players...</h1>
       <h2 className='game-theme'>Theme: {game.theme ?? '—'}</h2>
       <h2 className='game-pin'>Game PIN: {game.pin}</h2>
+      <JoinLink pin={game.pin} />
+      {game.locked && <h3 className='game-locked'>🔒 Locked: no new players can join</h3>}
+      {isHost && game.hasPassword && (
+        <h3 className='game-protected'>Newcomers need the join password.</h3>
+      )}
+      {isHost && game.inviteOnly && (
+        <div className='invite-codes'>
+          <h3>Invite codes ({game.inviteCodes.length} unused, one person each)</h3>
+          <ul>
+            {game.inviteCodes.map((code) => (
+              <li key={code}>{code}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {isHost && game.presenterMode && (
+        <a className='presenter-link' href={`/game/${game.pin}/present`} target='_blank' rel='noreferrer'>
+          Open presenter view
+        </a>
+      )}
+      {(game.spectators || []).length > 0 && (
+        <h3 className='number-spectators'>Spectators: {game.spectators.length}</h3>
+      )}
 
-      <div className='question-submission'>
-        <Button
-          buttonText='Add Question'
-          buttonEvent={() => setIsQuestionModalOpen(true)}
-          disabled={!!questionsByPlayer[username]}
-        />
-      </div>
+      {isSpectator ? (
+        <h3 className='spectating'>You are spectating this game.</h3>
+      ) : (
+        <div className='question-submission'>
+          <Button
+            buttonText='Add Question'
+            buttonEvent={() => setIsQuestionModalOpen(true)}
+            disabled={!!questionsByPlayer[username]}
+          />
+          {/* Hosts can load a whole question bank into the lobby */}
+          {isHost && (
+            <QuizImport
+              buttonText='Import questions'
+              onImport={(format, data) => importQuestions(game.pin, format, data)}
+            />
+          )}
+        </div>
+      )}
 
       <DisplayUsers
         users={players.map((p) => ({
           username: p.username,
           submitted: !!questionsByPlayer[p.username],
+          disconnected: (game.disconnected || []).includes(p.username),
         }))}
+        self={username}
+        onKick={isHost ? moderate(kickPlayer) : undefined}
+        onBan={isHost ? handleBan : undefined}
       />
 
       <Chat messages={messages} user={username} onSendMessage={handleSendMessage} />
@@ -195,6 +293,13 @@ export const OpenGame = () => {
               }}
             />
           </div>
+          <div className='lock-game'>
+            <Button
+              buttonText={game.locked ? 'Unlock lobby' : 'Lock lobby'}
+              buttonEvent={handleToggleLock}
+              selected={!!game.locked}
+            />
+          </div>
           <div className='end-game'>
             <Button buttonText='End game' buttonEvent={handleEndGame} />
           </div>
@@ -0,0 +1,223 @@
+import './presenter.scss';
+import { Button } from '../../components/Button/Button';
+import { Timer } from '../../components/Timer/Timer';
+import { Question } from '../../components/Question/Question';
+import { QuestionResults } from '../../components/QuestionResults/QuestionResults';
+import { PollResults } from '../../components/PollResults/PollResults';
+import { Ranking } from '../../components/Ranking/Ranking';
+import { Leaderboard } from '../../components/Leaderboard/Leaderboard';
+import { JoinLink } from '../../components/JoinLink/JoinLink';
+import {
+  connect,
+  getGameState,
+  subscribeToGameEvents,
+  startGame,
+  nextQuestion,
+  endGame,
+} from '../../api/clientApi';
+import { useEffect, useMemo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+
+/**
+ * Top scores as { username, score, pointsEarned }, highest first.
+ */
+const rankScores = (game) =>
+  Object.entries(game?.scores || {})
+    .sort((a, b) => (b[1] || 0) - (a[1] || 0))
+    .map(([username, score]) => ({
+      username,
+      score,
+      pointsEarned: (game?.roundPoints || {})[username] || 0,
+    }));
+
+/**
+ * Big-screen presenter view for the host (/game/:pin/present), meant for a
+ * projector: the PIN while the lobby fills, then each question with its timer
+ * and a live answer count, the answer distribution when it closes, and the
+ * podium at the end. Players answer on their own devices.
+ *
+ * The host's game snapshot includes every answer, so nothing is revealed here
+ * until the server's QUESTION_RESULTS arrives.
+ * @component
+ */
+export const Presenter = () => {
+  const { pin } = useParams();
+  const username = localStorage.getItem('username') || '';
+
+  const [game, setGame] = useState(null);
+  const [results, setResults] = useState(null);
+  const [serverOffset, setServerOffset] = useState(0);
+  const [error, setError] = useState('');
+
+  // Load the current state (this tab is usually opened mid-lobby or mid-game)
+  useEffect(() => {
+    if (!username) {
+      setError('Please log in as the host to present this game.');
+      return;
+    }
+
+    let cancelled = false;
+    connect(username)
+      .then(() => getGameState(pin))
+      .then((state) => {
+        if (cancelled) return;
+        if (!state.you?.isHost) {
+          setError('Only the host can open the presenter view.');
+          return;
+        }
+        setGame(state.game);
+        setResults(state.questionResults);
+        setServerOffset(state.game.serverNow - Date.now());
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pin, username]);
+
+  useEffect(() => {
+    if (!game?.pin) return;
+
+    const unsubscribe = subscribeToGameEvents((msg) => {
+      if (msg.pin !== game.pin) return;
+
+      if (msg.game) {
+        setGame(msg.game);
+        if (msg.game.serverNow) setServerOffset(msg.game.serverNow - Date.now());
+      }
+
+      switch (msg.type) {
+        case 'QUESTION_RESULTS':
+          setResults(msg);
+          break;
+
+        case 'POLL_RESULTS':
+          setGame((prev) =>
+            prev && (prev.currentQuestionIndex ?? 0) === msg.questionIndex
+              ? { ...prev, pollCounts: msg.counts }
+              : prev
+          );
+          break;
+
+        default:
+          break;
+      }
+    }, { username });
+
+    return () => unsubscribe();
+  }, [game?.pin, username]);
+
+  const ranking = useMemo(() => rankScores(game), [game]);
+
+  const run = (action) => async () => {
+    try {
+      await action(game.pin);
+    } catch (err) {
+      console.error('Presenter action failed:', err);
+      alert(err.message);
+    }
+  };
+
+  if (error) {
+    return (
+      <main className='presenter presenter-message'>
+        <h2>{error}</h2>
+        <Button buttonLink='/home' buttonText='Back' />
+      </main>
+    );
+  }
+
+  if (!game) return <main className='presenter presenter-message'>Loading game…</main>;
+
+  if (game.state === 'lobby') {
+    return (
+      <main className='presenter'>
+        <h2 className='presenter-join'>Join with Game PIN</h2>
+        <h1 className='presenter-pin'>{game.pin}</h1>
+        <JoinLink pin={game.pin} size={280} />
+        <p className='presenter-count'>{game.players.length} joined</p>
+        <ul className='presenter-players'>
+          {game.players.map((name) => (
+            <li key={name}>{name}</li>
+          ))}
+        </ul>
+        <Button buttonText='Start game' buttonEvent={run(startGame)} />
+      </main>
+    );
+  }
+
+  if (game.state === 'ended') {
+    return (
+      <main className='presenter'>
+        <Leaderboard topFive={ranking.slice(0, 5)} />
+      </main>
+    );
+  }
+
+  const idx = game.currentQuestionIndex ?? 0;
+  const question = (game.questions || [])[idx];
+  const total = game.questionCount ?? (game.questions || []).length;
+  const isLast = idx >= total - 1;
+  const isPoll = question?.type === 'poll';
+  const reveal = results && results.questionIndex === idx ? results : null;
+
+  const advance = isLast ? (
+    <Button buttonText='End game' buttonEvent={run(endGame)} />
+  ) : (
+    <Button buttonText={game.questionClosed ? 'Next question' : 'Skip'} buttonEvent={run(nextQuestion)} />
+  );
+
+  return (
+    <main className='presenter'>
+      <p className='presenter-progress'>
+        Question {idx + 1} / {total}
+      </p>
+
+      {!game.questionClosed ? (
+        <>
+          <div className='presenter-live'>
+            <Timer
+              key={`p:${game.pin}:${idx}`}
+              deadline={game.questionDeadline}
+              serverOffset={serverOffset}
+            />
+            <span className='presenter-answered'>
+              {game.answeredCount ?? 0} / {game.players.length} answered
+            </span>
+          </div>
+          {/* Read-only so the tiles show without any answers marked */}
+          <Question
+            question={question?.question}
+            questionType={question?.type}
+            options={question?.options}
+            min={question?.min}
+            max={question?.max}
+            items={question?.items}
+            readOnly
+          />
+          {isPoll && (
+            <PollResults question='' options={question.options} counts={game.pollCounts} />
+          )}
+        </>
+      ) : (
+        <div className='presenter-reveal'>
+          {isPoll ? (
+            <PollResults
+              question={question.question}
+              options={question.options}
+              counts={reveal?.counts || game.pollCounts}
+            />
+          ) : (
+            reveal && <QuestionResults question={question} results={reveal} hideVerdict />
+          )}
+          <Ranking topFive={ranking.slice(0, 5)} gameEnd={false} />
+        </div>
+      )}
+
+      <div className='presenter-controls'>{advance}</div>
+    </main>
+  );
+};
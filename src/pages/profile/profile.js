@@ -0,0 +1,115 @@
+import './profile.scss';
+import { Button } from '../../components/Button/Button';
+import { getProfile } from '../../api/clientApi';
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+
+function formatAccuracy(accuracy) {
+    if (accuracy == null) return '–';
+    return `${Math.round(accuracy * 100)}%`;
+}
+
+function formatSeconds(ms) {
+    if (ms == null) return '–';
+    return `${(ms / 1000).toFixed(2)}s`;
+}
+
+function formatDate(iso) {
+    if (!iso) return '';
+    return new Date(iso).toLocaleDateString();
+}
+
+/**
+ * Public profile page showing a player's lifetime statistics and
+ * recent games, computed by the server from recorded game history.
+ * @component
+ */
+export const Profile = () => {
+    const { username } = useParams();
+    const [profile, setProfile] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setProfile(null);
+        setError('');
+        getProfile(username)
+            .then((res) => setProfile(res.profile))
+            .catch((err) => setError(err.message));
+    }, [username]);
+
+    const stats = profile
+        ? [
+              { label: 'Games played', value: profile.gamesPlayed },
+              { label: 'Wins', value: profile.wins },
+              { label: 'Podiums', value: profile.podiums },
+              { label: 'Average score', value: profile.averageScore },
+              { label: 'Accuracy', value: formatAccuracy(profile.accuracy) },
+              { label: 'Fastest correct', value: formatSeconds(profile.fastestCorrectMs) },
+          ]
+        : [];
+
+    return (
+        <div className='profile'>
+            <div className='profile-card'>
+                <h1>{username}</h1>
+                {error && <p className='profile-error'>{error}</p>}
+                {!profile && !error && <p>Loading…</p>}
+
+                {profile && (
+                    <>
+                        <div className='profile-stats'>
+                            {stats.map((stat) => (
+                                <div key={stat.label} className='profile-stat'>
+                                    <span className='profile-stat-value'>{stat.value}</span>
+                                    <span className='profile-stat-label'>{stat.label}</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        <h2>Favorite themes</h2>
+                        {profile.favoriteThemes.length === 0 ? (
+                            <p>No themed games yet.</p>
+                        ) : (
+                            <ul className='profile-themes'>
+                                {profile.favoriteThemes.map((t) => (
+                                    <li key={t.theme}>
+                                        {t.theme} <span>({t.games})</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        <h2>Recent games</h2>
+                        {profile.recentGames.length === 0 ? (
+                            <p>No games played yet.</p>
+                        ) : (
+                            <ul className='profile-games'>
+                                {profile.recentGames.map((g) => (
+                                    <li key={g.id} className='profile-game'>
+                                        <span className='profile-game-rank'>
+                                            #{g.rank}/{g.players}
+                                        </span>
+                                        <span className='profile-game-summary'>
+                                            <strong>{g.theme || 'Untitled game'}</strong>
+                                            <small>
+                                                Hosted by{' '}
+                                                <Link to={`/profile/${encodeURIComponent(g.host)}`}>
+                                                    {g.host}
+                                                </Link>{' '}
+                                                · {formatDate(g.endedAt)}
+                                                {!g.completed && ' · ended early'}
+                                            </small>
+                                        </span>
+                                        <span className='profile-game-score'>{g.score}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </>
+                )}
+
+                <Button buttonLink='/home' buttonText='Back' />
+            </div>
+        </div>
+    );
+};